@@ -0,0 +1,279 @@
+// Client authentication for the WebSocket proxy.
+//
+// Browsers can't set headers on a WebSocket handshake, so the token travels either
+// in the `token` query parameter or as a `bearer.<token>` entry in the
+// Sec-WebSocket-Protocol list. Tokens are JWTs verified against a shared secret
+// (HS256/384/512) or a JWKS file (RS*, PS*, ES*, EdDSA). A custom verifier module
+// can replace the JWT check entirely.
+//
+// Authentication runs during the HTTP upgrade, before the connection handler (and
+// therefore before any upstream Gemini socket) exists. Rejected clients still get a
+// completed handshake so the browser sees a proper close code instead of a generic
+// network error.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUTH_CLOSE_CODE = 4401;
+const PROXY_PROTOCOL = 'live-api-proxy';
+const BEARER_PROTOCOL_PREFIX = 'bearer.';
+
+const ANONYMOUS_IDENTITY = Object.freeze({ subject: 'anonymous', anonymous: true, claims: {} });
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null },
+};
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function base64UrlJson(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+}
+
+// Pull the token from `?token=` or from a `bearer.<token>` subprotocol entry
+function extractToken(req) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) {
+    return queryToken;
+  }
+
+  const header = req.headers['sec-websocket-protocol'];
+  if (header) {
+    const entry = header
+      .split(',')
+      .map((p) => p.trim())
+      .find((p) => p.startsWith(BEARER_PROTOCOL_PREFIX));
+    if (entry) {
+      return entry.slice(BEARER_PROTOCOL_PREFIX.length);
+    }
+  }
+  return null;
+}
+
+// Never echo the token back as the negotiated subprotocol
+function handleProtocols(protocols) {
+  if (protocols.has(PROXY_PROTOCOL)) {
+    return PROXY_PROTOCOL;
+  }
+  for (const protocol of protocols) {
+    if (!protocol.startsWith(BEARER_PROTOCOL_PREFIX)) {
+      return protocol;
+    }
+  }
+  return false;
+}
+
+function loadJwks(file) {
+  const jwks = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error(`JWKS file ${file} has no "keys" array`);
+  }
+  return jwks.keys.map((jwk) => ({
+    kid: jwk.kid,
+    alg: jwk.alg,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+  }));
+}
+
+function createJwtVerifier({ secret, jwksFile, issuer, audience, clockToleranceSec = 30 }) {
+  const keys = jwksFile ? loadJwks(jwksFile) : [];
+
+  function findKey(header) {
+    if (header.kid) {
+      const match = keys.find((k) => k.kid === header.kid);
+      if (match) return match.key;
+    } else if (keys.length === 1) {
+      return keys[0].key;
+    }
+    throw new AuthError(`No signing key found for kid "${header.kid || ''}"`);
+  }
+
+  function verifySignature(header, signingInput, signature) {
+    const hmacHash = HMAC_ALGORITHMS[header.alg];
+    if (hmacHash) {
+      if (!secret) throw new AuthError(`Algorithm ${header.alg} is not accepted`);
+      const expected = crypto.createHmac(hmacHash, secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    const asymmetric = ASYMMETRIC_ALGORITHMS[header.alg];
+    if (asymmetric) {
+      if (!keys.length) throw new AuthError(`Algorithm ${header.alg} is not accepted`);
+      const key = findKey(header);
+      const keyOptions = { key };
+      if (asymmetric.padding) keyOptions.padding = asymmetric.padding;
+      if (asymmetric.dsaEncoding) keyOptions.dsaEncoding = asymmetric.dsaEncoding;
+      try {
+        return crypto.verify(asymmetric.hash, Buffer.from(signingInput), keyOptions, signature);
+      } catch {
+        // the key does not fit the algorithm the header claims
+        return false;
+      }
+    }
+
+    throw new AuthError(`Unsupported token algorithm "${header.alg}"`);
+  }
+
+  function checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp === 'number' && now - clockToleranceSec >= claims.exp) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now + clockToleranceSec < claims.nbf) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new AuthError('Token issuer mismatch');
+    }
+    if (audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(audience)) {
+        throw new AuthError('Token audience mismatch');
+      }
+    }
+  }
+
+  return async function verifyJwt(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      throw new AuthError('Malformed token');
+    }
+    const [encodedHeader, encodedPayload, encodedSignature] = segments;
+    const header = base64UrlJson(encodedHeader);
+    const claims = base64UrlJson(encodedPayload);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (!verifySignature(header, `${encodedHeader}.${encodedPayload}`, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+    checkClaims(claims);
+
+    return { subject: String(claims.sub || 'unknown'), anonymous: false, claims };
+  };
+}
+
+/**
+ * Build the authenticator used during upgrades.
+ * options: { secret, jwksFile, issuer, audience, verifierModule }
+ * `verifierModule` is a path to a module exporting `async (token, req) => identity`,
+ * which replaces the JWT check. With nothing configured authentication is disabled.
+ */
+function createAuthenticator(options = {}) {
+  let verify = null;
+  if (options.verifierModule) {
+    verify = require(path.resolve(options.verifierModule));
+  } else if (options.secret || options.jwksFile) {
+    verify = createJwtVerifier(options);
+  }
+
+  return {
+    enabled: Boolean(verify),
+    async authenticate(req) {
+      if (!verify) {
+        return ANONYMOUS_IDENTITY;
+      }
+      const token = extractToken(req);
+      if (!token) {
+        throw new AuthError('Missing auth token');
+      }
+      const identity = await verify(token, req);
+      if (!identity) {
+        throw new AuthError('Token rejected');
+      }
+      return identity;
+    },
+  };
+}
+
+function authOptionsFromEnv(env = process.env) {
+  return {
+    secret: env.PROXY_AUTH_SECRET,
+    jwksFile: env.PROXY_AUTH_JWKS_FILE,
+    issuer: env.PROXY_AUTH_ISSUER,
+    audience: env.PROXY_AUTH_AUDIENCE,
+    verifierModule: env.PROXY_AUTH_VERIFIER,
+  };
+}
+
+// Replace ws' built-in upgrade handling (use with `noServer: true`) so every socket
+// is authenticated before 'connection' fires. `req.identity` carries the result.
+// `admit(req)` runs after authentication for further admission checks (quotas etc.)
+// and may return a cleanup function for when the handshake never completes. Errors
+// carrying a `closeCode` are reported with that code instead of 4401.
+function handleAuthenticatedUpgrades(server, wss, authenticator, { onReject = () => {}, admit } = {}) {
+  server.on('upgrade', async (req, socket, head) => {
+    let failure = null;
+    let cleanup = null;
+    try {
+      req.identity = await authenticator.authenticate(req);
+      if (admit) {
+        cleanup = await admit(req);
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    if (socket.destroyed) {
+      if (typeof cleanup === 'function') cleanup();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      if (failure) {
+        onReject(req, failure);
+        if (failure.closeCode) {
+          ws.close(failure.closeCode, failure.message.slice(0, 123));
+          return;
+        }
+        const reason = failure instanceof AuthError ? failure.message : 'Authentication failed';
+        ws.close(AUTH_CLOSE_CODE, `Unauthorized: ${reason}`.slice(0, 123));
+        return;
+      }
+      wss.emit('connection', ws, req);
+    });
+  });
+}
+
+// HS256 token minting, for development and for services that hand tokens to browsers
+function signToken(claims, secret, { expiresInSec = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(
+    JSON.stringify({ iat: now, exp: now + expiresInSec, ...claims }),
+  ).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+module.exports = {
+  AUTH_CLOSE_CODE,
+  PROXY_PROTOCOL,
+  BEARER_PROTOCOL_PREFIX,
+  AuthError,
+  authOptionsFromEnv,
+  createAuthenticator,
+  extractToken,
+  handleAuthenticatedUpgrades,
+  handleProtocols,
+  signToken,
+};
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const WebSocket = require('ws');
+
+const {
+  AUTH_CLOSE_CODE,
+  PROXY_PROTOCOL,
+  createAuthenticator,
+  extractToken,
+  handleAuthenticatedUpgrades,
+  handleProtocols,
+  signToken,
+} = require('./auth');
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const request = (token) => ({ url: `/?token=${token}`, headers: {} });
+
+const authenticate = (token, options = { secret: SECRET }) =>
+  createAuthenticator(options).authenticate(request(token));
+
+// signs with any asymmetric algorithm, the way an identity provider would
+function signWith(alg, privateKey, claims, kid) {
+  const header = encode({ alg, typ: 'JWT', kid });
+  const payload = encode({ exp: now() + 60, ...claims });
+  const hashes = { RS256: 'sha256', PS256: 'sha256', ES256: 'sha256', EdDSA: null };
+  const key = { key: privateKey };
+  if (alg === 'PS256') key.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+  if (alg === 'ES256') key.dsaEncoding = 'ieee-p1363';
+  const signature = crypto.sign(hashes[alg], Buffer.from(`${header}.${payload}`), key);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+test('accepts a valid HS256 token', async () => {
+  const identity = await authenticate(signToken({ sub: 'alice' }, SECRET));
+  assert.strictEqual(identity.subject, 'alice');
+  assert.strictEqual(identity.anonymous, false);
+});
+
+test('rejects a bad signature', async () => {
+  const token = signToken({ sub: 'alice' }, 'another-secret');
+  await assert.rejects(authenticate(token), /Invalid token signature/);
+});
+
+test('rejects a token whose payload was changed', async () => {
+  const [header, , signature] = signToken({ sub: 'alice' }, SECRET).split('.');
+  const token = `${header}.${encode({ sub: 'admin', exp: now() + 60 })}.${signature}`;
+  await assert.rejects(authenticate(token), /Invalid token signature/);
+});
+
+test('rejects an expired token, and one that is not valid yet', async () => {
+  const expired = signToken({ sub: 'alice' }, SECRET, { expiresInSec: -3600 });
+  await assert.rejects(authenticate(expired), /Token expired/);
+  const early = signToken({ sub: 'alice', nbf: now() + 3600 }, SECRET);
+  await assert.rejects(authenticate(early), /not yet valid/);
+});
+
+test('checks audience and issuer', async () => {
+  const options = { secret: SECRET, audience: 'live-proxy', issuer: 'https://id.example' };
+  const token = (claims) => signToken({ sub: 'alice', ...claims }, SECRET);
+  await assert.rejects(
+    authenticate(token({ aud: 'other', iss: 'https://id.example' }), options),
+    /audience mismatch/,
+  );
+  await assert.rejects(
+    authenticate(token({ aud: 'live-proxy', iss: 'https://evil.example' }), options),
+    /issuer mismatch/,
+  );
+  const identity = await authenticate(
+    token({ aud: ['other', 'live-proxy'], iss: 'https://id.example' }),
+    options,
+  );
+  assert.strictEqual(identity.subject, 'alice');
+});
+
+test('rejects alg none', async () => {
+  const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'alice' })}.`;
+  await assert.rejects(authenticate(token), /Unsupported token algorithm "none"/);
+});
+
+test('rejects HS256 when only a JWKS is configured', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  const { publicKey } = crypto.generateKeyPairSync('ed25519');
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [publicKey.export({ format: 'jwk' })] }));
+  await assert.rejects(
+    authenticate(signToken({ sub: 'alice' }, SECRET), { jwksFile }),
+    /Algorithm HS256 is not accepted/,
+  );
+});
+
+test('verifies RS256, PS256, ES256 and EdDSA tokens against a JWKS', async () => {
+  const pairs = {
+    RS256: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+    PS256: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+    ES256: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+    EdDSA: crypto.generateKeyPairSync('ed25519'),
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  const jwksFile = path.join(dir, 'jwks.json');
+  const keys = Object.entries(pairs).map(([kid, { publicKey }]) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+  }));
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys }));
+
+  for (const [alg, { privateKey }] of Object.entries(pairs)) {
+    const identity = await authenticate(signWith(alg, privateKey, { sub: alg }, alg), {
+      jwksFile,
+    });
+    assert.strictEqual(identity.subject, alg);
+  }
+  // signed by one key, claiming another
+  const forged = signWith('ES256', pairs.ES256.privateKey, { sub: 'x' }, 'EdDSA');
+  await assert.rejects(authenticate(forged, { jwksFile }), /Invalid token signature/);
+});
+
+test('takes the token from the query or a bearer subprotocol', () => {
+  assert.strictEqual(extractToken({ url: '/?token=abc', headers: {} }), 'abc');
+  assert.strictEqual(
+    extractToken({
+      url: '/',
+      headers: { 'sec-websocket-protocol': `${PROXY_PROTOCOL}, bearer.abc.def.ghi` },
+    }),
+    'abc.def.ghi',
+  );
+  assert.strictEqual(extractToken({ url: '/', headers: {} }), null);
+  // the token is never echoed back as the negotiated protocol
+  assert.strictEqual(handleProtocols(new Set(['bearer.abc', PROXY_PROTOCOL])), PROXY_PROTOCOL);
+  assert.strictEqual(handleProtocols(new Set(['bearer.abc'])), false);
+});
+
+test('closes unauthenticated sockets with 4401 before they connect', async (t) => {
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ noServer: true, handleProtocols });
+  const connections = [];
+  wss.on('connection', (ws, req) => {
+    connections.push(req.identity);
+    ws.close(1000);
+  });
+  handleAuthenticatedUpgrades(server, wss, createAuthenticator({ secret: SECRET }));
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => {
+    wss.close();
+    server.close();
+  });
+  const url = `ws://localhost:${server.address().port}`;
+  const close = (ws) =>
+    new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason: `${reason}` })));
+
+  const rejected = await close(new WebSocket(url));
+  assert.strictEqual(rejected.code, AUTH_CLOSE_CODE);
+  assert.match(rejected.reason, /Missing auth token/);
+
+  const badToken = await close(new WebSocket(url, [PROXY_PROTOCOL, 'bearer.not-a-token']));
+  assert.strictEqual(badToken.code, AUTH_CLOSE_CODE);
+
+  const token = signToken({ sub: 'alice' }, SECRET);
+  const accepted = new WebSocket(url, [PROXY_PROTOCOL, `bearer.${token}`]);
+  await close(accepted);
+  assert.strictEqual(accepted.protocol, PROXY_PROTOCOL);
+  assert.deepStrictEqual(
+    connections.map((identity) => identity.subject),
+    ['alice'],
+  );
+});
@@ -0,0 +1,252 @@
+// Health, readiness and Prometheus metrics for the proxy HTTP server.
+//
+//   GET /healthz   200 while the process is up
+//   GET /readyz    200 once the server accepts connections, 503 otherwise (also while draining)
+//   GET /drainz    drain status as JSON: { draining, activeSessions, deadline }
+//   GET /metrics   Prometheus text exposition format (version 0.0.4)
+//
+// Metrics are kept in memory per process. Message type labels are limited to the
+// known Live API message types so a client can't create unbounded series.
+const { CLIENT_TO_UPSTREAM, UPSTREAM_TO_CLIENT } = require('./protocol');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const KNOWN_MESSAGE_TYPES = {
+  [CLIENT_TO_UPSTREAM]: ['setup', 'clientContent', 'realtimeInput', 'toolResponse'],
+  [UPSTREAM_TO_CLIENT]: [
+    'setupComplete',
+    'serverContent',
+    'toolCall',
+    'toolCallCancellation',
+    'usageMetadata',
+    'goAway',
+    'sessionResumptionUpdate',
+  ],
+};
+
+const DIRECTION_LABELS = {
+  [CLIENT_TO_UPSTREAM]: 'client_to_upstream',
+  [UPSTREAM_TO_CLIENT]: 'upstream_to_client',
+};
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values) {
+  if (!labelNames.length) return '';
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+// A counter or gauge with a fixed set of label names
+function createMetric(type, name, help, labelNames = []) {
+  const series = new Map();
+  const key = (labels = {}) => JSON.stringify(labelNames.map((label) => String(labels[label] ?? '')));
+
+  const add = (labels, delta) => {
+    const k = key(labels);
+    series.set(k, (series.get(k) || 0) + delta);
+  };
+
+  return {
+    name,
+    inc(labels, value = 1) {
+      add(labels, value);
+    },
+    dec(labels, value = 1) {
+      if (type !== 'gauge') throw new Error(`${name} is a ${type}, it can't decrease`);
+      add(labels, -value);
+    },
+    set(labels, value) {
+      if (type !== 'gauge') throw new Error(`${name} is a ${type}, it can't be set`);
+      series.set(key(labels), value);
+    },
+    get(labels) {
+      return series.get(key(labels)) || 0;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      if (!series.size && !labelNames.length) {
+        lines.push(`${name} 0`);
+      }
+      for (const [k, value] of series) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(k))} ${value}`);
+      }
+      return lines.join('\n');
+    },
+  };
+}
+
+function createRegistry() {
+  const metrics = [];
+  const register = (type) => (name, help, labelNames) => {
+    const metric = createMetric(type, name, help, labelNames);
+    metrics.push(metric);
+    return metric;
+  };
+  return {
+    counter: register('counter'),
+    gauge: register('gauge'),
+    render() {
+      return `${metrics.map((metric) => metric.render()).join('\n')}\n`;
+    },
+  };
+}
+
+/**
+ * The proxy's metric set. Connection handlers report events through the helpers
+ * below; `render()` produces the /metrics body.
+ */
+function createProxyMetrics() {
+  const registry = createRegistry();
+  const startTime = Date.now() / 1000;
+
+  const clientConnections = registry.gauge('live_proxy_client_connections', 'Currently connected clients');
+  const clientConnectionsTotal = registry.counter(
+    'live_proxy_client_connections_total',
+    'Client connections accepted since start',
+  );
+  const rejectedConnections = registry.counter(
+    'live_proxy_rejected_connections_total',
+    'Client connections rejected during the upgrade, by close code',
+    ['code'],
+  );
+  const upstreamConnections = registry.gauge(
+    'live_proxy_upstream_connections',
+    'Upstream Live API connections by state',
+    ['state'],
+  );
+  const frames = registry.counter(
+    'live_proxy_frames_total',
+    'Frames relayed, by direction and message type',
+    ['direction', 'type'],
+  );
+  const bytes = registry.counter(
+    'live_proxy_bytes_total',
+    'Bytes relayed, by direction and message type',
+    ['direction', 'type'],
+  );
+  const closes = registry.counter('live_proxy_closes_total', 'WebSocket closes by side and code', ['side', 'code']);
+  const goAways = registry.counter('live_proxy_go_away_total', 'goAway messages received from upstream');
+  const sessionResumptions = registry.counter(
+    'live_proxy_session_resumptions_total',
+    'Session resumption events: "update" for new handles from upstream, "resume" for setups carrying a handle',
+    ['kind'],
+  );
+  const upstreamResumptions = registry.counter(
+    'live_proxy_upstream_resumptions_total',
+    'Upstream sessions resumed by the proxy without closing the client',
+    ['result'],
+  );
+  const draining = registry.gauge('live_proxy_draining', '1 while the proxy drains sessions before shutting down');
+  registry.gauge('live_proxy_start_time_seconds', 'Process start time in seconds since the epoch').set({}, startTime);
+
+  const typeLabel = (frame) =>
+    frame.type === 'binary' || KNOWN_MESSAGE_TYPES[frame.direction].includes(frame.type) ? frame.type : 'other';
+
+  return {
+    clientConnected() {
+      clientConnections.inc();
+      clientConnectionsTotal.inc();
+    },
+
+    clientDisconnected(code) {
+      clientConnections.dec();
+      closes.inc({ side: 'client', code });
+    },
+
+    connectionRejected(code) {
+      rejectedConnections.inc({ code });
+    },
+
+    // Follow one upstream socket through connecting -> open -> closed
+    trackUpstream() {
+      let state = 'connecting';
+      upstreamConnections.inc({ state });
+      const moveTo = (next) => {
+        if (state === 'closed') return;
+        upstreamConnections.dec({ state });
+        state = next;
+        if (next !== 'closed') upstreamConnections.inc({ state });
+      };
+      return {
+        open() {
+          moveTo('open');
+        },
+        closed(code) {
+          if (state === 'closed') return;
+          moveTo('closed');
+          closes.inc({ side: 'upstream', code });
+        },
+      };
+    },
+
+    setDraining(value) {
+      draining.set({}, value ? 1 : 0);
+    },
+
+    upstreamResumed(success) {
+      upstreamResumptions.inc({ result: success ? 'success' : 'failure' });
+    },
+
+    // `frame` is a pipeline frame (see pipeline.js)
+    recordFrame(frame) {
+      const { message } = frame;
+      const type = typeLabel(frame);
+      const labels = { direction: DIRECTION_LABELS[frame.direction], type };
+      frames.inc(labels);
+      bytes.inc(labels, frame.size);
+
+      if (type === 'goAway') {
+        goAways.inc();
+      } else if (type === 'sessionResumptionUpdate') {
+        sessionResumptions.inc({ kind: 'update' });
+      } else if (type === 'setup' && message.setup.sessionResumption && message.setup.sessionResumption.handle) {
+        sessionResumptions.inc({ kind: 'resume' });
+      }
+    },
+
+    render: () => registry.render(),
+  };
+}
+
+/**
+ * HTTP request handler for the probe endpoints. `isReady()` decides /readyz and
+ * `drainStatus()` answers /drainz; anything else gets a 404 like before.
+ */
+function createHttpHandler({ metrics, isReady = () => true, drainStatus = () => ({ draining: false }) }) {
+  return (req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+      res.end('Method Not Allowed');
+      return;
+    }
+
+    if (pathname === '/healthz') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    } else if (pathname === '/readyz') {
+      const ready = isReady();
+      res.writeHead(ready ? 200 : 503, { 'Content-Type': 'text/plain' });
+      res.end(ready ? 'ready' : 'not ready');
+    } else if (pathname === '/drainz') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(drainStatus()));
+    } else if (pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+      res.end(metrics.render());
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  };
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  createHttpHandler,
+  createProxyMetrics,
+  createRegistry,
+};
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const http = require('http');
+const { test } = require('node:test');
+
+const { PROMETHEUS_CONTENT_TYPE, createHttpHandler, createProxyMetrics, createRegistry } = require('./metrics');
+const { CLIENT_TO_UPSTREAM, UPSTREAM_TO_CLIENT } = require('./protocol');
+
+const frame = (direction, type, size = 10, message = {}) => ({ direction, type, size, message });
+
+// The handler on a free port, closed after the test
+async function serve(t, options) {
+  const server = http.createServer(createHttpHandler({ metrics: createProxyMetrics(), ...options }));
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+  return (path, init) => fetch(`http://localhost:${server.address().port}${path}`, init);
+}
+
+// `name{labels} value` lines of one metric, without the HELP and TYPE lines
+const samples = (body, name) => body.split('\n').filter((line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+
+test('/healthz answers while the process is up', async (t) => {
+  const get = await serve(t, { isReady: () => false });
+  const res = await get('/healthz');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(await res.text(), 'ok');
+});
+
+test('/readyz follows isReady', async (t) => {
+  let ready = true;
+  const get = await serve(t, { isReady: () => ready });
+  assert.strictEqual((await get('/readyz')).status, 200);
+  ready = false;
+  const res = await get('/readyz');
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual(await res.text(), 'not ready');
+});
+
+test('/drainz reports the drain status as JSON', async (t) => {
+  const status = { draining: true, activeSessions: 2, deadline: '2024-01-01T00:00:00.000Z' };
+  const get = await serve(t, { drainStatus: () => status });
+  const res = await get('/drainz');
+  assert.strictEqual(res.headers.get('content-type'), 'application/json');
+  assert.deepStrictEqual(await res.json(), status);
+});
+
+test('other paths are 404 and other methods 405', async (t) => {
+  const get = await serve(t, {});
+  assert.strictEqual((await get('/nope')).status, 404);
+  const res = await get('/metrics', { method: 'POST' });
+  assert.strictEqual(res.status, 405);
+  assert.strictEqual(res.headers.get('allow'), 'GET, HEAD');
+});
+
+test('/metrics renders the Prometheus text format', async (t) => {
+  const metrics = createProxyMetrics();
+  const get = await serve(t, { metrics });
+  metrics.clientConnected();
+  metrics.clientConnected();
+  metrics.clientDisconnected(1000);
+  metrics.connectionRejected(4401);
+  const upstream = metrics.trackUpstream();
+  upstream.open();
+  metrics.recordFrame(frame(CLIENT_TO_UPSTREAM, 'setup', 120, { setup: { sessionResumption: { handle: 'h' } } }));
+  metrics.recordFrame(frame(UPSTREAM_TO_CLIENT, 'serverContent', 30));
+  metrics.recordFrame(frame(UPSTREAM_TO_CLIENT, 'serverContent', 40));
+  metrics.setDraining(true);
+
+  const res = await get('/metrics');
+  assert.strictEqual(res.headers.get('content-type'), PROMETHEUS_CONTENT_TYPE);
+  const body = await res.text();
+  assert.ok(body.endsWith('\n'));
+  assert.match(body, /^# HELP live_proxy_client_connections Currently connected clients\n# TYPE live_proxy_client_connections gauge$/m);
+  assert.deepStrictEqual(samples(body, 'live_proxy_client_connections'), ['live_proxy_client_connections 1']);
+  assert.deepStrictEqual(samples(body, 'live_proxy_client_connections_total'), ['live_proxy_client_connections_total 2']);
+  assert.deepStrictEqual(samples(body, 'live_proxy_rejected_connections_total'), [
+    'live_proxy_rejected_connections_total{code="4401"} 1',
+  ]);
+  assert.deepStrictEqual(samples(body, 'live_proxy_upstream_connections'), [
+    'live_proxy_upstream_connections{state="connecting"} 0',
+    'live_proxy_upstream_connections{state="open"} 1',
+  ]);
+  assert.deepStrictEqual(samples(body, 'live_proxy_bytes_total'), [
+    'live_proxy_bytes_total{direction="client_to_upstream",type="setup"} 120',
+    'live_proxy_bytes_total{direction="upstream_to_client",type="serverContent"} 70',
+  ]);
+  assert.deepStrictEqual(samples(body, 'live_proxy_session_resumptions_total'), [
+    'live_proxy_session_resumptions_total{kind="resume"} 1',
+  ]);
+  assert.deepStrictEqual(samples(body, 'live_proxy_draining'), ['live_proxy_draining 1']);
+  // unlabelled metrics are rendered before anything happened
+  assert.deepStrictEqual(samples(body, 'live_proxy_go_away_total'), ['live_proxy_go_away_total 0']);
+});
+
+test('message type labels stay within the known types', () => {
+  const metrics = createProxyMetrics();
+  for (let i = 0; i < 100; i++) {
+    metrics.recordFrame(frame(CLIENT_TO_UPSTREAM, `made_up_${i}`));
+  }
+  metrics.recordFrame(frame(CLIENT_TO_UPSTREAM, 'realtimeInput'));
+  metrics.recordFrame(frame(UPSTREAM_TO_CLIENT, 'binary'));
+  // known for the other direction only
+  metrics.recordFrame(frame(UPSTREAM_TO_CLIENT, 'clientContent'));
+
+  assert.deepStrictEqual(samples(metrics.render(), 'live_proxy_frames_total'), [
+    'live_proxy_frames_total{direction="client_to_upstream",type="other"} 100',
+    'live_proxy_frames_total{direction="client_to_upstream",type="realtimeInput"} 1',
+    'live_proxy_frames_total{direction="upstream_to_client",type="binary"} 1',
+    'live_proxy_frames_total{direction="upstream_to_client",type="other"} 1',
+  ]);
+});
+
+test('escapes label values and refuses to decrease counters', () => {
+  const registry = createRegistry();
+  const counter = registry.counter('test_total', 'Test', ['value']);
+  counter.inc({ value: 'a "quoted"\nline\\' });
+  assert.match(registry.render(), /^test_total\{value="a \\"quoted\\"\\nline\\\\"\} 1$/m);
+  assert.throws(() => counter.dec({ value: 'x' }), /can't decrease/);
+});
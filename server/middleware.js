@@ -0,0 +1,226 @@
+// Built-in proxy middleware (see pipeline.js for the interface). The default order is
+// assembled by `buildMiddleware` in proxy.js.
+const path = require('path');
+const { POLICY_CLOSE_CODE, createSetupGuard } = require('./policy');
+const { CLIENT_TO_UPSTREAM, UPSTREAM_TO_CLIENT, createSessionRecorder } = require('./recorder');
+const { formatLiveConfigErrors, validateLiveConfig } = require('../src/live-config-validation');
+
+// Per-message rate limits and quota expiry, for the quota opened during the upgrade
+function rateLimit() {
+  return {
+    name: 'rate-limit',
+    open(session) {
+      session.quota.watch(
+        (error) => {
+          session.log('PROXY', 'RATE_LIMITED', `Client ${session.id} (${session.quota.subjects.join(', ')}): ${error.message}`);
+          session.closeClient(error.closeCode, error.message);
+        },
+        (error) => {
+          session.log('PROXY', 'ERROR', `Session quota for client ${session.id} not updated: ${error.message}`);
+        },
+      );
+    },
+    async inbound(frame, session) {
+      // throws a RateLimitError carrying the close code
+      await session.quota.checkMessage(frame.size);
+    },
+  };
+}
+
+// `{ "type": "disconnect" }` from the console ends the upstream session cleanly
+function clientDisconnect() {
+  return {
+    name: 'client-disconnect',
+    inbound(frame, session) {
+      if (frame.message && frame.message.type === 'disconnect') {
+        session.log('CLIENT', 'DISCONNECT', `Client ${session.id} requested disconnect`);
+        session.requestDisconnect();
+        return null;
+      }
+      return frame;
+    },
+  };
+}
+
+// Close sessions whose setup the Live API would reject anyway, with a reason naming the fields.
+// Unknown options and voices are only logged, they may be newer than the validator;
+// `strict` rejects those too. Runs on the client's setup, before the policy and
+// server tools rewrite it.
+function setupValidation({ strict = false } = {}) {
+  return {
+    name: 'setup-validation',
+    inbound(frame, session) {
+      const setup = frame.message && frame.message.setup;
+      if (!setup) return frame;
+      const issues = validateLiveConfig(setup);
+      const errors = strict ? issues : issues.filter((issue) => issue.severity === 'error');
+      const warnings = issues.filter((issue) => !errors.includes(issue));
+      if (warnings.length) {
+        session.log('PROXY', 'SETUP_WARNING', `Client ${session.id}: ${formatLiveConfigErrors(warnings)}`);
+      }
+      if (!errors.length) return frame;
+      const reason = `Invalid setup: ${formatLiveConfigErrors(errors)}`;
+      session.log('PROXY', 'INVALID_SETUP', `Client ${session.id}: ${reason}`);
+      // the close reason is truncated, the proxyError sent ahead of it has all fields
+      session.closeClient(POLICY_CLOSE_CODE, reason);
+      return null;
+    },
+  };
+}
+
+function setupPolicy(policy) {
+  if (!policy) return null;
+  const guards = new WeakMap();
+  return {
+    name: 'setup-policy',
+    open(session) {
+      guards.set(session, createSetupGuard(policy));
+    },
+    inbound(frame, session) {
+      const verdict = guards.get(session).inspect(frame.data);
+      if (verdict.violations.length) {
+        session.log('PROXY', 'POLICY', `Client ${session.id} setup violations: ${verdict.violations.join('; ')}`);
+      }
+      if (verdict.reject) {
+        session.closeClient(POLICY_CLOSE_CODE, verdict.reject);
+        return null;
+      }
+      if (verdict.forward !== frame.data) {
+        frame.setData(verdict.forward);
+      }
+      return frame;
+    },
+  };
+}
+
+// Keep the latest resumption handle on the session, and log resumption attempts
+function sessionHandles() {
+  return {
+    name: 'session-handles',
+    inbound(frame, session) {
+      const setup = frame.message && frame.message.setup;
+      if (setup) {
+        session.log('PROXY', 'CONFIG', `Client ${session.id} requested model: ${setup.model}`);
+        if (setup.sessionResumption && setup.sessionResumption.handle) {
+          session.log('PROXY', 'SESSION', `Client ${session.id} resuming handle ${setup.sessionResumption.handle}`);
+        }
+      }
+    },
+    outbound(frame, session) {
+      const message = frame.message;
+      if (message && message.sessionResumptionUpdate) {
+        const update = message.sessionResumptionUpdate;
+        if (update.resumable && update.newHandle) {
+          session.resumptionHandle = update.newHandle;
+          session.log('PROXY', 'SESSION', `Client ${session.id} got session handle ${update.newHandle}`);
+        }
+      } else if (message && message.goAway) {
+        session.log('PROXY', 'GOAWAY', `Upstream goAway for client ${session.id}, timeLeft ${message.goAway.timeLeft}`);
+      }
+    },
+  };
+}
+
+function frameMetrics(metrics) {
+  const record = (frame) => {
+    metrics.recordFrame(frame);
+  };
+  return { name: 'metrics', inbound: record, outbound: record };
+}
+
+function recordFrames(recorderOptions) {
+  if (!recorderOptions.dir) return null;
+  const recorders = new WeakMap();
+  return {
+    name: 'recorder',
+    open(session) {
+      const recorder = createSessionRecorder(recorderOptions, { connectionId: session.id, subject: session.identity.subject });
+      recorders.set(session, recorder);
+      session.log('PROXY', 'RECORDING', `Client ${session.id} recorded to ${recorder.file}`);
+    },
+    inbound(frame, session) {
+      recorders.get(session).record(CLIENT_TO_UPSTREAM, frame.data);
+    },
+    outbound(frame, session) {
+      recorders.get(session).record(UPSTREAM_TO_CLIENT, frame.data);
+    },
+    upstreamClose(session, code, reason) {
+      recorders.get(session).recordClose('upstream', code, reason);
+    },
+    close(session, code, reason) {
+      const recorder = recorders.get(session);
+      recorder.recordClose('client', code, reason);
+      recorder.close();
+    },
+  };
+}
+
+function describeServerContent(serverContent, size) {
+  if (serverContent.interrupted) return ['INTERRUPTED', 'Model generation interrupted'];
+  if (serverContent.turnComplete) return ['TURN_COMPLETE', 'Turn complete'];
+  if (serverContent.generationComplete) return ['GENERATION_COMPLETE', 'Generation complete'];
+  if (serverContent.modelTurn) {
+    const partTypes = (serverContent.modelTurn.parts || []).map((p) => {
+      if (p.text) return 'text';
+      if (p.inlineData) return `${p.inlineData.mimeType}`;
+      if (p.executableCode) return 'code';
+      return 'unknown';
+    });
+    return ['MODEL_TURN', `Parts: [${partTypes.join(',')}]`, `Length: ${size}`];
+  }
+  return ['SERVER_CONTENT', Object.keys(serverContent).join(',')];
+}
+
+// Per-frame logging (PROXY_LOG_FRAMES=true)
+function logFrames() {
+  return {
+    name: 'log',
+    inbound(frame, session) {
+      if (!frame.message) {
+        session.log('CLIENT→UPSTREAM', 'BINARY', `Binary data of length ${frame.size}`);
+        return;
+      }
+      session.log('CLIENT→UPSTREAM', frame.type, `${JSON.stringify(frame.message).substring(0, 100)}...`, `Length: ${frame.size}`);
+    },
+    outbound(frame, session) {
+      const message = frame.message;
+      if (!message) {
+        session.log('UPSTREAM→CLIENT', 'DATA', `Data of length ${frame.size}`);
+      } else if (message.serverContent) {
+        session.log('UPSTREAM→CLIENT', ...describeServerContent(message.serverContent, frame.size));
+      } else if (message.toolCall) {
+        const functions = (message.toolCall.functionCalls || []).map((f) => f.name).join(',');
+        session.log('UPSTREAM→CLIENT', 'TOOL_CALL', `Functions: [${functions}]`);
+      } else if (message.toolCallCancellation) {
+        session.log('UPSTREAM→CLIENT', 'TOOL_CANCELLATION', `IDs: [${(message.toolCallCancellation.ids || []).join(',')}]`);
+      } else if (message.setupComplete) {
+        session.log('UPSTREAM→CLIENT', 'SETUP_COMPLETE', 'Setup complete');
+      } else if (message.usageMetadata) {
+        session.log('UPSTREAM→CLIENT', 'USAGE_METADATA', `Tokens: ${message.usageMetadata.totalTokenCount || 'unknown'}`);
+      } else {
+        session.log('UPSTREAM→CLIENT', frame.type, `${JSON.stringify(message).substring(0, 100)}...`, `Length: ${frame.size}`);
+      }
+    },
+  };
+}
+
+// PROXY_MIDDLEWARE modules export a middleware object or a factory `(config) => middleware`
+function loadMiddlewareModules(modules, config) {
+  return modules.map((file) => {
+    const exported = require(path.resolve(file));
+    const mw = typeof exported === 'function' ? exported(config) : exported;
+    return { name: path.basename(file, path.extname(file)), ...mw };
+  });
+}
+
+module.exports = {
+  clientDisconnect,
+  frameMetrics,
+  loadMiddlewareModules,
+  logFrames,
+  rateLimit,
+  recordFrames,
+  sessionHandles,
+  setupPolicy,
+  setupValidation,
+};
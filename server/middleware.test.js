@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { test } = require('node:test');
+
+const { createFrame } = require('./pipeline');
+const { setupValidation } = require('./middleware');
+const { POLICY_CLOSE_CODE } = require('./policy');
+
+function fakeSession() {
+  return {
+    id: 's1',
+    logs: [],
+    log(...args) {
+      this.logs.push(args.join(' '));
+    },
+    closeClient(code, reason) {
+      this.closed = { code, reason };
+    },
+  };
+}
+
+const setupFrame = (setup) => createFrame('client->upstream', Buffer.from(JSON.stringify({ setup })));
+
+const newerSetup = {
+  model: 'models/gemini-2.0-flash-live-001',
+  // an option, a tool and a voice added to the Live API after the validator was written
+  enableAffectiveDialog: true,
+  tools: [{ urlContext: {} }],
+  generationConfig: {
+    responseModalities: ['AUDIO'],
+    speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Nova' } } },
+  },
+};
+
+test('passes setups with unknown options and voices on, logging them', () => {
+  const session = fakeSession();
+  const frame = setupFrame(newerSetup);
+  assert.strictEqual(setupValidation().inbound(frame, session), frame);
+  assert.strictEqual(session.closed, undefined);
+  assert.match(session.logs[0], /SETUP_WARNING/);
+  assert.match(session.logs[0], /enableAffectiveDialog is not a known option/);
+  assert.match(session.logs[0], /"Nova" is not a known prebuilt voice/);
+});
+
+test('rejects setups the Live API would refuse', () => {
+  const session = fakeSession();
+  const frame = setupFrame({
+    ...newerSetup,
+    generationConfig: { ...newerSetup.generationConfig, topP: 2 },
+    tools: [{ functionDeclarations: [{ name: 'draw chart' }] }],
+  });
+  assert.strictEqual(setupValidation().inbound(frame, session), null);
+  assert.strictEqual(session.closed.code, POLICY_CLOSE_CODE);
+  assert.match(session.closed.reason, /^Invalid setup: generationConfig.topP must be between 0 and 1; tools\[0\]/);
+  // warnings stay out of the close reason
+  assert.doesNotMatch(session.closed.reason, /enableAffectiveDialog/);
+});
+
+test('rejects unknown options and voices in strict mode', () => {
+  const session = fakeSession();
+  assert.strictEqual(setupValidation({ strict: true }).inbound(setupFrame(newerSetup), session), null);
+  assert.match(session.closed.reason, /enableAffectiveDialog is not a known option/);
+});
+
+test('leaves frames other than setup alone', () => {
+  const frame = createFrame('client->upstream', Buffer.from(JSON.stringify({ realtimeInput: {} })));
+  assert.strictEqual(setupValidation().inbound(frame, fakeSession()), frame);
+});
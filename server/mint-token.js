@@ -0,0 +1,22 @@
+// Mint a short-lived proxy token signed with PROXY_AUTH_SECRET.
+// Usage: node server/mint-token.js <subject> [ttlSeconds]
+require('dotenv').config();
+const { signToken } = require('./auth');
+
+const [subject, ttl] = process.argv.slice(2);
+const secret = process.env.PROXY_AUTH_SECRET;
+
+if (!secret) {
+  console.error('PROXY_AUTH_SECRET not set in environment');
+  process.exit(1);
+}
+if (!subject) {
+  console.error('Usage: node server/mint-token.js <subject> [ttlSeconds]');
+  process.exit(1);
+}
+
+const claims = { sub: subject };
+if (process.env.PROXY_AUTH_ISSUER) claims.iss = process.env.PROXY_AUTH_ISSUER;
+if (process.env.PROXY_AUTH_AUDIENCE) claims.aud = process.env.PROXY_AUTH_AUDIENCE;
+
+console.log(signToken(claims, secret, { expiresInSec: Number(ttl) || 3600 }));
@@ -0,0 +1,289 @@
+// Mock Gemini Live (BidiGenerateContent) WebSocket server for offline development and CI.
+//
+// Point the proxy at it with LIVE_API_UPSTREAM_URL=ws://localhost:9090 and run:
+//   node server/mock-upstream.js [--port 9090] [--scenario server/mock-scenarios/default.json]
+//
+// The mock answers `setup` with `setupComplete` and then follows a scenario file:
+//   {
+//     "name": "...",
+//     "onSetup": [actions],                  // run right after setupComplete
+//     "rules": [{ "match": {...}, "actions": [actions], "once": false }]
+//   }
+// A rule matches a client message by `type` (clientContent, realtimeInput, toolResponse)
+// and optionally `text` (case-insensitive substring of the user turn) or `audioMs`
+// (fires after that much 16 kHz PCM input since the last turn). The first matching
+// rule wins. Actions run in order:
+//   { "say": "..." }              audio (24 kHz PCM) or text, depending on the setup modality
+//   { "text": "...", "chunks": 3 } modelTurn text parts
+//   { "audio": { "durationMs": 800, "frequency": 440, "chunkMs": 100 } }
+//   { "turnComplete": true } / { "generationComplete": true } / { "interrupted": true }
+//   { "toolCall": { "functionCalls": [{ "name": "...", "args": {} }] } }   ids are generated
+//   { "toolCallCancellation": "last" } or { "toolCallCancellation": { "ids": [...] } }
+//   { "goAway": { "timeLeft": "10s" } }
+//   { "sessionResumptionUpdate": true }  (only sent when setup enabled sessionResumption)
+//   { "delayMs": 500 }
+//   { "close": { "code": 1001, "reason": "..." } }
+//   { "raw": { ...any server message... } }
+// A new client turn while a response is still streaming interrupts it, like the real API.
+// Tool responses don't, they continue the turn that issued the call.
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const INPUT_SAMPLE_RATE = 16000;
+const DEFAULT_SCENARIO = path.join(__dirname, 'mock-scenarios', 'default.json');
+
+function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { name: path.basename(file, '.json'), onSetup: [], rules: [], ...scenario };
+}
+
+function log(connectionId, message) {
+  console.log(`[${new Date().toISOString()}] MOCK ${connectionId} | ${message}`);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sine tone as base64 PCM16 chunks, with short fades so chunk borders don't click
+function toneChunks({ durationMs = 800, frequency = 440, chunkMs = 100, amplitude = 0.3 }) {
+  const total = Math.round((durationMs / 1000) * OUTPUT_SAMPLE_RATE);
+  const perChunk = Math.round((chunkMs / 1000) * OUTPUT_SAMPLE_RATE);
+  const fade = Math.min(240, Math.floor(total / 2));
+  const chunks = [];
+  for (let start = 0; start < total; start += perChunk) {
+    const length = Math.min(perChunk, total - start);
+    const pcm = Buffer.alloc(length * 2);
+    for (let i = 0; i < length; i++) {
+      const n = start + i;
+      const envelope = Math.min(1, n / fade, (total - n) / fade);
+      const sample = Math.sin((2 * Math.PI * frequency * n) / OUTPUT_SAMPLE_RATE) * amplitude * envelope;
+      pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+    chunks.push({ data: pcm.toString('base64'), durationMs: (length / OUTPUT_SAMPLE_RATE) * 1000 });
+  }
+  return chunks;
+}
+
+function splitText(text, count = 1) {
+  const words = text.split(/(\s+)/);
+  const size = Math.ceil(words.length / count);
+  const parts = [];
+  for (let i = 0; i < words.length; i += size) {
+    parts.push(words.slice(i, i + size).join(''));
+  }
+  return parts.filter(Boolean);
+}
+
+function userText(message) {
+  const turns = (message.clientContent && message.clientContent.turns) || [];
+  return turns
+    .flatMap((turn) => turn.parts || [])
+    .map((part) => part.text || '')
+    .join(' ');
+}
+
+function inputAudioMs(message) {
+  const chunks = (message.realtimeInput && message.realtimeInput.mediaChunks) || [];
+  return chunks
+    .filter((chunk) => chunk.mimeType && chunk.mimeType.startsWith('audio/pcm'))
+    .reduce((ms, chunk) => ms + (Buffer.from(chunk.data, 'base64').length / 2 / INPUT_SAMPLE_RATE) * 1000, 0);
+}
+
+function messageType(message) {
+  return Object.keys(message)[0];
+}
+
+function handleConnection(ws, scenario) {
+  const connectionId = Math.random().toString(36).substring(2, 10);
+  let setup = null;
+  let audioSinceTurn = 0;
+  let activeTurn = null;
+  let lastToolCallIds = [];
+  let toolCallCounter = 0;
+  const firedRules = new Set();
+
+  log(connectionId, `connected, scenario "${scenario.name}"`);
+
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
+
+  const wantsAudio = () => {
+    const modalities = setup && setup.generationConfig && setup.generationConfig.responseModalities;
+    return [].concat(modalities || []).some((m) => String(m).toLowerCase() === 'audio');
+  };
+
+  async function runAction(action, turn) {
+    if (action.delayMs) {
+      await sleep(action.delayMs);
+    } else if (action.say !== undefined) {
+      if (wantsAudio()) {
+        const durationMs = Math.max(400, action.say.length * 60);
+        await runAction({ audio: { durationMs } }, turn);
+      } else {
+        await runAction({ text: action.say, chunks: Math.ceil(action.say.length / 40) }, turn);
+      }
+    } else if (action.text !== undefined) {
+      for (const text of splitText(action.text, action.chunks)) {
+        if (turn.aborted) return;
+        send({ serverContent: { modelTurn: { parts: [{ text }] } } });
+        await sleep(action.chunkDelayMs || 50);
+      }
+    } else if (action.audio) {
+      for (const chunk of toneChunks(action.audio)) {
+        if (turn.aborted) return;
+        send({
+          serverContent: {
+            modelTurn: { parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data: chunk.data } }] },
+          },
+        });
+        // stream roughly in real time, slightly faster like the real service
+        await sleep(chunk.durationMs * 0.8);
+      }
+    } else if (action.turnComplete) {
+      send({ serverContent: { turnComplete: true } });
+      turn.completed = true;
+    } else if (action.generationComplete) {
+      send({ serverContent: { generationComplete: true } });
+    } else if (action.interrupted) {
+      send({ serverContent: { interrupted: true } });
+    } else if (action.toolCall) {
+      const functionCalls = action.toolCall.functionCalls.map((fc) => ({
+        id: fc.id || `mock-call-${++toolCallCounter}`,
+        args: {},
+        ...fc,
+      }));
+      lastToolCallIds = functionCalls.map((fc) => fc.id);
+      send({ toolCall: { functionCalls } });
+    } else if (action.toolCallCancellation) {
+      const ids = action.toolCallCancellation === 'last' ? lastToolCallIds : action.toolCallCancellation.ids;
+      send({ toolCallCancellation: { ids } });
+    } else if (action.goAway) {
+      send({ goAway: action.goAway });
+    } else if (action.sessionResumptionUpdate) {
+      if (setup && setup.sessionResumption) {
+        const update = action.sessionResumptionUpdate === true
+          ? { newHandle: `mock-handle-${connectionId}-${Date.now()}`, resumable: true }
+          : action.sessionResumptionUpdate;
+        send({ sessionResumptionUpdate: update });
+      }
+    } else if (action.close) {
+      ws.close(action.close.code || 1000, action.close.reason || '');
+    } else if (action.raw) {
+      send(action.raw);
+    } else {
+      log(connectionId, `unknown action ${JSON.stringify(action)}`);
+    }
+  }
+
+  // Tool responses continue the model's turn, everything else barges in
+  async function runTurn(actions, label, interrupts = true) {
+    if (interrupts && activeTurn && activeTurn.running && !activeTurn.completed) {
+      activeTurn.aborted = true;
+      send({ serverContent: { interrupted: true } });
+      log(connectionId, 'interrupted previous turn');
+    }
+    const turn = { aborted: false, completed: false, running: true };
+    activeTurn = turn;
+    log(connectionId, `running ${label}`);
+    for (const action of actions) {
+      if (turn.aborted || ws.readyState !== WebSocket.OPEN) break;
+      await runAction(action, turn);
+    }
+    turn.running = false;
+  }
+
+  // A broken scenario (e.g. a close code ws refuses to send) ends the connection, not the process
+  function startTurn(actions, label, interrupts) {
+    runTurn(actions, label, interrupts).catch((error) => {
+      log(connectionId, `${label} failed: ${error.message}`);
+      // ws is already CLOSING when it rejects a close code, only terminate ends that
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.close(1011, 'Mock scenario error');
+      } else {
+        ws.terminate();
+      }
+    });
+  }
+
+  function findRule(message) {
+    const type = messageType(message);
+    return scenario.rules.find((rule, index) => {
+      const match = rule.match || {};
+      if (rule.once && firedRules.has(index)) return false;
+      if (match.type && match.type !== type) return false;
+      if (match.text && !userText(message).toLowerCase().includes(match.text.toLowerCase())) return false;
+      if (match.audioMs && audioSinceTurn < match.audioMs) return false;
+      firedRules.add(index);
+      return true;
+    });
+  }
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      ws.close(1007, 'Request contains an invalid argument.');
+      return;
+    }
+
+    if (!setup) {
+      if (!message.setup) {
+        ws.close(1007, 'Request contains an invalid argument.');
+        return;
+      }
+      setup = message.setup;
+      const resumedFrom = setup.sessionResumption && setup.sessionResumption.handle;
+      log(connectionId, `setup model=${setup.model}${resumedFrom ? ` resuming ${resumedFrom}` : ''}`);
+      send({ setupComplete: {} });
+      if (scenario.onSetup.length) {
+        startTurn(scenario.onSetup, 'onSetup');
+      }
+      return;
+    }
+
+    if (message.realtimeInput) {
+      audioSinceTurn += inputAudioMs(message);
+    }
+
+    const rule = findRule(message);
+    if (rule) {
+      audioSinceTurn = 0;
+      startTurn(rule.actions, `rule for ${messageType(message)}`, !message.toolResponse);
+    }
+  });
+
+  ws.on('close', (code) => {
+    if (activeTurn) activeTurn.aborted = true;
+    log(connectionId, `closed ${code}`);
+  });
+}
+
+function createMockUpstream({ port = 9090, scenario = loadScenario(DEFAULT_SCENARIO) } = {}) {
+  const wss = new WebSocket.Server({ port });
+  wss.on('connection', (ws) => handleConnection(ws, scenario));
+  return wss;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const port = Number(option('port') || process.env.MOCK_UPSTREAM_PORT || 9090);
+  const scenarioFile = option('scenario') || process.env.MOCK_SCENARIO || DEFAULT_SCENARIO;
+
+  createMockUpstream({ port, scenario: loadScenario(scenarioFile) }).on('listening', () => {
+    console.log(`Mock Live API upstream listening on ws://localhost:${port} (scenario ${scenarioFile})`);
+  });
+}
+
+module.exports = {
+  createMockUpstream,
+  loadScenario,
+};
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { mock, test } = require('node:test');
+const WebSocket = require('ws');
+
+const { createMockUpstream } = require('./mock-upstream');
+
+const listening = (emitter) => new Promise((resolve) => emitter.once('listening', resolve));
+
+async function startUpstream(t, scenario) {
+  t.mock.method(console, 'log', () => {});
+  const upstream = createMockUpstream({ port: 0, scenario: { name: 'test', onSetup: [], rules: [], ...scenario } });
+  await listening(upstream);
+  t.after(() => {
+    upstream.clients.forEach((ws) => ws.terminate());
+    upstream.close();
+  });
+  return `ws://localhost:${upstream.address().port}`;
+}
+
+test('ends the connection when a scenario action fails', async (t) => {
+  const url = await startUpstream(t, {
+    // ws refuses to send 1005
+    rules: [{ match: { type: 'clientContent' }, actions: [{ text: 'bye' }, { close: { code: 1005 } }] }],
+  });
+  const unhandled = mock.fn();
+  process.on('unhandledRejection', unhandled);
+  t.after(() => process.off('unhandledRejection', unhandled));
+
+  const ws = new WebSocket(url);
+  const closed = new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason: `${reason}` })));
+  await new Promise((resolve) => ws.once('open', resolve));
+  ws.send(JSON.stringify({ setup: { model: 'models/mock' } }));
+  ws.send(JSON.stringify({ clientContent: { turns: [{ role: 'user', parts: [{ text: 'hi' }] }], turnComplete: true } }));
+
+  // the refused close left the socket closing, so it is cut
+  assert.strictEqual((await closed).code, 1006);
+  assert.strictEqual(unhandled.mock.callCount(), 0);
+  const failures = console.log.mock.calls.filter((call) => call.arguments.join(' ').includes('failed'));
+  assert.strictEqual(failures.length, 1);
+});
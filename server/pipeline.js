@@ -0,0 +1,88 @@
+// Ordered middleware pipeline for relayed frames.
+//
+// A middleware is a plain object; every field is optional:
+//   {
+//     name: 'policy',
+//     inbound(frame, session)  { ... },   // client -> upstream
+//     outbound(frame, session) { ... },   // upstream -> client
+//     open(session), upstreamOpen(session), upstreamClose(session, code, reason),
+//     close(session, code, reason),
+//   }
+// Frame handlers may be async. They return the frame to pass it on (possibly
+// modified) or null to drop it; returning nothing keeps the frame as is. Throwing
+// an error with a `closeCode` closes the client with that code.
+//
+// The proxy feeds frames of one direction through strictly one at a time, so an
+// async check never lets a later frame overtake an earlier one.
+const { messageType, parseJsonFrame } = require('./protocol');
+
+// `data` is what gets sent on; `message` is the parsed JSON object (null for
+// non-JSON frames), filled in lazily
+function createFrame(direction, data) {
+  let parsed;
+  return {
+    direction,
+    data,
+    get message() {
+      if (parsed === undefined) parsed = parseJsonFrame(this.data);
+      return parsed;
+    },
+    get type() {
+      return this.message ? messageType(this.message) : 'binary';
+    },
+    get size() {
+      if (typeof this.data === 'string') return Buffer.byteLength(this.data);
+      if (Array.isArray(this.data)) return this.data.reduce((total, chunk) => total + chunk.length, 0);
+      return this.data.byteLength;
+    },
+    // Replace the payload, keeping `message` in sync
+    setData(data) {
+      this.data = data;
+      parsed = undefined;
+    },
+    setMessage(message) {
+      this.data = JSON.stringify(message);
+      parsed = message;
+    },
+  };
+}
+
+function createPipeline(middleware) {
+  const stack = middleware.filter(Boolean);
+
+  async function run(handlerName, frame, session) {
+    let current = frame;
+    for (const mw of stack) {
+      if (!mw[handlerName]) continue;
+      if (session.closing) return null;
+      const result = await mw[handlerName](current, session);
+      if (result === null) return null;
+      if (result !== undefined) current = result;
+    }
+    return current;
+  }
+
+  // Call a lifecycle hook on every middleware; a failing hook is logged and skipped
+  function notify(hook, session, ...args) {
+    for (const mw of stack) {
+      if (!mw[hook]) continue;
+      try {
+        mw[hook](session, ...args);
+      } catch (error) {
+        session.log('PROXY', 'ERROR', `Middleware ${mw.name || '?'} failed in ${hook}: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    names: stack.map((mw) => mw.name || '?'),
+    inbound: (frame, session) => run('inbound', frame, session),
+    outbound: (frame, session) => run('outbound', frame, session),
+    notify,
+  };
+}
+
+module.exports = {
+  createFrame,
+  createPipeline,
+};
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { test } = require('node:test');
+
+const { createFrame, createPipeline } = require('./pipeline');
+const { clientDisconnect, sessionHandles } = require('./middleware');
+
+function fakeSession() {
+  return {
+    id: 's1',
+    closing: false,
+    logs: [],
+    log(...args) {
+      this.logs.push(args.join(' '));
+    },
+    requestDisconnect() {
+      this.disconnectRequested = true;
+    },
+  };
+}
+
+const jsonFrame = (direction, message) => createFrame(direction, Buffer.from(JSON.stringify(message)));
+
+test('runs middleware in order, passing rewritten frames on', async () => {
+  const seen = [];
+  const pipeline = createPipeline([
+    {
+      name: 'rewrite',
+      inbound(frame) {
+        seen.push(`rewrite:${frame.type}`);
+        frame.setMessage({ clientContent: { turns: [], rewritten: true } });
+        return frame;
+      },
+    },
+    null,
+    {
+      name: 'observe',
+      // returning nothing passes the frame on unchanged
+      async inbound(frame) {
+        seen.push(`observe:${frame.type}`);
+      },
+    },
+  ]);
+  assert.deepStrictEqual(pipeline.names, ['rewrite', 'observe']);
+
+  const frame = await pipeline.inbound(jsonFrame('in', { setup: {} }), fakeSession());
+  assert.deepStrictEqual(seen, ['rewrite:setup', 'observe:clientContent']);
+  assert.strictEqual(frame.message.clientContent.rewritten, true);
+  assert.strictEqual(frame.size, Buffer.byteLength(frame.data));
+});
+
+test('stops at a dropped frame or a closing session', async () => {
+  const later = [];
+  const pipeline = createPipeline([
+    { inbound: (frame) => (frame.type === 'binary' ? null : frame) },
+    {
+      inbound(frame, session) {
+        session.closing = frame.message.close;
+      },
+    },
+    { inbound: (frame) => later.push(frame.type) },
+  ]);
+  assert.strictEqual(await pipeline.inbound(createFrame('in', Buffer.from([0xff])), fakeSession()), null);
+  assert.strictEqual(await pipeline.inbound(jsonFrame('in', { close: true }), fakeSession()), null);
+  assert.notStrictEqual(await pipeline.inbound(jsonFrame('in', { close: false }), fakeSession()), null);
+  assert.deepStrictEqual(later, ['close']);
+});
+
+test('logs failing lifecycle hooks without skipping the others', () => {
+  const opened = [];
+  const pipeline = createPipeline([
+    {
+      name: 'broken',
+      open() {
+        throw new Error('boom');
+      },
+    },
+    { name: 'fine', open: (session) => opened.push(session.id) },
+  ]);
+  const session = fakeSession();
+  pipeline.notify('open', session);
+  assert.deepStrictEqual(opened, ['s1']);
+  assert.match(session.logs[0], /Middleware broken failed in open: boom/);
+});
+
+test('built-in middleware handles disconnects and resumption handles', async () => {
+  const pipeline = createPipeline([clientDisconnect(), sessionHandles()]);
+  const session = fakeSession();
+
+  assert.strictEqual(await pipeline.inbound(jsonFrame('in', { type: 'disconnect' }), session), null);
+  assert.strictEqual(session.disconnectRequested, true);
+
+  const update = { sessionResumptionUpdate: { resumable: true, newHandle: 'h1' } };
+  const frame = await pipeline.outbound(jsonFrame('out', update), session);
+  assert.deepStrictEqual(frame.message, update);
+  assert.strictEqual(session.resumptionHandle, 'h1');
+});
@@ -0,0 +1,191 @@
+// Server-side policy for the `setup` message a browser sends through the proxy.
+//
+// A policy file (JSON or YAML) can:
+//   model.allow             allowed model names ("models/" prefix optional)
+//   model.onViolation       "reject" (default) or "rewrite" to model.default
+//   tools.deny              built-in tools to remove, e.g. googleSearch, codeExecution
+//   tools.allowFunctions    function declarations allowed through (all if omitted)
+//   tools.onViolation       "strip" (default) or "reject"
+//   systemInstruction.text  server-owned instruction prepended to the client's
+//
+// Only the first frame of a connection may be (and must be) the setup message,
+// otherwise a tampered client could send a second, unchecked setup.
+const fs = require('fs');
+const path = require('path');
+const { parseJsonFrame } = require('./protocol');
+
+const POLICY_CLOSE_CODE = 1008;
+
+function normalizeModel(model) {
+  return String(model || '').replace(/^models\//, '');
+}
+
+function loadPolicy(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const policy = ext === '.yaml' || ext === '.yml' ? require('js-yaml').load(source) : JSON.parse(source);
+  return validatePolicy(policy || {}, file);
+}
+
+function validatePolicy(policy, source = 'policy') {
+  const { model = {}, tools = {}, systemInstruction } = policy;
+  if (model.allow && !Array.isArray(model.allow)) {
+    throw new Error(`${source}: model.allow must be a list`);
+  }
+  if (model.onViolation === 'rewrite' && !model.default) {
+    throw new Error(`${source}: model.onViolation "rewrite" needs model.default`);
+  }
+  if (tools.deny && !Array.isArray(tools.deny)) {
+    throw new Error(`${source}: tools.deny must be a list`);
+  }
+  if (tools.allowFunctions && !Array.isArray(tools.allowFunctions)) {
+    throw new Error(`${source}: tools.allowFunctions must be a list`);
+  }
+  if (systemInstruction && typeof systemInstruction.text !== 'string') {
+    throw new Error(`${source}: systemInstruction.text must be a string`);
+  }
+  return policy;
+}
+
+// The API also takes the proto field names, so `code_execution` or `system_instruction`
+// would otherwise get past the checks below. Setup and tool keys are renamed to camelCase,
+// the camelCase spelling wins when a client sends both.
+const toCamelCase = (key) => key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+function camelCaseKeys(object) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    return object;
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    const camel = toCamelCase(key);
+    if (camel !== key && Object.prototype.hasOwnProperty.call(object, camel)) continue;
+    result[camel] = value;
+  }
+  return result;
+}
+
+function normalizeSetup(setup) {
+  const normalized = camelCaseKeys(setup);
+  if (Array.isArray(normalized.tools)) {
+    normalized.tools = normalized.tools.map(camelCaseKeys);
+  }
+  return normalized;
+}
+
+/**
+ * Apply the policy to a setup payload.
+ * Returns { setup, violations, rejected, reason, renamed } where `setup` is a rewritten copy
+ * and `renamed` tells whether any snake_case keys were renamed.
+ */
+function applySetupPolicy(policy, clientSetup) {
+  const setup = normalizeSetup(clientSetup);
+  const renamed = JSON.stringify(setup) !== JSON.stringify(clientSetup);
+  const result = { setup: { ...setup }, violations: [], rejected: false, reason: '', renamed };
+  const reject = (reason) => {
+    result.violations.push(reason);
+    result.rejected = true;
+    result.reason = reason;
+    return result;
+  };
+
+  const modelPolicy = policy.model || {};
+  if (modelPolicy.allow) {
+    const allowed = modelPolicy.allow.map(normalizeModel);
+    if (!allowed.includes(normalizeModel(setup.model))) {
+      const violation = `model "${setup.model}" is not allowed`;
+      if (modelPolicy.onViolation !== 'rewrite') {
+        return reject(violation);
+      }
+      result.violations.push(`${violation}, using "${modelPolicy.default}"`);
+      result.setup.model = modelPolicy.default;
+    }
+  }
+
+  const toolPolicy = policy.tools || {};
+  if (Array.isArray(setup.tools) && (toolPolicy.deny || toolPolicy.allowFunctions)) {
+    const denied = toolPolicy.deny || [];
+    const tools = [];
+    for (const tool of setup.tools) {
+      const deniedKey = Object.keys(tool).find((key) => denied.includes(key));
+      if (deniedKey) {
+        result.violations.push(`tool "${deniedKey}" is not allowed`);
+        continue;
+      }
+      if (tool.functionDeclarations && toolPolicy.allowFunctions) {
+        const functionDeclarations = tool.functionDeclarations.filter((fd) => {
+          const allowed = toolPolicy.allowFunctions.includes(fd.name);
+          if (!allowed) result.violations.push(`function "${fd.name}" is not allowed`);
+          return allowed;
+        });
+        if (functionDeclarations.length) {
+          tools.push({ ...tool, functionDeclarations });
+        }
+        continue;
+      }
+      tools.push(tool);
+    }
+    if (toolPolicy.onViolation === 'reject' && result.violations.length) {
+      return reject(result.violations[result.violations.length - 1]);
+    }
+    result.setup.tools = tools;
+  }
+
+  if (policy.systemInstruction) {
+    const clientParts = (setup.systemInstruction && setup.systemInstruction.parts) || [];
+    result.setup.systemInstruction = {
+      ...setup.systemInstruction,
+      parts: [{ text: policy.systemInstruction.text }, ...clientParts],
+    };
+  }
+
+  return result;
+}
+
+// Per-connection gate for client frames.
+// inspect(frame) -> { forward } with the (possibly rewritten) frame, or { reject: reason }
+function createSetupGuard(policy) {
+  let seenSetup = false;
+
+  return {
+    inspect(frame) {
+      if (!policy) {
+        return { forward: frame, violations: [] };
+      }
+      const message = parseJsonFrame(frame);
+      const isSetup = Boolean(message && message.setup);
+
+      if (seenSetup) {
+        return isSetup
+          ? { reject: 'Policy violation: setup may only be sent once', violations: ['repeated setup'] }
+          : { forward: frame, violations: [] };
+      }
+      if (!isSetup) {
+        return { reject: 'Policy violation: first message must be setup', violations: ['missing setup'] };
+      }
+      seenSetup = true;
+
+      const result = applySetupPolicy(policy, message.setup);
+      if (result.rejected) {
+        return { reject: `Policy violation: ${result.reason}`, violations: result.violations };
+      }
+      const forward = result.violations.length || result.renamed || policy.systemInstruction
+        ? JSON.stringify({ ...message, setup: result.setup })
+        : frame;
+      return { forward, violations: result.violations };
+    },
+  };
+}
+
+function policyFromEnv(env = process.env) {
+  return env.PROXY_POLICY_FILE ? loadPolicy(env.PROXY_POLICY_FILE) : null;
+}
+
+module.exports = {
+  POLICY_CLOSE_CODE,
+  applySetupPolicy,
+  createSetupGuard,
+  loadPolicy,
+  policyFromEnv,
+  validatePolicy,
+};
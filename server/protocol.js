@@ -0,0 +1,80 @@
+// Helpers for inspecting Live API frames relayed by the proxy.
+// `ws` hands us Buffers (or Buffer arrays for fragmented frames), never strings.
+
+const CLIENT_TO_UPSTREAM = 'client->upstream';
+const UPSTREAM_TO_CLIENT = 'upstream->client';
+
+// The frame's raw bytes, for binary payloads that must not go through UTF-8
+function frameToBuffer(data) {
+  if (Array.isArray(data)) return Buffer.concat(data);
+  return Buffer.from(data);
+}
+
+function frameToString(data) {
+  if (typeof data === 'string') return data;
+  return frameToBuffer(data).toString('utf8');
+}
+
+// Parsed JSON object, or null for anything that isn't a JSON object
+function parseJsonFrame(data) {
+  try {
+    const message = JSON.parse(frameToString(data));
+    return message && typeof message === 'object' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Top-level key of a Live API message (setup, realtimeInput, serverContent, ...)
+function messageType(message) {
+  return message ? Object.keys(message)[0] : undefined;
+}
+
+// Close reasons are limited to 123 bytes of UTF-8
+function truncateReason(reason) {
+  const text = String(reason || '');
+  if (Buffer.byteLength(text) <= 123) return text;
+  let truncated = text.slice(0, 120);
+  while (Buffer.byteLength(`${truncated}...`) > 123) {
+    truncated = truncated.slice(0, -1);
+  }
+  return `${truncated}...`;
+}
+
+// Stable names for the close codes the proxy closes clients with
+const PROXY_ERROR_CODES = {
+  1007: 'invalid_argument',
+  1008: 'policy_violation',
+  1009: 'message_too_big',
+  1011: 'internal_error',
+  1012: 'service_restart',
+  1013: 'try_again_later',
+  4401: 'unauthorized',
+};
+
+// Codes after which the client may reconnect right away
+const RETRYABLE_CLOSE_CODES = [1012, 1013];
+
+// `{ proxyError }` envelope sent to the client ahead of an error close, so it
+// gets the cause as data rather than a 123 byte close reason
+function proxyErrorMessage(closeCode, message) {
+  return {
+    proxyError: {
+      code: PROXY_ERROR_CODES[closeCode] || 'closed',
+      message: String(message || ''),
+      closeCode,
+      retryable: RETRYABLE_CLOSE_CODES.includes(closeCode),
+    },
+  };
+}
+
+module.exports = {
+  CLIENT_TO_UPSTREAM,
+  UPSTREAM_TO_CLIENT,
+  frameToBuffer,
+  frameToString,
+  messageType,
+  parseJsonFrame,
+  proxyErrorMessage,
+  truncateReason,
+};
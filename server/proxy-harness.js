@@ -0,0 +1,97 @@
+// Helpers for tests that run the proxy against the mock upstream
+const WebSocket = require('ws');
+
+const { createMockUpstream } = require('./mock-upstream');
+const { createProxy, proxyConfigFromEnv } = require('./proxy');
+
+const setup = { setup: { model: 'models/gemini-2.0-flash-live-001', generationConfig: { responseModalities: ['TEXT'] } } };
+const say = (text) => ({ clientContent: { turns: [{ role: 'user', parts: [{ text }] }], turnComplete: true } });
+
+const listening = (emitter) => new Promise((resolve) => emitter.once('listening', resolve));
+
+// Mock upstream and proxy on free ports, torn down after the test.
+// `configure` can adjust the proxy config for what the environment can't express
+async function startProxy(t, scenario, env = {}, configure = () => {}) {
+  t.mock.method(console, 'log', () => {});
+  const upstream = createMockUpstream({ port: 0, scenario: { name: 'test', onSetup: [], rules: [], ...scenario } });
+  await listening(upstream);
+  const config = proxyConfigFromEnv({
+    GEMINI_API_KEY: 'test-key',
+    LIVE_API_UPSTREAM_URL: `ws://localhost:${upstream.address().port}`,
+    PROXY_KEEPALIVE_INTERVAL_MS: '0',
+    ...env,
+  });
+  configure(config);
+  const proxy = createProxy(config);
+  proxy.server.listen(0);
+  await listening(proxy.server);
+  t.after(() => {
+    proxy.wss.clients.forEach((ws) => ws.terminate());
+    proxy.server.close();
+    upstream.clients.forEach((ws) => ws.terminate());
+    upstream.close();
+  });
+  return { proxy, upstream, url: `ws://localhost:${proxy.server.address().port}` };
+}
+
+// Polls until `check` holds, for effects the proxy has no event for
+async function eventually(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const logged = (type) => console.log.mock.calls.filter((call) => call.arguments.some((a) => String(a).includes(type)));
+
+// A console stand-in that can wait for the next message of a given kind
+async function connectClient(url) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    messages.push(message);
+    waiters.filter((w) => w.match(message)).forEach((w) => {
+      waiters.splice(waiters.indexOf(w), 1);
+      w.resolve(message);
+    });
+  });
+  ws.closed = new Promise((resolve) => ws.on('close', (code, reason) => resolve({ code, reason: `${reason}` })));
+  ws.next = (match) =>
+    new Promise((resolve) => {
+      const seen = messages.find(match);
+      if (seen) {
+        messages.splice(messages.indexOf(seen), 1);
+        resolve(seen);
+      } else {
+        waiters.push({ match, resolve });
+      }
+    });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return ws;
+}
+
+// Every JSON message the mock upstream receives, from all connections
+function receivedUpstream(upstream) {
+  const messages = [];
+  upstream.on('connection', (ws) => {
+    ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+  });
+  return messages;
+}
+
+module.exports = {
+  connectClient,
+  eventually,
+  listening,
+  logged,
+  receivedUpstream,
+  say,
+  setup,
+  startProxy,
+};
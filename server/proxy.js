@@ -0,0 +1,646 @@
+// WebSocket proxy between the console and the Gemini Live API.
+//
+// Every client gets its own upstream connection. Frames in both directions run
+// through one ordered middleware pipeline (pipeline.js); the built-in stack is
+//   rate-limit, client-disconnect, setup-validation, setup-policy, server-tools, PROXY_MIDDLEWARE modules,
+//   session-handles, metrics, recorder, log
+// and each entry sees the frame as left by the ones before it.
+//
+// Configuration comes from the environment (proxyConfigFromEnv):
+//   LIVE_API_VERSION                  v1beta (default) or v1alpha
+//   LIVE_API_UPSTREAM_URL             replaces the Google endpoint, e.g. server/mock-upstream.js
+//   PROXY_KEEPALIVE_INTERVAL_MS       ping interval towards the client, 0 disables (default 30000)
+//   PROXY_QUEUE_UNTIL_UPSTREAM_OPEN   queue client frames while upstream connects (default true);
+//                                     "false" closes the client with 1012 instead
+//   PROXY_TRANSPARENT_RESUMPTION      resume the upstream session on goAway or a dropped
+//                                     connection without closing the client (default true)
+//   PROXY_DRAIN_TIMEOUT_MS            grace period for sessions on SIGTERM/SIGINT (default 25000)
+//   PROXY_LOG_FRAMES                  log every relayed frame
+//   PROXY_VALIDATE_SETUP              reject setup messages the Live API would refuse, with
+//                                     the offending fields in the close reason (default true);
+//                                     "strict" also rejects unknown options and voices
+//   PROXY_MIDDLEWARE                  comma separated list of extra middleware modules
+//   PROXY_TOOLS_MODULE                tools run by the proxy itself (see tools.js)
+// plus the auth, rate limit, policy and recording variables of the other modules.
+const http = require('http');
+const WebSocket = require('ws');
+const {
+  AUTH_CLOSE_CODE,
+  authOptionsFromEnv,
+  createAuthenticator,
+  handleAuthenticatedUpgrades,
+  handleProtocols,
+} = require('./auth');
+const { createHttpHandler, createProxyMetrics } = require('./metrics');
+const {
+  clientDisconnect,
+  frameMetrics,
+  loadMiddlewareModules,
+  logFrames,
+  rateLimit,
+  recordFrames,
+  sessionHandles,
+  setupPolicy,
+  setupValidation,
+} = require('./middleware');
+const { createFrame, createPipeline } = require('./pipeline');
+const { loadPolicy } = require('./policy');
+const { CLIENT_TO_UPSTREAM, UPSTREAM_TO_CLIENT, proxyErrorMessage, truncateReason } = require('./protocol');
+const { clientIp, createRateLimiter, rateLimitOptionsFromEnv } = require('./rate-limit');
+const { loadRecording, recorderOptionsFromEnv, replaySession } = require('./recorder');
+const { loadToolRegistry, serverTools } = require('./tools');
+
+const WS_CLOSE_CODES = {
+  NORMAL_CLOSURE: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  ABNORMAL_CLOSURE: 1006,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+  INTERNAL_ERROR: 1011,
+  SERVICE_RESTART: 1012,
+  TRY_AGAIN_LATER: 1013,
+  UNAUTHORIZED: AUTH_CLOSE_CODE,
+};
+
+const DEFAULT_API_VERSION = 'v1beta';
+const DEFAULT_KEEPALIVE_INTERVAL_MS = 30000;
+
+// Transparent resumption: upstream closes worth a resume, and how hard to try
+const RESUMABLE_CLOSE_CODES = [WS_CLOSE_CODES.GOING_AWAY, WS_CLOSE_CODES.ABNORMAL_CLOSURE, WS_CLOSE_CODES.SERVICE_RESTART];
+const MAX_RESUME_ATTEMPTS = 3;
+const RESUME_TIMEOUT_MS = 10000;
+
+// Draining: how long sessions get to wind down, how often to check, and how long
+// closing handshakes may take before sockets are cut
+const DEFAULT_DRAIN_TIMEOUT_MS = 25000;
+const DRAIN_POLL_MS = 250;
+const DRAIN_CLOSE_GRACE_MS = 2000;
+
+class DrainingError extends Error {
+  constructor() {
+    super('Server is shutting down, try again');
+    this.name = 'DrainingError';
+    this.closeCode = WS_CLOSE_CODES.TRY_AGAIN_LATER;
+  }
+}
+
+function liveApiUrl(apiVersion) {
+  return `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.${apiVersion}.GenerativeService.BidiGenerateContent`;
+}
+
+function logMessage(direction, type, data, details = '') {
+  const timestamp = new Date().toISOString();
+  let logData = typeof data === 'object' ? JSON.stringify(data).substring(0, 150) : data;
+  if (logData.length > 150) logData += '...';
+
+  console.log(`[${timestamp}] ${direction} | ${type} | ${logData} ${details ? '| ' + details : ''}`);
+}
+
+// ws throws on codes it may not send (1005, 1006, 1015, ...) and on long reasons
+function safeClose(ws, code, reason) {
+  const invalidCodes = [1004, 1005, 1006, 1015];
+  const validCode = typeof code === 'number' && code >= 1000 && code <= 4999 && !invalidCodes.includes(code)
+    ? code
+    : WS_CLOSE_CODES.NORMAL_CLOSURE;
+  try {
+    ws.close(validCode, truncateReason(Buffer.isBuffer(reason) ? reason.toString('utf8') : reason));
+  } catch (error) {
+    logMessage('PROXY', 'ERROR', `Error closing WebSocket: ${error.message}`);
+    try {
+      ws.terminate();
+    } catch {}
+  }
+}
+
+function proxyConfigFromEnv(env = process.env) {
+  return {
+    port: Number(env.PORT || 8080),
+    apiKey: env.GEMINI_API_KEY,
+    apiVersion: env.LIVE_API_VERSION || DEFAULT_API_VERSION,
+    upstreamUrl: env.LIVE_API_UPSTREAM_URL,
+    keepaliveIntervalMs: env.PROXY_KEEPALIVE_INTERVAL_MS !== undefined
+      ? Number(env.PROXY_KEEPALIVE_INTERVAL_MS)
+      : DEFAULT_KEEPALIVE_INTERVAL_MS,
+    queueUntilUpstreamOpen: env.PROXY_QUEUE_UNTIL_UPSTREAM_OPEN !== 'false',
+    transparentResumption: env.PROXY_TRANSPARENT_RESUMPTION !== 'false',
+    drainTimeoutMs: env.PROXY_DRAIN_TIMEOUT_MS !== undefined
+      ? Number(env.PROXY_DRAIN_TIMEOUT_MS)
+      : DEFAULT_DRAIN_TIMEOUT_MS,
+    logFrames: env.PROXY_LOG_FRAMES === 'true',
+    validateSetup: env.PROXY_VALIDATE_SETUP !== 'false',
+    strictSetupValidation: env.PROXY_VALIDATE_SETUP === 'strict',
+    middlewareModules: (env.PROXY_MIDDLEWARE || '').split(',').map((m) => m.trim()).filter(Boolean),
+    policyFile: env.PROXY_POLICY_FILE,
+    toolsModule: env.PROXY_TOOLS_MODULE,
+    auth: authOptionsFromEnv(env),
+    rateLimit: rateLimitOptionsFromEnv(env),
+    recorder: recorderOptionsFromEnv(env),
+  };
+}
+
+function buildMiddleware(config, { metrics, policy, tools }) {
+  return [
+    rateLimit(),
+    clientDisconnect(),
+    config.validateSetup ? setupValidation({ strict: config.strictSetupValidation }) : null,
+    setupPolicy(policy),
+    serverTools(tools),
+    ...loadMiddlewareModules(config.middlewareModules, config),
+    sessionHandles(),
+    frameMetrics(metrics),
+    recordFrames(config.recorder),
+    config.logFrames ? logFrames() : null,
+  ];
+}
+
+/**
+ * Create the HTTP server, WebSocket server and pipeline without listening.
+ * Returns { server, wss, metrics, pipeline, authenticator, policy, tools, drain, replayFile }.
+ */
+function createProxy(config) {
+  const replayEntries = config.recorder.replayFile ? loadRecording(config.recorder.replayFile) : null;
+  if (!config.apiKey && !config.upstreamUrl && !replayEntries) {
+    throw new Error('GEMINI_API_KEY environment variable not set');
+  }
+
+  const targetUrl = `${config.upstreamUrl || liveApiUrl(config.apiVersion)}?key=${config.apiKey || ''}`;
+  const metrics = createProxyMetrics();
+  const authenticator = createAuthenticator(config.auth);
+  const rateLimiter = createRateLimiter(config.rateLimit);
+  const policy = config.policyFile ? loadPolicy(config.policyFile) : null;
+  const tools = config.toolsModule ? loadToolRegistry(config.toolsModule) : null;
+  const pipeline = createPipeline(buildMiddleware(config, { metrics, policy, tools }));
+
+  let drainState = null;
+  const server = http.createServer(createHttpHandler({
+    metrics,
+    isReady: () => server.listening && !drainState,
+    drainStatus: () => ({
+      draining: Boolean(drainState),
+      activeSessions: wss.clients.size,
+      deadline: drainState ? new Date(drainState.deadline).toISOString() : null,
+    }),
+  }));
+  const wss = new WebSocket.Server({ noServer: true, handleProtocols });
+
+  // A failing quota store (e.g. Redis down) while a session ends is logged, it must not end the process
+  function closeQuota(quota, client) {
+    return quota.close().catch((error) => {
+      logMessage('PROXY', 'ERROR', `Session quota for ${client} not released: ${error.message}`);
+    });
+  }
+
+  // Authenticate and enforce session quotas during the upgrade, before any upstream connection exists
+  handleAuthenticatedUpgrades(server, wss, authenticator, {
+    onReject: (req, error) => {
+      const code = error.closeCode || AUTH_CLOSE_CODE;
+      let type = code === WS_CLOSE_CODES.TRY_AGAIN_LATER ? 'RATE_LIMITED' : 'UNAUTHORIZED';
+      if (error instanceof DrainingError) type = 'DRAINING';
+      logMessage('CLIENT', type, `Rejected client from ${req.socket.remoteAddress}: ${error.message}`);
+      metrics.connectionRejected(code);
+    },
+    admit: async (req) => {
+      if (drainState) {
+        throw new DrainingError();
+      }
+      const ip = clientIp(req, config.rateLimit.trustForwardedFor);
+      req.quota = await rateLimiter.openSession({ identity: req.identity, ip });
+      return () => closeQuota(req.quota, `client from ${req.socket.remoteAddress}`);
+    },
+  });
+
+  wss.on('connection', (clientWs, req) => {
+    const connectionId = Math.random().toString(36).substring(2, 10);
+    logMessage('CLIENT', 'CONNECT', `Client ${connectionId} (${req.identity.subject}) connected from ${req.socket.remoteAddress}`);
+    metrics.clientConnected();
+
+    if (replayEntries) {
+      clientWs.on('close', (code) => {
+        closeQuota(req.quota, `client ${connectionId}`);
+        metrics.clientDisconnected(code);
+      });
+      replaySession(replayEntries, clientWs, (message) => logMessage('PROXY', 'REPLAY', `Client ${connectionId}: ${message}`));
+      return;
+    }
+
+    relaySession(clientWs, req, connectionId);
+  });
+
+  function relaySession(clientWs, req, connectionId) {
+    const pendingUpstream = [];
+    let upstreamWs = null;
+    let intentionalDisconnect = false;
+    let inbound = Promise.resolve();
+    let outbound = Promise.resolve();
+
+    // Transparent resumption: the setup as sent upstream, and the replacement socket during a swap
+    let setupMessage = null;
+    let replacement = null;
+    let resumeAttempts = 0;
+    const retired = new WeakSet();
+
+    const session = {
+      id: connectionId,
+      identity: req.identity,
+      req,
+      quota: req.quota,
+      config,
+      closing: false,
+      resumptionHandle: null,
+      log: logMessage,
+
+      sendToClient(data) {
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+        // binary frames, consoles before text frame support only decoded those
+        clientWs.send(typeof data === 'string' ? Buffer.from(data) : data);
+      },
+
+      sendToUpstream(data) {
+        if (replacement) {
+          // swapping upstream sockets, hold everything until the resumed session is set up
+          pendingUpstream.push(data);
+        } else if (upstreamWs.readyState === WebSocket.OPEN) {
+          upstreamWs.send(data);
+        } else if (upstreamWs.readyState === WebSocket.CONNECTING && config.queueUntilUpstreamOpen) {
+          pendingUpstream.push(data);
+        } else {
+          logMessage('PROXY', 'ERROR', `Upstream not open, cannot forward message from client ${connectionId}`);
+          session.closeClient(WS_CLOSE_CODES.SERVICE_RESTART, 'Backend connection unavailable, please reconnect');
+        }
+      },
+
+      closeClient(code, reason) {
+        session.closing = true;
+        pendingUpstream.length = 0;
+        if (clientWs.readyState === WebSocket.OPEN) {
+          logMessage('CLIENT', 'CLOSING', `Closing client ${connectionId}: ${code} - ${reason}`);
+          if (code !== WS_CLOSE_CODES.NORMAL_CLOSURE) {
+            session.sendToClient(JSON.stringify(proxyErrorMessage(code, reason)));
+          }
+          safeClose(clientWs, code, reason);
+        }
+      },
+
+      // The console's own disconnect: end upstream normally and stop relaying its frames
+      requestDisconnect() {
+        intentionalDisconnect = true;
+        pendingUpstream.length = 0;
+        abandonReplacement();
+        safeClose(upstreamWs, WS_CLOSE_CODES.NORMAL_CLOSURE, 'Client requested disconnect');
+      },
+    };
+
+    function failSession(error) {
+      if (error.closeCode) {
+        session.closeClient(error.closeCode, error.message);
+        return;
+      }
+      logMessage('PROXY', 'ERROR', `Client ${connectionId}: ${error.stack || error.message}`);
+      session.closeClient(WS_CLOSE_CODES.INTERNAL_ERROR, 'Internal proxy error');
+    }
+
+    function flushPending(ws) {
+      while (pendingUpstream.length > 0) {
+        ws.send(pendingUpstream.shift());
+      }
+    }
+
+    // Remember the setup for resumption; ask for resumption handles if the client didn't
+    function prepareSetup(frame) {
+      const message = frame.message;
+      if (!message || !message.setup || setupMessage) return;
+      if (config.transparentResumption && !message.setup.sessionResumption) {
+        frame.setMessage({ ...message, setup: { ...message.setup, sessionResumption: {} } });
+      }
+      setupMessage = frame.message;
+    }
+
+    function resumedSetup() {
+      const { setup } = setupMessage;
+      return JSON.stringify({
+        ...setupMessage,
+        setup: { ...setup, sessionResumption: { ...setup.sessionResumption, handle: session.resumptionHandle } },
+      });
+    }
+
+    function abandonReplacement() {
+      if (!replacement) return;
+      const { ws, timer } = replacement;
+      replacement = null;
+      retired.add(ws);
+      clearTimeout(timer);
+      safeClose(ws, WS_CLOSE_CODES.NORMAL_CLOSURE, 'Resumption abandoned');
+    }
+
+    /**
+     * Replace the upstream socket with a new one resuming the same Live API session.
+     * Returns false when that isn't possible and the caller should fall back to
+     * closing (or warning) the client.
+     */
+    function resumeUpstream(reason) {
+      if (replacement) return true;
+      if (!config.transparentResumption || session.closing || intentionalDisconnect) return false;
+      if (!setupMessage || !session.resumptionHandle) return false;
+      if (resumeAttempts >= MAX_RESUME_ATTEMPTS) {
+        logMessage('PROXY', 'RESUME', `Client ${connectionId}: giving up after ${resumeAttempts} attempts`);
+        return false;
+      }
+
+      resumeAttempts++;
+      logMessage('PROXY', 'RESUME', `Client ${connectionId}: ${reason}, resuming ${session.resumptionHandle} (attempt ${resumeAttempts})`);
+      const ws = connectUpstream();
+      const timer = setTimeout(() => {
+        if (!replacement || replacement.ws !== ws) return;
+        logMessage('PROXY', 'RESUME', `Client ${connectionId}: resumed session not ready after ${RESUME_TIMEOUT_MS} ms`);
+        failResume();
+      }, RESUME_TIMEOUT_MS);
+      replacement = { ws, reason, timer };
+      ws.on('open', () => ws.send(resumedSetup()));
+      return true;
+    }
+
+    function failResume() {
+      metrics.upstreamResumed(false);
+      abandonReplacement();
+      // with goAway the old socket may still be usable, otherwise the client has to reconnect
+      if (upstreamWs.readyState === WebSocket.OPEN) {
+        flushPending(upstreamWs);
+      } else {
+        session.closeClient(WS_CLOSE_CODES.SERVICE_RESTART, 'Backend service restarting, please reconnect');
+      }
+    }
+
+    // The resumed session answered setupComplete: make it the upstream and retire the old one
+    function completeResume() {
+      const { ws, reason, timer } = replacement;
+      clearTimeout(timer);
+      replacement = null;
+      const previous = upstreamWs;
+      upstreamWs = ws;
+      retired.add(previous);
+      if (previous.readyState === WebSocket.OPEN || previous.readyState === WebSocket.CONNECTING) {
+        safeClose(previous, WS_CLOSE_CODES.NORMAL_CLOSURE, 'Session resumed on a new connection');
+      }
+      resumeAttempts = 0;
+      metrics.upstreamResumed(true);
+      logMessage('PROXY', 'RESUME', `Client ${connectionId}: upstream resumed, flushing ${pendingUpstream.length} frames`);
+      flushPending(ws);
+      session.sendToClient(JSON.stringify({ proxyEvent: { type: 'upstreamResumed', reason } }));
+    }
+
+    const keepalive = config.keepaliveIntervalMs > 0
+      ? setInterval(() => {
+          if (clientWs.readyState === WebSocket.OPEN) clientWs.ping();
+        }, config.keepaliveIntervalMs)
+      : null;
+
+    pipeline.notify('open', session);
+
+    // --- Upstream -> client ---
+    function connectUpstream() {
+      const ws = new WebSocket(targetUrl);
+      const upstreamMetrics = metrics.trackUpstream();
+      const isReplacement = () => Boolean(replacement && replacement.ws === ws);
+      logMessage('UPSTREAM', 'CONNECTING', `Connecting to the Live API for client ${connectionId}`);
+
+      ws.on('open', () => {
+        logMessage('UPSTREAM', 'CONNECTED', `Connected to the Live API for client ${connectionId}`);
+        upstreamMetrics.open();
+        if (isReplacement()) return;
+        pipeline.notify('upstreamOpen', session);
+        flushPending(ws);
+      });
+
+      ws.on('message', (data) => {
+        if (retired.has(ws)) return;
+        if (isReplacement()) {
+          const frame = createFrame(UPSTREAM_TO_CLIENT, data);
+          // the resumed session's setupComplete is the proxy's business, not the client's
+          if (frame.message && frame.message.setupComplete) {
+            completeResume();
+            return;
+          }
+        }
+        outbound = outbound
+          .then(() => pipeline.outbound(createFrame(UPSTREAM_TO_CLIENT, data), session))
+          .then((frame) => {
+            if (!frame || intentionalDisconnect) return;
+            if (frame.message && frame.message.goAway && resumeUpstream('goAway')) return;
+            session.sendToClient(frame.data);
+          })
+          .catch(failSession);
+      });
+
+      ws.on('close', (code, reason) => {
+        const reasonStr = reason ? reason.toString() : '';
+        upstreamMetrics.closed(code);
+        if (retired.has(ws)) return;
+        logMessage('UPSTREAM', 'DISCONNECT', `Live API closed for client ${connectionId}: ${code} - ${reasonStr || 'No reason'}`);
+
+        if (isReplacement()) {
+          failResume();
+          return;
+        }
+        // after a goAway the old socket may end before the replacement is ready
+        if (replacement) return;
+        pipeline.notify('upstreamClose', session, code, reasonStr);
+        if (clientWs.readyState !== WebSocket.OPEN) return;
+
+        if (RESUMABLE_CLOSE_CODES.includes(code) && resumeUpstream(`upstream closed with ${code}`)) {
+          return;
+        }
+        // Tell the client to reconnect when the backend goes away or drops the connection
+        if (code === WS_CLOSE_CODES.GOING_AWAY) {
+          session.closeClient(WS_CLOSE_CODES.SERVICE_RESTART, 'Backend service restarting, please reconnect');
+        } else if (code === WS_CLOSE_CODES.ABNORMAL_CLOSURE) {
+          session.closeClient(WS_CLOSE_CODES.INTERNAL_ERROR, 'Backend connection lost');
+        } else {
+          session.closeClient(code, reasonStr);
+        }
+      });
+
+      ws.on('error', (error) => {
+        if (session.closing || retired.has(ws)) return;
+        logMessage('UPSTREAM', 'ERROR', `Live API error for client ${connectionId}: ${error.message}`);
+        // a failed replacement is handled by its close event, the old socket keeps serving
+        if (isReplacement()) return;
+        if (!resumeUpstream('upstream error')) {
+          session.closeClient(WS_CLOSE_CODES.INTERNAL_ERROR, 'Backend service error');
+        }
+      });
+
+      return ws;
+    }
+
+    try {
+      upstreamWs = connectUpstream();
+    } catch (error) {
+      logMessage('UPSTREAM', 'ERROR', `Failed to create WebSocket: ${error.message}`);
+      clearInterval(keepalive);
+      session.closeClient(WS_CLOSE_CODES.INTERNAL_ERROR, 'Failed to connect to backend service');
+      return;
+    }
+
+    // --- Client -> upstream ---
+    clientWs.on('message', (data) => {
+      inbound = inbound
+        .then(() => pipeline.inbound(createFrame(CLIENT_TO_UPSTREAM, data), session))
+        .then((frame) => {
+          if (!frame || intentionalDisconnect) return;
+          prepareSetup(frame);
+          session.sendToUpstream(frame.data);
+        })
+        .catch(failSession);
+    });
+
+    clientWs.on('close', (code, reason) => {
+      session.closing = true;
+      pendingUpstream.length = 0;
+      clearInterval(keepalive);
+      abandonReplacement();
+      logMessage('CLIENT', 'DISCONNECT', `Client ${connectionId} disconnected: ${code} - ${reason || 'No reason'}`);
+      closeQuota(session.quota, `client ${connectionId}`);
+      metrics.clientDisconnected(code);
+      pipeline.notify('close', session, code, String(reason || ''));
+
+      if (upstreamWs.readyState === WebSocket.OPEN || upstreamWs.readyState === WebSocket.CONNECTING) {
+        const normal = intentionalDisconnect || code === WS_CLOSE_CODES.NORMAL_CLOSURE;
+        safeClose(upstreamWs, normal ? WS_CLOSE_CODES.NORMAL_CLOSURE : code, normal ? 'Client disconnected normally' : reason);
+      }
+    });
+
+    clientWs.on('error', (error) => {
+      logMessage('CLIENT', 'ERROR', `Client ${connectionId} error: ${error.message}`);
+      if (upstreamWs.readyState === WebSocket.OPEN) {
+        safeClose(upstreamWs, WS_CLOSE_CODES.INTERNAL_ERROR, 'Client connection error');
+      }
+    });
+
+    if (config.logFrames) {
+      clientWs.on('pong', () => logMessage('CLIENT', 'PONG', `Received pong from client ${connectionId}`));
+    }
+  }
+
+  /**
+   * Stop taking connections, tell every client to go away within `timeoutMs`, wait
+   * for the sessions to end and close the rest with 1012. Resolves once the HTTP
+   * server is closed; calling it again returns the same promise.
+   */
+  function drain({ timeoutMs = config.drainTimeoutMs } = {}) {
+    if (drainState) return drainState.done;
+
+    const deadline = Date.now() + timeoutMs;
+    logMessage('PROXY', 'DRAIN', `Draining ${wss.clients.size} sessions, closing them in ${timeoutMs} ms at the latest`);
+    metrics.setDraining(true);
+
+    // same shape as the Live API's goAway (timeLeft is a Duration string, fractions
+    // allowed), so the console handles it the same way. Never more than the real timeout
+    const goAway = Buffer.from(JSON.stringify({ goAway: { timeLeft: `${Math.floor(timeoutMs) / 1000}s` } }));
+    wss.clients.forEach((ws) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(goAway);
+    });
+
+    const done = new Promise((resolve) => {
+      const poll = setInterval(() => {
+        if (wss.clients.size > 0 && Date.now() < deadline) return;
+        clearInterval(poll);
+
+        if (wss.clients.size > 0) {
+          logMessage('PROXY', 'DRAIN', `Deadline reached, closing ${wss.clients.size} sessions`);
+        }
+        wss.clients.forEach((ws) => safeClose(ws, WS_CLOSE_CODES.SERVICE_RESTART, 'Server restarting, please reconnect'));
+
+        const closeBy = Date.now() + DRAIN_CLOSE_GRACE_MS;
+        const finish = setInterval(() => {
+          if (wss.clients.size > 0 && Date.now() < closeBy) return;
+          clearInterval(finish);
+          wss.clients.forEach((ws) => ws.terminate());
+          server.close(() => resolve());
+          server.closeIdleConnections();
+        }, DRAIN_POLL_MS);
+      }, DRAIN_POLL_MS);
+    });
+
+    drainState = { deadline, done };
+    return done;
+  }
+
+  return { server, wss, metrics, pipeline, authenticator, policy, tools, drain, replayFile: config.recorder.replayFile };
+}
+
+async function logAvailableModels(apiKey, apiVersion) {
+  try {
+    const response = await fetch(`https://generativelanguage.googleapis.com/${apiVersion}/models?key=${apiKey}`);
+    const data = await response.json();
+    console.log('Available models:', (data.models || []).map((m) => m.name));
+  } catch (error) {
+    console.warn(`Could not list models: ${error.message}`);
+  }
+}
+
+// Create the proxy from `config`, listen on config.port and drain on SIGTERM/SIGINT
+function startProxy(config) {
+  let proxy;
+  try {
+    proxy = createProxy(config);
+  } catch (error) {
+    console.error(`FATAL ERROR: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!proxy.authenticator.enabled) {
+    console.warn('WARNING: client authentication disabled. Set PROXY_AUTH_SECRET, PROXY_AUTH_JWKS_FILE or PROXY_AUTH_VERIFIER.');
+  }
+  if (proxy.policy) {
+    console.log(`Setup policy loaded from ${config.policyFile}`);
+  }
+  if (proxy.tools) {
+    console.log(`Server tools from ${config.toolsModule}: ${proxy.tools.names.join(', ')}`);
+  }
+  console.log(`Middleware: ${proxy.pipeline.names.join(', ')}`);
+
+  proxy.server.listen(config.port, () => {
+    if (proxy.replayFile) {
+      console.log(`Replay mode: serving ${proxy.replayFile} instead of the Live API`);
+    } else if (config.upstreamUrl) {
+      console.log(`Using custom upstream ${config.upstreamUrl}`);
+    } else {
+      console.log(`Using Live API ${config.apiVersion}`);
+      logAvailableModels(config.apiKey, config.apiVersion);
+    }
+    console.log(`Proxy server listening on ws://localhost:${config.port}`);
+  });
+
+  // First signal drains, a second one exits right away
+  let draining = false;
+  const shutdown = (signal) => {
+    if (draining) {
+      console.log(`${signal} signal received again: exiting without waiting for sessions`);
+      process.exit(1);
+    }
+    draining = true;
+    console.log(`${signal} signal received: draining sessions for up to ${config.drainTimeoutMs} ms`);
+    proxy.drain().then(() => {
+      console.log('HTTP server closed');
+      process.exit(0);
+    });
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return proxy;
+}
+
+module.exports = {
+  WS_CLOSE_CODES,
+  DrainingError,
+  createProxy,
+  liveApiUrl,
+  logMessage,
+  proxyConfigFromEnv,
+  safeClose,
+  startProxy,
+};
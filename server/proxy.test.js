@@ -0,0 +1,106 @@
+const assert = require('assert');
+const { mock, test } = require('node:test');
+const WebSocket = require('ws');
+
+const { connectClient, eventually, logged, say, setup, startProxy } = require('./proxy-harness');
+const { MemoryStore } = require('./rate-limit');
+
+test('resumes the upstream session when it drops, without closing the client', async (t) => {
+  const { upstream, url } = await startProxy(t, {
+    onSetup: [{ sessionResumptionUpdate: true }],
+    rules: [
+      { match: { type: 'clientContent', text: 'drop' }, actions: [{ close: { code: 1012, reason: 'restarting' } }] },
+      { match: { type: 'clientContent' }, actions: [{ text: 'still here' }, { turnComplete: true }] },
+    ],
+  });
+  const setups = [];
+  upstream.on('connection', (ws) => {
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.setup) setups.push(message.setup);
+    });
+  });
+
+  const client = await connectClient(url);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  const { sessionResumptionUpdate } = await client.next((m) => m.sessionResumptionUpdate);
+
+  client.send(JSON.stringify(say('drop')));
+  const { proxyEvent } = await client.next((m) => m.proxyEvent);
+  assert.deepStrictEqual(proxyEvent, { type: 'upstreamResumed', reason: 'upstream closed with 1012' });
+
+  client.send(JSON.stringify(say('hello')));
+  const reply = await client.next((m) => m.serverContent && m.serverContent.modelTurn);
+  assert.strictEqual(reply.serverContent.modelTurn.parts[0].text, 'still here');
+
+  // the proxy asked for handles itself and resumed with the latest one
+  assert.strictEqual(setups.length, 2);
+  assert.deepStrictEqual(setups[0].sessionResumption, {});
+  assert.strictEqual(setups[1].sessionResumption.handle, sessionResumptionUpdate.newHandle);
+  // the resumed session's setupComplete stays with the proxy
+  assert.strictEqual(client.readyState, WebSocket.OPEN);
+  client.close();
+});
+
+test('closes the client when resumption is off', async (t) => {
+  const { url } = await startProxy(
+    t,
+    {
+      onSetup: [{ sessionResumptionUpdate: true }],
+      rules: [{ match: { type: 'clientContent' }, actions: [{ close: { code: 1012, reason: 'restarting' } }] }],
+    },
+    { PROXY_TRANSPARENT_RESUMPTION: 'false' },
+  );
+  const client = await connectClient(url);
+  client.send(JSON.stringify({ setup: { ...setup.setup, sessionResumption: {} } }));
+  await client.next((m) => m.sessionResumptionUpdate);
+  client.send(JSON.stringify(say('drop')));
+  const { code } = await client.closed;
+  assert.strictEqual(code, 1012);
+});
+
+test('draining sends a goAway with a Duration and closes the rest with 1012', async (t) => {
+  const { proxy, url } = await startProxy(t, {});
+  const leaving = await connectClient(url);
+  const staying = await connectClient(url);
+  [leaving, staying].forEach((client) => client.send(JSON.stringify(setup)));
+  await Promise.all([leaving, staying].map((client) => client.next((m) => m.setupComplete)));
+
+  const drained = proxy.drain({ timeoutMs: 1200 });
+  const { goAway } = await leaving.next((m) => m.goAway);
+  assert.deepStrictEqual(goAway, { timeLeft: '1.2s' });
+  leaving.close();
+
+  // no new sessions while draining
+  const rejected = new WebSocket(url);
+  const code = await new Promise((resolve) => rejected.on('close', resolve));
+  assert.strictEqual(code, 1013);
+
+  assert.strictEqual((await staying.closed).code, 1012);
+  await drained;
+  assert.strictEqual(proxy.server.listening, false);
+});
+
+test('logs a failing quota store when a session ends instead of crashing', async (t) => {
+  const store = new MemoryStore();
+  store.release = async () => {
+    throw new Error('store down');
+  };
+  const { url } = await startProxy(t, {}, { RATE_LIMIT_MAX_SESSIONS: '5' }, (config) => {
+    config.rateLimit.store = store;
+  });
+  const unhandled = mock.fn();
+  process.on('unhandledRejection', unhandled);
+  t.after(() => process.off('unhandledRejection', unhandled));
+
+  const client = await connectClient(url);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  client.close();
+
+  await eventually(() => logged('not released').length);
+  assert.match(logged('not released')[0].arguments.join(' '), /store down/);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.strictEqual(unhandled.mock.callCount(), 0);
+});
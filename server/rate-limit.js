@@ -0,0 +1,228 @@
+// Per-client rate limiting and usage quotas for the WebSocket proxy.
+//
+// Limits apply independently to the authenticated identity and to the client IP:
+//   messagesPerSecond       frames relayed from the browser per second
+//   bytesPerMinute          payload bytes relayed from the browser per minute
+//   maxConcurrentSessions   open proxy sessions at the same time
+//   sessionMinutesPerDay    total connected minutes per rolling day window
+// Unset or zero means unlimited. Clients over a limit are closed with 1013
+// ("try again later"), which the console already treats as recoverable.
+//
+// Counters live behind a small store interface so they can be shared between proxy
+// instances. Every method may return a promise:
+//   incr(key, amount, windowMs) -> count in the current fixed window after adding `amount`
+//   get(key)                    -> count in the current window (0 when expired)
+//   acquire(key)                -> concurrent count after incrementing
+//   release(key)                -> decrement a concurrent count
+const RATE_LIMIT_CLOSE_CODE = 1013;
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+const SESSION_TICK_MS = 15 * SECOND;
+
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.closeCode = RATE_LIMIT_CLOSE_CODE;
+  }
+}
+
+// Default store, only correct for a single proxy instance
+class MemoryStore {
+  constructor({ sweepIntervalMs = MINUTE } = {}) {
+    this.windows = new Map();
+    this.concurrent = new Map();
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  incr(key, amount, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += amount;
+    return window.count;
+  }
+
+  get(key) {
+    const window = this.windows.get(key);
+    return window && Date.now() < window.resetAt ? window.count : 0;
+  }
+
+  acquire(key) {
+    const count = (this.concurrent.get(key) || 0) + 1;
+    this.concurrent.set(key, count);
+    return count;
+  }
+
+  release(key) {
+    const count = (this.concurrent.get(key) || 0) - 1;
+    if (count > 0) {
+      this.concurrent.set(key, count);
+    } else {
+      this.concurrent.delete(key);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (now >= window.resetAt) this.windows.delete(key);
+    }
+  }
+}
+
+// Behind a load balancer the socket address is the balancer's, opt in to trusting
+// X-Forwarded-For only when the proxy can't be reached directly
+function clientIp(req, trustForwardedFor = false) {
+  if (trustForwardedFor) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function createRateLimiter({ store = new MemoryStore(), limits = {} } = {}) {
+  const {
+    messagesPerSecond = 0,
+    bytesPerMinute = 0,
+    maxConcurrentSessions = 0,
+    sessionMinutesPerDay = 0,
+  } = limits;
+  const enabled = Boolean(
+    messagesPerSecond || bytesPerMinute || maxConcurrentSessions || sessionMinutesPerDay,
+  );
+
+  // Anonymous clients all share one identity, so only their IP is meaningful
+  function subjectsFor(identity, ip) {
+    const subjects = [`ip:${ip}`];
+    if (identity && !identity.anonymous) {
+      subjects.push(`id:${identity.subject}`);
+    }
+    return subjects;
+  }
+
+  async function openSession({ identity, ip }) {
+    const subjects = subjectsFor(identity, ip);
+    const acquired = [];
+
+    async function releaseAll() {
+      await Promise.all(acquired.map((s) => store.release(`sessions:${s}`)));
+      acquired.length = 0;
+    }
+
+    if (sessionMinutesPerDay) {
+      for (const subject of subjects) {
+        if ((await store.get(`minutes:${subject}`)) >= sessionMinutesPerDay) {
+          throw new RateLimitError(`Daily session quota of ${sessionMinutesPerDay} minutes used up`);
+        }
+      }
+    }
+
+    if (maxConcurrentSessions) {
+      for (const subject of subjects) {
+        const count = await store.acquire(`sessions:${subject}`);
+        acquired.push(subject);
+        if (count > maxConcurrentSessions) {
+          await releaseAll();
+          throw new RateLimitError(`Too many concurrent sessions (max ${maxConcurrentSessions})`);
+        }
+      }
+    }
+
+    let lastTick = Date.now();
+    let ticker = null;
+    let closed = false;
+
+    async function accountMinutes() {
+      const now = Date.now();
+      const minutes = (now - lastTick) / MINUTE;
+      lastTick = now;
+      let exceeded = false;
+      for (const subject of subjects) {
+        const used = await store.incr(`minutes:${subject}`, minutes, DAY);
+        if (used >= sessionMinutesPerDay) exceeded = true;
+      }
+      return exceeded;
+    }
+
+    return {
+      subjects,
+
+      // Reject the frame (and the session) once any per-subject window overflows
+      async checkMessage(bytes) {
+        for (const subject of subjects) {
+          if (messagesPerSecond && (await store.incr(`msgs:${subject}`, 1, SECOND)) > messagesPerSecond) {
+            throw new RateLimitError(`Message rate above ${messagesPerSecond}/s`);
+          }
+          if (bytesPerMinute && (await store.incr(`bytes:${subject}`, bytes, MINUTE)) > bytesPerMinute) {
+            throw new RateLimitError(`Byte rate above ${bytesPerMinute}/min`);
+          }
+        }
+      },
+
+      // Periodically charge connected time and report when the daily quota runs out.
+      // A failing store (e.g. Redis down) goes to `onError` and is retried on the next tick.
+      watch(onExceeded, onError = () => {}) {
+        if (!sessionMinutesPerDay || ticker) return;
+        ticker = setInterval(async () => {
+          let exceeded;
+          try {
+            exceeded = await accountMinutes();
+          } catch (error) {
+            onError(error);
+            return;
+          }
+          if (exceeded) {
+            onExceeded(new RateLimitError(`Daily session quota of ${sessionMinutesPerDay} minutes used up`));
+          }
+        }, SESSION_TICK_MS);
+        ticker.unref();
+      },
+
+      async close() {
+        if (closed) return;
+        closed = true;
+        clearInterval(ticker);
+        // free the concurrent slots even when charging the last minutes fails
+        try {
+          if (sessionMinutesPerDay) {
+            await accountMinutes();
+          }
+        } finally {
+          await releaseAll();
+        }
+      },
+    };
+  }
+
+  return { enabled, openSession };
+}
+
+function rateLimitOptionsFromEnv(env = process.env) {
+  return {
+    limits: {
+      messagesPerSecond: Number(env.RATE_LIMIT_MESSAGES_PER_SEC) || 0,
+      bytesPerMinute: Number(env.RATE_LIMIT_BYTES_PER_MIN) || 0,
+      maxConcurrentSessions: Number(env.RATE_LIMIT_MAX_SESSIONS) || 0,
+      sessionMinutesPerDay: Number(env.RATE_LIMIT_SESSION_MINUTES_PER_DAY) || 0,
+    },
+    trustForwardedFor: env.PROXY_TRUST_FORWARDED_FOR === 'true',
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_CLOSE_CODE,
+  MemoryStore,
+  RateLimitError,
+  clientIp,
+  createRateLimiter,
+  rateLimitOptionsFromEnv,
+};
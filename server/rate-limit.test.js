@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { mock, test } = require('node:test');
+
+const { MemoryStore, RATE_LIMIT_CLOSE_CODE, RateLimitError, createRateLimiter } = require('./rate-limit');
+
+const client = (subject, ip = '10.0.0.1') => ({ identity: { subject, anonymous: false }, ip });
+const limiter = (limits) => createRateLimiter({ store: new MemoryStore(), limits });
+
+// lets the async interval callback run to completion
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test('rejects messages over the per-second limit', async () => {
+  const session = await limiter({ messagesPerSecond: 2 }).openSession(client('alice'));
+  await session.checkMessage(10);
+  await session.checkMessage(10);
+  await assert.rejects(session.checkMessage(10), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.strictEqual(error.closeCode, RATE_LIMIT_CLOSE_CODE);
+    return true;
+  });
+  await session.close();
+});
+
+test('limits concurrent sessions per identity and frees them on close', async () => {
+  const rateLimiter = limiter({ maxConcurrentSessions: 1 });
+  const first = await rateLimiter.openSession(client('alice', '10.0.0.1'));
+  // same identity from another address
+  await assert.rejects(rateLimiter.openSession(client('alice', '10.0.0.2')), /concurrent sessions/);
+  const other = await rateLimiter.openSession(client('bob', '10.0.0.3'));
+  await first.close();
+  const again = await rateLimiter.openSession(client('alice', '10.0.0.2'));
+  await Promise.all([other.close(), again.close()]);
+});
+
+test('reports an exhausted daily quota while connected', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const store = new MemoryStore();
+  const rateLimiter = createRateLimiter({ store, limits: { sessionMinutesPerDay: 1 } });
+  const session = await rateLimiter.openSession(client('alice'));
+  const exceeded = mock.fn();
+  session.watch(exceeded);
+
+  store.incr('minutes:id:alice', 1, 60 * 60 * 1000);
+  t.mock.timers.tick(15000);
+  await settle();
+  assert.strictEqual(exceeded.mock.callCount(), 1);
+  assert.match(exceeded.mock.calls[0].arguments[0].message, /quota of 1 minutes used up/);
+  await session.close();
+});
+
+test('reports store failures while connected instead of rejecting', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const store = new MemoryStore();
+  const rateLimiter = createRateLimiter({ store, limits: { sessionMinutesPerDay: 60 } });
+  const session = await rateLimiter.openSession(client('alice'));
+  const exceeded = mock.fn();
+  const failed = mock.fn();
+  session.watch(exceeded, failed);
+
+  const unhandled = mock.fn();
+  process.on('unhandledRejection', unhandled);
+  t.after(() => process.off('unhandledRejection', unhandled));
+
+  store.incr = async () => {
+    throw new Error('store unavailable');
+  };
+  t.mock.timers.tick(15000);
+  await settle();
+  assert.strictEqual(failed.mock.callCount(), 1);
+  assert.match(failed.mock.calls[0].arguments[0].message, /store unavailable/);
+  assert.strictEqual(exceeded.mock.callCount(), 0);
+  assert.strictEqual(unhandled.mock.callCount(), 0);
+
+  // the next tick tries again
+  t.mock.timers.tick(15000);
+  await settle();
+  assert.strictEqual(failed.mock.callCount(), 2);
+});
+
+test('frees concurrent sessions on close even when charging minutes fails', async () => {
+  const store = new MemoryStore();
+  const rateLimiter = createRateLimiter({ store, limits: { maxConcurrentSessions: 1, sessionMinutesPerDay: 60 } });
+  const session = await rateLimiter.openSession(client('alice'));
+  store.incr = async () => {
+    throw new Error('store down');
+  };
+  await assert.rejects(session.close(), /store down/);
+  assert.strictEqual(store.concurrent.size, 0);
+});
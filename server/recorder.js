@@ -0,0 +1,215 @@
+// Opt-in recording of proxied sessions, and replay of a recording to a browser.
+//
+// Every connection gets its own JSONL file in PROXY_RECORD_DIR. The first line
+// describes the session, then one line per frame or close event:
+//   {"type":"session","version":1,"conn":"k3j2h1g0","subject":"alice","startedAt":"..."}
+//   {"type":"frame","t":12,"conn":"k3j2h1g0","dir":"client->upstream","message":{...}}
+//   {"type":"close","t":5012,"conn":"k3j2h1g0","side":"upstream","code":1000,"reason":""}
+// `t` is milliseconds since the connection was accepted. Frames are stored in full;
+// non-JSON frames are kept as base64 in `binary`.
+//
+// With PROXY_RECORD_AUDIO_SIDECARS=true, audio payloads (model audio and microphone
+// chunks) are written as raw PCM files next to the JSONL and replaced by
+// `{ "mimeType": "...", "sidecar": "<file>" }`, which keeps the JSONL readable.
+//
+// PROXY_REPLAY_FILE switches the proxy into replay mode: no upstream connection is
+// made and every upstream->client frame of the recording is sent to the connecting
+// client with its original timing, anchored at the client's first frame.
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { CLIENT_TO_UPSTREAM, UPSTREAM_TO_CLIENT, frameToBuffer, parseJsonFrame } = require('./protocol');
+
+const RECORDING_VERSION = 1;
+
+const NOOP_RECORDER = Object.freeze({
+  enabled: false,
+  file: null,
+  record() {},
+  recordClose() {},
+  close() {
+    return Promise.resolve();
+  },
+});
+
+function isAudio(mimeType) {
+  return typeof mimeType === 'string' && mimeType.startsWith('audio/');
+}
+
+// Collect every audio blob object in a message so its data can move to a sidecar
+function audioBlobs(message) {
+  const blobs = [];
+  const parts =
+    (message.serverContent && message.serverContent.modelTurn && message.serverContent.modelTurn.parts) || [];
+  parts.forEach((part) => {
+    if (part.inlineData && isAudio(part.inlineData.mimeType)) blobs.push(part.inlineData);
+  });
+  const realtimeInput = message.realtimeInput || {};
+  (realtimeInput.mediaChunks || []).forEach((chunk) => {
+    if (isAudio(chunk.mimeType)) blobs.push(chunk);
+  });
+  if (realtimeInput.audio && isAudio(realtimeInput.audio.mimeType)) {
+    blobs.push(realtimeInput.audio);
+  }
+  return blobs;
+}
+
+function recorderOptionsFromEnv(env = process.env) {
+  return {
+    dir: env.PROXY_RECORD_DIR,
+    audioSidecars: env.PROXY_RECORD_AUDIO_SIDECARS === 'true',
+    replayFile: env.PROXY_REPLAY_FILE,
+  };
+}
+
+function createSessionRecorder({ dir, audioSidecars = false }, { connectionId, subject = 'anonymous' }) {
+  if (!dir) {
+    return NOOP_RECORDER;
+  }
+
+  const startedAt = Date.now();
+  const base = `${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}-${connectionId}`;
+  const file = path.join(dir, `${base}.jsonl`);
+  const sidecarDir = path.join(dir, `${base}.audio`);
+  let sidecarCount = 0;
+  let closed = false;
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (audioSidecars) {
+    fs.mkdirSync(sidecarDir, { recursive: true });
+  }
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  stream.on('error', (error) => {
+    console.error(`Recorder for ${connectionId} failed: ${error.message}`);
+    closed = true;
+  });
+
+  const write = (entry) => {
+    if (!closed) stream.write(`${JSON.stringify(entry)}\n`);
+  };
+  const elapsed = () => Date.now() - startedAt;
+
+  function moveAudioToSidecars(message) {
+    audioBlobs(message).forEach((blob) => {
+      const name = `${String(++sidecarCount).padStart(5, '0')}.pcm`;
+      fs.writeFile(path.join(sidecarDir, name), Buffer.from(blob.data, 'base64'), (error) => {
+        if (error) console.error(`Recorder for ${connectionId} could not write ${name}: ${error.message}`);
+      });
+      delete blob.data;
+      blob.sidecar = path.join(path.basename(sidecarDir), name);
+    });
+    return message;
+  }
+
+  write({
+    type: 'session',
+    version: RECORDING_VERSION,
+    conn: connectionId,
+    subject,
+    startedAt: new Date(startedAt).toISOString(),
+  });
+
+  return {
+    enabled: true,
+    file,
+
+    record(direction, frame) {
+      const entry = { type: 'frame', t: elapsed(), conn: connectionId, dir: direction };
+      const message = parseJsonFrame(frame);
+      if (message) {
+        entry.message = audioSidecars ? moveAudioToSidecars(message) : message;
+      } else {
+        entry.binary = frameToBuffer(frame).toString('base64');
+      }
+      write(entry);
+    },
+
+    recordClose(side, code, reason) {
+      write({ type: 'close', t: elapsed(), conn: connectionId, side, code, reason: String(reason || '') });
+    },
+
+    // resolves once the file is flushed
+    close() {
+      if (closed) return Promise.resolve();
+      closed = true;
+      return new Promise((resolve) => stream.end(resolve));
+    },
+  };
+}
+
+// Read a recording back, re-inlining sidecar audio
+function loadRecording(file) {
+  const dir = path.dirname(file);
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line))
+    .map((entry) => {
+      if (entry.message) {
+        audioBlobs(entry.message).forEach((blob) => {
+          if (blob.sidecar) {
+            blob.data = fs.readFileSync(path.join(dir, blob.sidecar)).toString('base64');
+            delete blob.sidecar;
+          }
+        });
+      }
+      return entry;
+    });
+}
+
+/**
+ * Serve a recorded session to `clientWs`. Upstream frames and the upstream close are
+ * replayed relative to the recorded first client frame, so the client's own setup
+ * starts the clock just like it did originally. Returns a function that cancels replay.
+ */
+function replaySession(entries, clientWs, log = () => {}) {
+  const frames = entries.filter((e) => e.type === 'frame');
+  const firstClientFrame = frames.find((e) => e.dir === CLIENT_TO_UPSTREAM);
+  const origin = firstClientFrame ? firstClientFrame.t : 0;
+  const timers = [];
+  let started = false;
+
+  const events = entries.filter(
+    (e) => (e.type === 'frame' && e.dir === UPSTREAM_TO_CLIENT) || (e.type === 'close' && e.side === 'upstream'),
+  );
+
+  function start() {
+    if (started) return;
+    started = true;
+    log(`replaying ${events.length} events`);
+    events.forEach((entry) => {
+      timers.push(
+        setTimeout(() => {
+          if (clientWs.readyState !== WebSocket.OPEN) return;
+          if (entry.type === 'close') {
+            clientWs.close(entry.code >= 1000 && entry.code !== 1005 && entry.code !== 1006 ? entry.code : 1000, entry.reason);
+          } else if (entry.message) {
+            clientWs.send(Buffer.from(JSON.stringify(entry.message)));
+          } else {
+            clientWs.send(Buffer.from(entry.binary, 'base64'));
+          }
+        }, Math.max(0, entry.t - origin)),
+      );
+    });
+  }
+
+  // client frames only start the clock, nothing is sent anywhere
+  clientWs.on('message', start);
+  if (!firstClientFrame) {
+    start();
+  }
+
+  const cancel = () => timers.forEach(clearTimeout);
+  clientWs.on('close', cancel);
+  return cancel;
+}
+
+module.exports = {
+  CLIENT_TO_UPSTREAM,
+  UPSTREAM_TO_CLIENT,
+  createSessionRecorder,
+  loadRecording,
+  recorderOptionsFromEnv,
+  replaySession,
+};
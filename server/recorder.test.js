@@ -0,0 +1,58 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const WebSocket = require('ws');
+
+const {
+  CLIENT_TO_UPSTREAM,
+  UPSTREAM_TO_CLIENT,
+  createSessionRecorder,
+  loadRecording,
+  replaySession,
+} = require('./recorder');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+
+// collects what replay sends to the browser
+function fakeClient() {
+  const client = new EventEmitter();
+  client.readyState = WebSocket.OPEN;
+  client.sent = [];
+  client.send = (data) => client.sent.push(data);
+  client.close = (code) => {
+    client.closedWith = code;
+    client.readyState = WebSocket.CLOSED;
+    client.emit('close');
+  };
+  return client;
+}
+
+test('records and replays binary frames byte for byte', async () => {
+  const dir = tempDir();
+  const recorder = createSessionRecorder({ dir }, { connectionId: 'c1' });
+  // 16-bit PCM, not valid UTF-8
+  const pcm = Buffer.from([0x00, 0x80, 0xff, 0x7f, 0xfe, 0xff, 0xc3, 0x28]);
+  recorder.record(CLIENT_TO_UPSTREAM, Buffer.from(JSON.stringify({ setup: { model: 'm' } })));
+  recorder.record(UPSTREAM_TO_CLIENT, pcm);
+  // fragmented frames arrive as a list of buffers
+  recorder.record(UPSTREAM_TO_CLIENT, [pcm.subarray(0, 3), pcm.subarray(3)]);
+  recorder.recordClose('upstream', 1000, 'done');
+  await recorder.close();
+
+  const entries = loadRecording(recorder.file);
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.type),
+    ['session', 'frame', 'frame', 'frame', 'close'],
+  );
+  assert.deepStrictEqual(entries[1].message, { setup: { model: 'm' } });
+
+  const client = fakeClient();
+  replaySession(entries, client);
+  client.emit('message', Buffer.from('{"setup":{}}'));
+  await new Promise((resolve) => client.on('close', resolve));
+  assert.deepStrictEqual(client.sent, [pcm, pcm]);
+  assert.strictEqual(client.closedWith, 1000);
+});
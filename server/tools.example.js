@@ -0,0 +1,44 @@
+// Example PROXY_TOOLS_MODULE. These tools run inside the proxy process, so they can
+// use secrets and private services that must never reach the browser.
+//
+//   PROXY_TOOLS_MODULE=./server/tools.example.js npm run start-server
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+module.exports = [
+  {
+    declaration: {
+      name: 'get_server_time',
+      description: 'Returns the current time on the server, as an ISO 8601 string.',
+    },
+    async handler() {
+      return { time: new Date().toISOString() };
+    },
+  },
+  {
+    declaration: {
+      name: 'lookup_order',
+      description: 'Looks up the shipping status of an order.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          orderId: { type: 'STRING', description: 'The order number, e.g. A-1042' },
+        },
+        required: ['orderId'],
+      },
+    },
+    timeoutMs: 5000,
+    // `identity` is the authenticated client (see server/auth.js), `signal` aborts on
+    // toolCallCancellation, timeout or disconnect
+    async handler({ orderId }, { signal, identity }) {
+      await sleep(300, signal); // stands in for a database query
+      return { orderId, status: 'shipped', requestedBy: identity.subject };
+    },
+  },
+];
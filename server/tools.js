@@ -0,0 +1,165 @@
+// Tools executed by the proxy instead of the browser (database lookups, calls that
+// need secrets, ...).
+//
+// PROXY_TOOLS_MODULE points at a module exporting a list of tools:
+//   module.exports = [{
+//     declaration: { name: 'lookup_order', description: '...', parameters: {...} },
+//     async handler(args, { signal, call, identity }) { return { status: 'shipped' }; },
+//     timeoutMs: 10000,   // optional
+//   }];
+// Their declarations are added to the client's setup. Matching function calls from
+// the Live API are answered by the proxy and never reach the browser; the rest of a
+// toolCall is forwarded as usual. toolCallCancellation aborts `signal`.
+const path = require('path');
+
+function validateTool(tool, source) {
+  const declaration = tool && tool.declaration;
+  if (!declaration || typeof declaration.name !== 'string') {
+    throw new Error(`${source}: every tool needs a declaration with a name`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`${source}: tool "${declaration.name}" has no handler function`);
+  }
+  return tool;
+}
+
+function createToolRegistry(tools, source = 'tools') {
+  const byName = new Map();
+  tools.forEach((tool) => {
+    validateTool(tool, source);
+    if (byName.has(tool.declaration.name)) {
+      throw new Error(`${source}: tool "${tool.declaration.name}" is defined twice`);
+    }
+    byName.set(tool.declaration.name, tool);
+  });
+  return {
+    names: [...byName.keys()],
+    declarations: [...byName.values()].map((tool) => tool.declaration),
+    get: (name) => byName.get(name),
+    has: (name) => byName.has(name),
+  };
+}
+
+function loadToolRegistry(file) {
+  const exported = require(path.resolve(file));
+  const tools = Array.isArray(exported) ? exported : exported.tools;
+  if (!Array.isArray(tools)) {
+    throw new Error(`${file}: expected module.exports to be a list of tools`);
+  }
+  return createToolRegistry(tools, file);
+}
+
+// Add the server declarations to setup.tools; a client declaration with the same name is replaced
+function injectDeclarations(setup, registry) {
+  const tools = (setup.tools || []).map((tool) =>
+    tool.functionDeclarations
+      ? { ...tool, functionDeclarations: tool.functionDeclarations.filter((fd) => !registry.has(fd.name)) }
+      : tool,
+  );
+  const withFunctions = tools.find((tool) => tool.functionDeclarations);
+  if (withFunctions) {
+    withFunctions.functionDeclarations.push(...registry.declarations);
+  } else {
+    tools.push({ functionDeclarations: registry.declarations });
+  }
+  return { ...setup, tools: tools.filter((tool) => !tool.functionDeclarations || tool.functionDeclarations.length) };
+}
+
+// Settles as soon as `signal` aborts, even if the handler ignores it
+function runTool(tool, call, { signal, identity }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    Promise.resolve()
+      .then(() => tool.handler(call.args || {}, { signal, call, identity }))
+      .then((response) => resolve(response === undefined ? {} : response), reject);
+  });
+}
+
+/**
+ * Middleware running the registry's tools for each session.
+ */
+function serverTools(registry) {
+  if (!registry || !registry.names.length) return null;
+  // session -> { running: Map(call id -> { controller, cancelled }), ids: Set of every server call id }
+  const sessions = new WeakMap();
+
+  function execute(session, call) {
+    const tool = registry.get(call.name);
+    const entry = { controller: new AbortController(), cancelled: false };
+    const calls = sessions.get(session).running;
+    sessions.get(session).ids.add(call.id);
+    calls.set(call.id, entry);
+    session.log('PROXY', 'SERVER_TOOL', `Client ${session.id} running ${call.name} (${call.id})`);
+
+    const timer = tool.timeoutMs
+      ? setTimeout(() => entry.controller.abort(new Error(`${call.name} timed out after ${tool.timeoutMs} ms`)), tool.timeoutMs)
+      : null;
+
+    runTool(tool, call, { signal: entry.controller.signal, identity: session.identity })
+      .catch((error) => ({ error: error && error.message ? error.message : String(error) }))
+      .then((response) => {
+        clearTimeout(timer);
+        calls.delete(call.id);
+        // cancelled calls get no response, the model has moved on
+        if (entry.cancelled || session.closing) return;
+        session.log('PROXY', 'SERVER_TOOL', `Client ${session.id} answering ${call.name} (${call.id})`);
+        session.sendToUpstream(
+          JSON.stringify({ toolResponse: { functionResponses: [{ id: call.id, name: call.name, response }] } }),
+        );
+      });
+  }
+
+  function cancel(entry, reason) {
+    entry.cancelled = true;
+    entry.controller.abort(new Error(reason));
+  }
+
+  return {
+    name: 'server-tools',
+    open(session) {
+      sessions.set(session, { running: new Map(), ids: new Set() });
+    },
+    inbound(frame) {
+      const message = frame.message;
+      if (message && message.setup) {
+        frame.setMessage({ ...message, setup: injectDeclarations(message.setup, registry) });
+      }
+      return frame;
+    },
+    outbound(frame, session) {
+      const message = frame.message;
+      if (message && message.toolCall) {
+        const functionCalls = message.toolCall.functionCalls || [];
+        const serverCalls = functionCalls.filter((fc) => registry.has(fc.name));
+        if (!serverCalls.length) return frame;
+        serverCalls.forEach((call) => execute(session, call));
+
+        const clientCalls = functionCalls.filter((fc) => !registry.has(fc.name));
+        if (!clientCalls.length) return null;
+        frame.setMessage({ ...message, toolCall: { ...message.toolCall, functionCalls: clientCalls } });
+      } else if (message && message.toolCallCancellation) {
+        const { running, ids: serverIds } = sessions.get(session);
+        const ids = message.toolCallCancellation.ids || [];
+        ids.filter((id) => running.has(id)).forEach((id) => {
+          session.log('PROXY', 'SERVER_TOOL', `Client ${session.id} cancelled ${id}`);
+          cancel(running.get(id), 'cancelled');
+        });
+        const clientIds = ids.filter((id) => !serverIds.has(id));
+        if (clientIds.length === ids.length) return frame;
+        if (!clientIds.length) return null;
+        frame.setMessage({ ...message, toolCallCancellation: { ...message.toolCallCancellation, ids: clientIds } });
+      }
+      return frame;
+    },
+    close(session) {
+      sessions.get(session).running.forEach((entry) => cancel(entry, 'session closed'));
+    },
+  };
+}
+
+module.exports = {
+  createToolRegistry,
+  injectDeclarations,
+  loadToolRegistry,
+  serverTools,
+};
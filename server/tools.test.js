@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+
+const { connectClient, eventually, receivedUpstream, say, setup, startProxy } = require('./proxy-harness');
+const { createToolRegistry, injectDeclarations } = require('./tools');
+
+// A PROXY_TOOLS_MODULE; `aborted` collects the reasons handlers were aborted with
+const TOOLS_MODULE = `
+const aborted = [];
+const untilAborted = (signal) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted.push(signal.reason.message);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+module.exports = {
+  aborted,
+  tools: [
+    { declaration: { name: 'add' }, handler: ({ a, b }) => ({ sum: a + b }) },
+    { declaration: { name: 'wait' }, handler: (args, { signal }) => untilAborted(signal) },
+    { declaration: { name: 'hang' }, timeoutMs: 50, handler: (args, { signal }) => untilAborted(signal) },
+  ],
+};
+`;
+
+function writeToolsModule() {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tools-test-')), 'tools.js');
+  fs.writeFileSync(file, TOOLS_MODULE);
+  return file;
+}
+
+const toolCall = (...names) => ({ toolCall: { functionCalls: names.map((name) => ({ name, args: { a: 1, b: 2 } })) } });
+
+async function startToolsProxy(t, rules) {
+  const toolsModule = writeToolsModule();
+  const started = await startProxy(t, { rules }, { PROXY_TOOLS_MODULE: toolsModule });
+  const upstreamMessages = receivedUpstream(started.upstream);
+  const client = await connectClient(started.url);
+  return { ...started, client, upstreamMessages, aborted: require(toolsModule).aborted };
+}
+
+const toolResponses = (messages) =>
+  messages.filter((m) => m.toolResponse).flatMap((m) => m.toolResponse.functionResponses);
+
+test('adds the server declarations to the setup, replacing client ones with the same name', () => {
+  const registry = createToolRegistry([{ declaration: { name: 'add', description: 'server' }, handler() {} }]);
+  const injected = injectDeclarations(
+    {
+      model: 'm',
+      tools: [{ googleSearch: {} }, { functionDeclarations: [{ name: 'add', description: 'client' }, { name: 'render' }] }],
+    },
+    registry,
+  );
+  assert.deepStrictEqual(injected.tools, [
+    { googleSearch: {} },
+    { functionDeclarations: [{ name: 'render' }, { name: 'add', description: 'server' }] },
+  ]);
+  // a setup without function declarations gets its own entry
+  assert.deepStrictEqual(injectDeclarations({ model: 'm' }, registry).tools, [
+    { functionDeclarations: [{ name: 'add', description: 'server' }] },
+  ]);
+});
+
+test('sends the server declarations upstream', async (t) => {
+  const { client, upstreamMessages } = await startToolsProxy(t, []);
+  client.send(JSON.stringify({ setup: { ...setup.setup, tools: [{ functionDeclarations: [{ name: 'render' }] }] } }));
+  await client.next((m) => m.setupComplete);
+  const sent = upstreamMessages.find((m) => m.setup).setup;
+  assert.deepStrictEqual(
+    sent.tools[0].functionDeclarations.map((fd) => fd.name),
+    ['render', 'add', 'wait', 'hang'],
+  );
+});
+
+test('answers server calls itself and passes the rest to the client', async (t) => {
+  const { client, upstreamMessages } = await startToolsProxy(t, [
+    { match: { type: 'clientContent' }, actions: [toolCall('add', 'render')] },
+  ]);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  client.send(JSON.stringify(say('add and render')));
+
+  const { toolCall: forwarded } = await client.next((m) => m.toolCall);
+  assert.deepStrictEqual(forwarded.functionCalls.map((fc) => fc.name), ['render']);
+
+  await eventually(() => toolResponses(upstreamMessages).length);
+  const [response] = toolResponses(upstreamMessages);
+  assert.strictEqual(response.name, 'add');
+  assert.deepStrictEqual(response.response, { sum: 3 });
+  client.close();
+});
+
+test('drops a toolCall made only of server calls', async (t) => {
+  const { client, upstreamMessages } = await startToolsProxy(t, [
+    { match: { type: 'clientContent', text: 'add' }, actions: [toolCall('add')] },
+    { match: { type: 'clientContent' }, actions: [{ text: 'done' }, { turnComplete: true }] },
+  ]);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  client.send(JSON.stringify(say('add')));
+  await eventually(() => toolResponses(upstreamMessages).length);
+  client.send(JSON.stringify(say('next')));
+  await client.next((m) => m.serverContent && m.serverContent.turnComplete);
+  assert.strictEqual(await Promise.race([client.next((m) => m.toolCall), Promise.resolve('none')]), 'none');
+  client.close();
+});
+
+test('toolCallCancellation aborts server calls and only reaches the client for its own', async (t) => {
+  const { client, upstreamMessages, aborted } = await startToolsProxy(t, [
+    {
+      match: { type: 'clientContent' },
+      actions: [toolCall('wait', 'render'), { delayMs: 50 }, { toolCallCancellation: 'last' }, { delayMs: 50 }],
+    },
+  ]);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  client.send(JSON.stringify(say('wait')));
+
+  const { toolCall: forwarded } = await client.next((m) => m.toolCall);
+  const { toolCallCancellation } = await client.next((m) => m.toolCallCancellation);
+  assert.deepStrictEqual(toolCallCancellation.ids, [forwarded.functionCalls[0].id]);
+  await eventually(() => aborted.length);
+  assert.deepStrictEqual(aborted, ['cancelled']);
+  // the model has moved on, a cancelled call gets no response
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(toolResponses(upstreamMessages), []);
+  client.close();
+});
+
+test('answers with an error when a handler times out', async (t) => {
+  const { client, upstreamMessages, aborted } = await startToolsProxy(t, [
+    { match: { type: 'clientContent' }, actions: [toolCall('hang')] },
+  ]);
+  client.send(JSON.stringify(setup));
+  await client.next((m) => m.setupComplete);
+  client.send(JSON.stringify(say('hang')));
+
+  await eventually(() => toolResponses(upstreamMessages).length);
+  const [response] = toolResponses(upstreamMessages);
+  assert.strictEqual(response.name, 'hang');
+  assert.deepStrictEqual(response.response, { error: 'hang timed out after 50 ms' });
+  assert.deepStrictEqual(aborted, ['hang timed out after 50 ms']);
+  client.close();
+});
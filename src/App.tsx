@@ -21,11 +21,29 @@ import SidePanel from "./components/side-panel/SidePanel";
 import { Altair } from "./components/altair/Altair";
 import ControlTray from "./components/control-tray/ControlTray";
 import cn from "classnames";
+import { AuthTokenProvider } from "./lib/multimodal-live-client";
 
 // Determine the proxy URL (use environment variables for flexibility)
 // For local dev, you might run proxy on 8080. For prod, use wss://your-domain.com
 const proxyUrl = process.env.REACT_APP_PROXY_URL || "ws://localhost:8080"; // Default for local dev
 
+// Credentials for an authenticated proxy. Prefer a token endpoint on your own backend
+// (it receives cookies), a static token is only meant for local development.
+const proxyTokenUrl = process.env.REACT_APP_PROXY_TOKEN_URL;
+const staticProxyToken = process.env.REACT_APP_PROXY_TOKEN;
+const getAuthToken: AuthTokenProvider | undefined = proxyTokenUrl
+  ? async () => {
+      const response = await fetch(proxyTokenUrl, { credentials: "include" });
+      if (!response.ok) {
+        throw new Error(`token endpoint returned ${response.status}`);
+      }
+      const { token } = await response.json();
+      return token;
+    }
+  : staticProxyToken
+    ? () => staticProxyToken
+    : undefined;
+
 function App() {
   // this video reference is used for displaying the active stream, whether that is the webcam or screen capture
   // feel free to style as you see fit
@@ -35,7 +53,7 @@ function App() {
 
   return (
     <div className="App">
-      <LiveAPIProvider proxyUrl={proxyUrl}>
+      <LiveAPIProvider proxyUrl={proxyUrl} getAuthToken={getAuthToken}>
         <div className="streaming-console">
           <SidePanel />
           <main>
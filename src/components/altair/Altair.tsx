@@ -17,7 +17,7 @@ import { type FunctionDeclaration, SchemaType } from "@google/generative-ai";
 import { useEffect, useRef, useState, memo } from "react";
 import vegaEmbed from "vega-embed";
 import { useLiveAPIContext } from "../../contexts/LiveAPIContext";
-import { ToolCall } from "../../multimodal-live-types";
+import { useTool } from "../../hooks/use-tool";
 
 const declaration: FunctionDeclaration = {
   name: "render_altair",
@@ -37,7 +37,7 @@ const declaration: FunctionDeclaration = {
 
 function AltairComponent() {
   const [jsonString, setJSONString] = useState<string>("");
-  const { client, setConfig } = useLiveAPIContext();
+  const { setConfig } = useLiveAPIContext();
 
   useEffect(() => {
     setConfig({
@@ -55,44 +55,21 @@ function AltairComponent() {
           },
         ],
       },
+      inputAudioTranscription: {},
+      outputAudioTranscription: {},
+      // render_altair is added by useTool below
       tools: [
         // there is a free-tier quota for search
         { googleSearch: {} },
-        { functionDeclarations: [declaration] },
       ],
     });
   }, [setConfig]);
 
-  useEffect(() => {
-    const onToolCall = (toolCall: ToolCall) => {
-      console.log(`got toolcall`, toolCall);
-      const fc = toolCall.functionCalls.find(
-        (fc) => fc.name === declaration.name,
-      );
-      if (fc) {
-        const str = (fc.args as any).json_graph;
-        setJSONString(str);
-      }
-      // send data for the response of your tool call
-      // in this case Im just saying it was successful
-      if (toolCall.functionCalls.length) {
-        setTimeout(
-          () =>
-            client.sendToolResponse({
-              functionResponses: toolCall.functionCalls.map((fc) => ({
-                response: { output: { success: true } },
-                id: fc.id,
-              })),
-            }),
-          200,
-        );
-      }
-    };
-    client.on("toolcall", onToolCall);
-    return () => {
-      client.off("toolcall", onToolCall);
-    };
-  }, [client]);
+  // the returned value is sent back as the function response
+  useTool<{ json_graph: string }>(declaration, ({ json_graph }) => {
+    setJSONString(json_graph);
+    return { success: true };
+  });
 
   const embedRef = useRef<HTMLDivElement>(null);
 
@@ -25,9 +25,16 @@ export type AudioPulseProps = {
   active: boolean;
   volume: number;
   hover?: boolean;
+  // the mic's voice activity detection hears the user
+  listening?: boolean;
 };
 
-export default function AudioPulse({ active, volume, hover }: AudioPulseProps) {
+export default function AudioPulse({
+  active,
+  volume,
+  hover,
+  listening,
+}: AudioPulseProps) {
   const lines = useRef<HTMLDivElement[]>([]);
 
   useEffect(() => {
@@ -49,7 +56,7 @@ export default function AudioPulse({ active, volume, hover }: AudioPulseProps) {
   }, [volume]);
 
   return (
-    <div className={c("audioPulse", { active, hover })}>
+    <div className={c("audioPulse", { active, hover, listening })}>
       {Array(lineCount)
         .fill(null)
         .map((_, i) => (
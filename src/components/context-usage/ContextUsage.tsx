@@ -0,0 +1,84 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import cn from "classnames";
+import { useLiveAPIContext } from "../../contexts/LiveAPIContext";
+import { DEFAULT_CONTEXT_WINDOW_COMPRESSION } from "../../lib/token-usage";
+import "./context-usage.scss";
+
+const formatTokens = (tokens: number) =>
+  tokens < 1000 ? `${tokens}` : `${(tokens / 1000).toFixed(1)}k`;
+
+// above this share of the limit the meter turns red
+const WARNING_RATIO = 0.8;
+
+/**
+ * how full the session's context is, and a switch for sliding window compression
+ */
+export default function ContextUsage() {
+  const {
+    config,
+    setConfig,
+    connected,
+    connectionState,
+    tokenUsage,
+    contextTokenLimit,
+  } = useLiveAPIContext();
+
+  const compression = !!config.contextWindowCompression;
+  const ratio = Math.min(1, tokenUsage.contextTokens / contextTokenLimit);
+
+  const toggleCompression = () => {
+    setConfig({
+      ...config,
+      contextWindowCompression: compression
+        ? undefined
+        : DEFAULT_CONTEXT_WINDOW_COMPRESSION,
+    });
+  };
+
+  return (
+    <div className="context-usage">
+      <div
+        className={cn("context-meter", {
+          warning: !compression && ratio >= WARNING_RATIO,
+        })}
+        title={`${tokenUsage.totalTokens} tokens used this session`}
+      >
+        <div className="context-meter-fill" style={{ width: `${ratio * 100}%` }} />
+        <span className="context-meter-label">
+          {formatTokens(tokenUsage.contextTokens)} /{" "}
+          {formatTokens(contextTokenLimit)}
+          {compression ? " until compression" : " context"}
+        </span>
+      </div>
+      <label className="compression-toggle">
+        <input
+          type="checkbox"
+          checked={compression}
+          onChange={toggleCompression}
+          // the setting is sent with the next connect
+          disabled={
+            connected ||
+            connectionState === "connecting" ||
+            connectionState === "reconnecting"
+          }
+        />
+        Compress
+      </label>
+    </div>
+  );
+}
@@ -16,12 +16,24 @@
 
 import cn from "classnames";
 
-import { memo, ReactNode, RefObject, useEffect, useRef, useState } from "react";
+import {
+  memo,
+  ReactNode,
+  RefObject,
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
 import { useLiveAPIContext } from "../../contexts/LiveAPIContext";
 import { UseMediaStreamResult } from "../../hooks/use-media-stream-mux";
 import { useScreenCapture } from "../../hooks/use-screen-capture";
 import { useWebcam } from "../../hooks/use-webcam";
+import { PLAYBACK_RATES } from "../../lib/audio-output-settings";
 import { AudioRecorder } from "../../lib/audio-recorder";
+import { AudioStreamer } from "../../lib/audio-streamer";
+import { VadOptions } from "../../lib/worklets/vad";
+import { LiveConfigError } from "../../multimodal-live-types";
 import AudioPulse from "../audio-pulse/AudioPulse";
 import "./control-tray.scss";
 
@@ -30,6 +42,11 @@ export type ControlTrayProps = {
   children?: ReactNode;
   supportsVideo: boolean;
   onVideoStreamChange?: (stream: MediaStream | null) => void;
+  // KeyboardEvent.code held to talk in push-to-talk mode
+  pushToTalkKey?: string;
+  // thresholds of the mic's voice activity detection, which only sends audio
+  // while the user speaks. `enabled: false` streams everything
+  vad?: Partial<VadOptions>;
 };
 
 type MediaStreamButtonProps = {
@@ -56,8 +73,114 @@ const MediaStreamButton = memo(
     ),
 );
 
+type DeviceSelectProps = {
+  devices: MediaDeviceInfo[];
+  deviceId?: string;
+  onChange: (deviceId?: string) => void;
+  icon: string;
+  // e.g. "Microphone", for the default entry and unlabelled devices
+  kind: string;
+};
+
+/**
+ * picks a mic or a speaker. a native select laid over an icon button, so it
+ * keeps keyboard and screen reader support
+ */
+const DeviceSelect = memo(
+  ({ devices, deviceId, onChange, icon, kind }: DeviceSelectProps) => {
+    const current = devices.find((device) => device.deviceId === deviceId);
+    const defaultLabel = `Default ${kind.toLowerCase()}`;
+    return (
+      <label
+        className="action-button outlined select-button"
+        title={current?.label || defaultLabel}
+      >
+        <span className="material-symbols-outlined">{icon}</span>
+        <select
+          aria-label={kind}
+          value={deviceId || ""}
+          onChange={(e) => onChange(e.target.value || undefined)}
+        >
+          <option value="">{defaultLabel}</option>
+          {devices
+            .filter(
+              (device) => device.deviceId && device.deviceId !== "default",
+            )
+            .map((device, i) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || `${kind} ${i + 1}`}
+              </option>
+            ))}
+        </select>
+      </label>
+    );
+  },
+);
+
+/**
+ * mute, volume and speed of the model's voice
+ */
+const OutputControls = memo(() => {
+  const { audioOutput, setAudioOutput } = useLiveAPIContext();
+  const { volume, muted, playbackRate } = audioOutput;
+  const silent = muted || volume === 0;
+  return (
+    <>
+      <div className="volume-control">
+        <button
+          className="action-button outlined"
+          onClick={() => setAudioOutput({ muted: !muted })}
+          title={muted ? "Unmute" : "Mute"}
+        >
+          <span className="material-symbols-outlined">
+            {silent ? "volume_off" : volume < 0.5 ? "volume_down" : "volume_up"}
+          </span>
+        </button>
+        <input
+          type="range"
+          aria-label="Volume"
+          min={0}
+          max={1}
+          step={0.05}
+          value={muted ? 0 : volume}
+          onChange={(e) =>
+            setAudioOutput({ volume: Number(e.target.value), muted: false })
+          }
+        />
+      </div>
+      <label
+        className="action-button outlined select-button playback-rate"
+        title="Playback speed"
+      >
+        {playbackRate}x
+        <select
+          aria-label="Playback speed"
+          value={playbackRate}
+          onChange={(e) =>
+            setAudioOutput({ playbackRate: Number(e.target.value) })
+          }
+        >
+          {PLAYBACK_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate}x
+            </option>
+          ))}
+        </select>
+      </label>
+    </>
+  );
+});
+
 // Status indicators for different connection states
-const ConnectionStatusIndicator = ({ state, error }: { state: string, error: string | null }) => {
+const ConnectionStatusIndicator = ({
+  state,
+  error,
+  configErrors,
+}: {
+  state: string;
+  error: string | null;
+  configErrors: LiveConfigError[];
+}) => {
   let statusIcon = "info";
   let statusClass = "";
   let statusMessage = state;
@@ -86,15 +209,26 @@ const ConnectionStatusIndicator = ({ state, error }: { state: string, error: str
     case "error":
       statusIcon = "error";
       statusClass = "status-error";
-      statusMessage = error || "Error";
+      statusMessage = configErrors.length ? "Invalid config" : error || "Error";
       break;
   }
 
   return (
-    <div className={`connection-status ${statusClass}`}>
-      <span className="material-symbols-outlined">{statusIcon}</span>
-      <span className="status-text">{statusMessage}</span>
-    </div>
+    <>
+      <div className={`connection-status ${statusClass}`} title={error || undefined}>
+        <span className="material-symbols-outlined">{statusIcon}</span>
+        <span className="status-text">{statusMessage}</span>
+      </div>
+      {state === "error" && configErrors.length > 0 && (
+        <ul className="config-errors">
+          {configErrors.map(({ path, message }) => (
+            <li key={`${path} ${message}`}>
+              {path && <code>{path}</code>} {message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
   );
 };
 
@@ -103,6 +237,8 @@ function ControlTray({
   children,
   onVideoStreamChange = () => {},
   supportsVideo,
+  pushToTalkKey = "Space",
+  vad,
 }: ControlTrayProps) {
   const videoStreams = [useWebcam(), useScreenCapture()];
   const [activeVideoStream, setActiveVideoStream] =
@@ -110,12 +246,92 @@ function ControlTray({
   const [webcam, screenCapture] = videoStreams;
   const [inVolume, setInVolume] = useState(0);
   const [audioRecorder] = useState(() => new AudioRecorder());
+  const [micDevices, setMicDevices] = useState<MediaDeviceInfo[]>([]);
+  const [micDeviceId, setMicDeviceId] = useState<string | undefined>();
+  const [speakers, setSpeakers] = useState<MediaDeviceInfo[]>([]);
   const [muted, setMuted] = useState(false);
+  const [talking, setTalking] = useState(false);
+  const [listening, setListening] = useState(false);
   const renderCanvasRef = useRef<HTMLCanvasElement>(null);
   const connectButtonRef = useRef<HTMLButtonElement>(null);
 
-  const { client, connected, connect, disconnect, volume, connectionState, error } =
-    useLiveAPIContext();
+  const {
+    client,
+    config,
+    setConfig,
+    connected,
+    connect,
+    disconnect,
+    volume,
+    connectionState,
+    error,
+    configErrors,
+    audioOutput,
+    setAudioOutput,
+  } = useLiveAPIContext();
+
+  // push-to-talk is manual activity detection: the server's VAD is off and
+  // the user brackets what they say with activityStart / activityEnd
+  const pushToTalk =
+    !!config.realtimeInputConfig?.automaticActivityDetection?.disabled;
+
+  const togglePushToTalk = () => {
+    const realtimeInputConfig = config.realtimeInputConfig || {};
+    setConfig({
+      ...config,
+      realtimeInputConfig: {
+        ...realtimeInputConfig,
+        automaticActivityDetection: {
+          ...realtimeInputConfig.automaticActivityDetection,
+          disabled: !pushToTalk,
+        },
+      },
+    });
+  };
+
+  const startTalking = useCallback(() => {
+    if (connected) {
+      setTalking(true);
+    }
+  }, [connected]);
+  const stopTalking = useCallback(() => setTalking(false), []);
+
+  useEffect(() => {
+    if (!pushToTalk || !connected) {
+      setTalking(false);
+      return;
+    }
+    // Space belongs to whatever has focus there
+    const isTyping = (target: EventTarget | null) =>
+      target instanceof HTMLElement &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT", "BUTTON"].includes(target.tagName));
+    const onKeyDown = (ev: KeyboardEvent) => {
+      if (ev.code !== pushToTalkKey || isTyping(ev.target)) {
+        return;
+      }
+      // keep Space from also pressing the focused button
+      ev.preventDefault();
+      if (!ev.repeat) {
+        startTalking();
+      }
+    };
+    const onKeyUp = (ev: KeyboardEvent) => {
+      if (ev.code !== pushToTalkKey || isTyping(ev.target)) {
+        return;
+      }
+      ev.preventDefault();
+      stopTalking();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("keyup", onKeyUp);
+    window.addEventListener("blur", stopTalking);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      window.removeEventListener("blur", stopTalking);
+    };
+  }, [pushToTalk, connected, pushToTalkKey, startTalking, stopTalking]);
 
   useEffect(() => {
     if (!connected && connectButtonRef.current) {
@@ -130,23 +346,120 @@ function ControlTray({
   }, [inVolume]);
 
   useEffect(() => {
-    const onData = (base64: string) => {
-      client.sendRealtimeInput([
-        {
-          mimeType: "audio/pcm;rate=16000",
-          data: base64,
-        },
-      ]);
+    const onDeviceLost = () => setMicDeviceId(audioRecorder.deviceId);
+    audioRecorder.on("devices", setMicDevices).on("devicelost", onDeviceLost);
+    const unwatch = audioRecorder.watchDevices();
+    return () => {
+      unwatch();
+      audioRecorder
+        .off("devices", setMicDevices)
+        .off("devicelost", onDeviceLost);
     };
-    if (connected && !muted && audioRecorder) {
-      audioRecorder.on("data", onData).on("volume", setInVolume).start();
-    } else {
-      audioRecorder.stop();
+  }, [audioRecorder]);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.enumerateDevices || !AudioStreamer.canSelectOutput()) {
+      return;
     }
+    const updateSpeakers = () =>
+      mediaDevices
+        .enumerateDevices()
+        .then((devices) =>
+          setSpeakers(devices.filter((device) => device.kind === "audiooutput")),
+        );
+    mediaDevices.addEventListener("devicechange", updateSpeakers);
+    updateSpeakers();
+    return () =>
+      mediaDevices.removeEventListener("devicechange", updateSpeakers);
+  }, []);
+
+  const changeSpeaker = useCallback(
+    (sinkId?: string) => setAudioOutput({ sinkId: sinkId || "" }),
+    [setAudioOutput],
+  );
+
+  // swaps the mic under a running recording, the session keeps going
+  const changeMic = useCallback(
+    (deviceId?: string) => {
+      setMicDeviceId(deviceId);
+      audioRecorder.setDevice(deviceId).catch((e) => {
+        console.error("Could not switch microphones:", e);
+        setMicDeviceId(audioRecorder.deviceId);
+      });
+    },
+    [audioRecorder],
+  );
+
+  // push-to-talk sends whatever is said while the key is held
+  useEffect(() => {
+    audioRecorder.setVad({
+      ...vad,
+      enabled: !pushToTalk && vad?.enabled !== false,
+    });
+  }, [audioRecorder, pushToTalk, vad]);
+
+  // in push-to-talk the mic stays open for the whole session, so a key press
+  // only opens the gate and the start of what is said isn't lost to setup
+  const recording = connected && (pushToTalk || !muted);
+  useEffect(() => {
+    if (!recording) {
+      return;
+    }
+    audioRecorder.start();
+    return () => audioRecorder.stop();
+  }, [recording, audioRecorder]);
+
+  useEffect(() => {
+    // audio went out since the last audioStreamEnd
+    let streamOpen = false;
+    const endStream = () => {
+      if (streamOpen && client.ws) {
+        client.sendAudioStreamEnd();
+      }
+      streamOpen = false;
+    };
+    const onData = (base64: string, mimeType: string) => {
+      streamOpen = true;
+      client.sendRealtimeInput([{ mimeType, data: base64 }]);
+    };
+    const onSpeechStart = () => setListening(true);
+    // the recorder stops sending in silence, so the server's VAD has to be
+    // told that the stream paused
+    const onSpeechEnd = () => {
+      setListening(false);
+      endStream();
+    };
+    const streaming = connected && (pushToTalk ? talking : !muted);
+    if (!streaming) {
+      return;
+    }
+    if (pushToTalk) {
+      client.sendActivityStart();
+    }
+    audioRecorder
+      .on("data", onData)
+      .on("volume", setInVolume)
+      .on("speechstart", onSpeechStart)
+      .on("speechend", onSpeechEnd);
     return () => {
-      audioRecorder.off("data", onData).off("volume", setInVolume);
+      audioRecorder
+        .off("data", onData)
+        .off("volume", setInVolume)
+        .off("speechstart", onSpeechStart)
+        .off("speechend", onSpeechEnd);
+      setListening(false);
+      // only while the session is still up, after the listener is gone so
+      // no chunk can follow the signal
+      if (client.ws) {
+        if (pushToTalk) {
+          client.sendActivityEnd();
+        } else {
+          endStream();
+        }
+      }
     };
-  }, [connected, client, muted, audioRecorder]);
+  }, [connected, client, muted, audioRecorder, pushToTalk, talking]);
 
   useEffect(() => {
     if (videoRef.current) {
@@ -198,6 +511,19 @@ function ControlTray({
     videoStreams.filter((msr) => msr !== next).forEach((msr) => msr.stop());
   };
 
+  const toggleConnection = useCallback(async () => {
+    if (connected) {
+      await disconnect();
+      return;
+    }
+    try {
+      await connect();
+    } catch {
+      // already shown: connect() puts the message, and for an invalid config
+      // every field error, in the hook's state
+    }
+  }, [connected, connect, disconnect]);
+
   // Determine if control buttons should be disabled
   const controlsDisabled = !connected || connectionState === "connecting" || connectionState === "reconnecting";
 
@@ -212,22 +538,62 @@ function ControlTray({
     <section className="control-tray">
       <canvas style={{ display: "none" }} ref={renderCanvasRef} />
       <nav className={cn("actions-nav", { disabled: controlsDisabled })}>
-        <button
-          className={cn("action-button mic-button")}
-          onClick={() => setMuted(!muted)}
-          disabled={controlsDisabled}
-        >
-          {!muted ? (
-            <span className="material-symbols-outlined filled">mic</span>
-          ) : (
-            <span className="material-symbols-outlined filled">mic_off</span>
-          )}
-        </button>
+        {pushToTalk ? (
+          <button
+            className={cn("action-button mic-button push-to-talk", { talking })}
+            onPointerDown={startTalking}
+            onPointerUp={stopTalking}
+            onPointerLeave={stopTalking}
+            onPointerCancel={stopTalking}
+            disabled={controlsDisabled}
+            title={`Hold to talk (${pushToTalkKey})`}
+          >
+            <span className="material-symbols-outlined filled">
+              {talking ? "mic" : "mic_none"}
+            </span>
+          </button>
+        ) : (
+          <button
+            className={cn("action-button mic-button")}
+            onClick={() => setMuted(!muted)}
+            disabled={controlsDisabled}
+          >
+            {!muted ? (
+              <span className="material-symbols-outlined filled">mic</span>
+            ) : (
+              <span className="material-symbols-outlined filled">mic_off</span>
+            )}
+          </button>
+        )}
+
+        <DeviceSelect
+          devices={micDevices}
+          deviceId={micDeviceId}
+          onChange={changeMic}
+          icon="settings_voice"
+          kind="Microphone"
+        />
 
         <div className="action-button no-action outlined">
-          <AudioPulse volume={volume} active={connected} hover={false} />
+          <AudioPulse
+            volume={volume}
+            active={connected}
+            hover={false}
+            listening={listening}
+          />
         </div>
 
+        <OutputControls />
+        {speakers.length > 0 && (
+          <DeviceSelect
+            devices={speakers}
+            deviceId={audioOutput.sinkId}
+            onChange={changeSpeaker}
+            icon="speaker"
+            kind="Speaker"
+          />
+        )}
+
         {supportsVideo && (
           <>
             <MediaStreamButton
@@ -251,6 +617,19 @@ function ControlTray({
 
       <div className={cn("connection-container", { connected })}>
         <div className="connection-button-container">
+          <button
+            className={cn("action-button push-to-talk-toggle", {
+              active: pushToTalk,
+            })}
+            onClick={togglePushToTalk}
+            // the setting is sent with the next connect
+            disabled={connected || connectionState === "connecting" || connectionState === "reconnecting"}
+            title={pushToTalk ? "Push-to-talk (switch to voice activity)" : "Voice activity (switch to push-to-talk)"}
+          >
+            <span className="material-symbols-outlined">
+              {pushToTalk ? "touch_app" : "graphic_eq"}
+            </span>
+          </button>
           <button
             ref={connectButtonRef}
             className={cn("action-button connect-toggle", { 
@@ -258,7 +637,7 @@ function ControlTray({
               connecting: connectionState === "connecting" || connectionState === "reconnecting",
               error: connectionState === "error"
             })}
-            onClick={connected ? disconnect : connect}
+            onClick={toggleConnection}
             disabled={connectionState === "connecting" || connectionState === "reconnecting"}
           >
             <span className="material-symbols-outlined filled">
@@ -266,7 +645,11 @@ function ControlTray({
             </span>
           </button>
         </div>
-        <ConnectionStatusIndicator state={connectionState} error={error} />
+        <ConnectionStatusIndicator
+          state={connectionState}
+          error={error}
+          configErrors={configErrors}
+        />
       </div>
     </section>
   );
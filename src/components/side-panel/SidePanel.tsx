@@ -20,13 +20,18 @@ import { RiSidebarFoldLine, RiSidebarUnfoldLine } from "react-icons/ri";
 import Select from "react-select";
 import { useLiveAPIContext } from "../../contexts/LiveAPIContext";
 import { useLoggerStore } from "../../lib/store-logger";
+import { useTranscriptStore } from "../../lib/store-transcript";
+import ContextUsage from "../context-usage/ContextUsage";
 import Logger, { LoggerFilterType } from "../logger/Logger";
+import Transcript from "../transcript/Transcript";
+import { Transcription } from "../../multimodal-live-types";
 import "./side-panel.scss";
 
 const filterOptions = [
   { value: "conversations", label: "Conversations" },
   { value: "tools", label: "Tool Use" },
   { value: "none", label: "All" },
+  { value: "transcript", label: "Transcript" },
 ];
 
 export default function SidePanel() {
@@ -35,6 +40,8 @@ export default function SidePanel() {
   const loggerRef = useRef<HTMLDivElement>(null);
   const loggerLastHeightRef = useRef<number>(-1);
   const { log, logs } = useLoggerStore();
+  const { turns, addTranscription, completeTurn, interrupt } =
+    useTranscriptStore();
 
   const [textInput, setTextInput] = useState("");
   const [selectedOption, setSelectedOption] = useState<{
@@ -53,7 +60,7 @@ export default function SidePanel() {
         loggerLastHeightRef.current = scrollHeight;
       }
     }
-  }, [logs]);
+  }, [logs, turns]);
 
   // listen for log events and store them
   useEffect(() => {
@@ -63,6 +70,24 @@ export default function SidePanel() {
     };
   }, [client, log]);
 
+  // stitch transcription fragments into turns, also while the pane is hidden
+  useEffect(() => {
+    const onInput = (t: Transcription) => addTranscription("user", t);
+    const onOutput = (t: Transcription) => addTranscription("model", t);
+    client
+      .on("inputtranscription", onInput)
+      .on("outputtranscription", onOutput)
+      .on("turncomplete", completeTurn)
+      .on("interrupted", interrupt);
+    return () => {
+      client
+        .off("inputtranscription", onInput)
+        .off("outputtranscription", onOutput)
+        .off("turncomplete", completeTurn)
+        .off("interrupted", interrupt);
+    };
+  }, [client, addTranscription, completeTurn, interrupt]);
+
   const handleSubmit = () => {
     if (!connected) {
       console.warn("Cannot send message: Not connected.");
@@ -126,10 +151,15 @@ export default function SidePanel() {
             : `⏸️${open ? " Paused" : ""}`}
         </div>
       </section>
+      {open && <ContextUsage />}
       <div className="side-panel-container" ref={loggerRef}>
-        <Logger
-          filter={(selectedOption?.value as LoggerFilterType) || "none"}
-        />
+        {selectedOption?.value === "transcript" ? (
+          <Transcript />
+        ) : (
+          <Logger
+            filter={(selectedOption?.value as LoggerFilterType) || "none"}
+          />
+        )}
       </div>
       <div className={cn("input-container", { disabled: !connected })}>
         <div className="input-content">
@@ -0,0 +1,139 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import cn from "classnames";
+import { useState } from "react";
+import {
+  TranscriptTurn,
+  transcriptToText,
+  useTranscriptStore,
+} from "../../lib/store-transcript";
+import "./transcript.scss";
+
+const formatTime = (d: Date) => d.toLocaleTimeString().slice(0, -3);
+
+// wraps every case-insensitive occurrence of `query` in <mark>
+function Highlight({ text, query }: { text: string; query: string }) {
+  if (!query) {
+    return <>{text}</>;
+  }
+  const lower = text.toLowerCase();
+  const needle = query.toLowerCase();
+  const pieces: JSX.Element[] = [];
+  let from = 0;
+  let at = lower.indexOf(needle);
+  while (at !== -1) {
+    pieces.push(<span key={`t-${from}`}>{text.slice(from, at)}</span>);
+    pieces.push(
+      <mark key={`m-${at}`}>{text.slice(at, at + needle.length)}</mark>,
+    );
+    from = at + needle.length;
+    at = lower.indexOf(needle, from);
+  }
+  pieces.push(<span key={`t-${from}`}>{text.slice(from)}</span>);
+  return <>{pieces}</>;
+}
+
+const TurnEntry = ({
+  turn,
+  query,
+}: {
+  turn: TranscriptTurn;
+  query: string;
+}) => (
+  <li
+    className={cn("transcript-turn", turn.speaker, {
+      open: !turn.final,
+      interrupted: turn.interrupted,
+    })}
+  >
+    <h4>
+      {turn.speaker === "user" ? "User" : "Model"}
+      <span className="timestamp">{formatTime(turn.date)}</span>
+    </h4>
+    <p>
+      <Highlight text={turn.text.trim()} query={query} />
+      {turn.interrupted && <span className="interrupted-tag">interrupted</span>}
+    </p>
+  </li>
+);
+
+/**
+ * the conversation as text, built from the input and output audio
+ * transcriptions (see `inputAudioTranscription` in `LiveConfig`)
+ */
+export default function Transcript() {
+  const { turns, clearTranscript } = useTranscriptStore();
+  const [query, setQuery] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const needle = query.trim().toLowerCase();
+  const visible = needle
+    ? turns.filter((turn) => turn.text.toLowerCase().includes(needle))
+    : turns;
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(transcriptToText(visible));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      console.error("Could not copy the transcript:", e);
+    }
+  };
+
+  return (
+    <div className="transcript">
+      <div className="transcript-toolbar">
+        <input
+          type="search"
+          placeholder="Search transcript"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button
+          className="material-symbols-outlined"
+          title="Copy transcript"
+          onClick={copy}
+          disabled={!visible.length}
+        >
+          {copied ? "check" : "content_copy"}
+        </button>
+        <button
+          className="material-symbols-outlined"
+          title="Clear transcript"
+          onClick={clearTranscript}
+          disabled={!turns.length}
+        >
+          delete
+        </button>
+      </div>
+      {visible.length ? (
+        <ul className="transcript-list">
+          {visible.map((turn) => (
+            <TurnEntry turn={turn} query={needle} key={turn.id} />
+          ))}
+        </ul>
+      ) : (
+        <p className="transcript-empty">
+          {turns.length
+            ? "No matches"
+            : "Nothing transcribed yet. Transcripts appear while speaking in audio mode."}
+        </p>
+      )}
+    </div>
+  );
+}
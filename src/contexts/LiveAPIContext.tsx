@@ -16,6 +16,7 @@
 
 import { createContext, FC, ReactNode, useContext, useMemo } from "react";
 import { useLiveAPI, UseLiveAPIResults } from "../hooks/use-live-api";
+import { AuthTokenProvider } from "../lib/multimodal-live-client";
 
 // Define the shape of the context, removing API key specifics
 const LiveAPIContext = createContext<UseLiveAPIResults | undefined>(undefined);
@@ -23,14 +24,16 @@ const LiveAPIContext = createContext<UseLiveAPIResults | undefined>(undefined);
 export type LiveAPIProviderProps = {
   children: ReactNode;
   proxyUrl: string; // Expect the proxy URL prop
+  getAuthToken?: AuthTokenProvider; // credentials for an authenticated proxy
 };
 
 export const LiveAPIProvider: FC<LiveAPIProviderProps> = ({
   proxyUrl, // Use the proxyUrl prop
+  getAuthToken,
   children,
 }) => {
   // Pass proxyUrl to the hook
-  const liveAPI = useLiveAPI({ proxyUrl });
+  const liveAPI = useLiveAPI({ proxyUrl, getAuthToken });
 
   // The context value now just contains the results from useLiveAPI
   const contextValue = useMemo(() => ({
@@ -15,14 +15,39 @@
  */
 
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { MultimodalLiveClient } from "../lib/multimodal-live-client";
-import { LiveConfig } from "../multimodal-live-types";
+import {
+  AUTH_CLOSE_CODE,
+  AuthTokenProvider,
+  isProxyErrorEvent,
+  LiveConfigValidationError,
+  LiveSocketCloseEvent,
+  LiveSocketEvent,
+  MultimodalLiveClient,
+} from "../lib/multimodal-live-client";
+import {
+  LiveConfig,
+  LiveConfigError,
+  UsageMetadata,
+} from "../multimodal-live-types";
+import {
+  AudioOutputSettings,
+  loadAudioOutputSettings,
+  normalizeAudioOutputSettings,
+  saveAudioOutputSettings,
+} from "../lib/audio-output-settings";
 import { AudioStreamer } from "../lib/audio-streamer";
+import {
+  addUsage,
+  contextLimit,
+  EMPTY_TOKEN_USAGE,
+  TokenUsage,
+} from "../lib/token-usage";
 import { audioContext } from "../lib/utils";
 import VolMeterWorket from "../lib/worklets/vol-meter";
 
 export type UseLiveAPIResults = {
   client: MultimodalLiveClient;
+  registerTool: MultimodalLiveClient["registerTool"];
   setConfig: (config: LiveConfig) => void;
   config: LiveConfig;
   connected: boolean;
@@ -31,10 +56,21 @@ export type UseLiveAPIResults = {
   volume: number;
   connectionState: string;
   error: string | null;
+  // field-level problems that kept the last connect from starting
+  configErrors: LiveConfigError[];
+  // kept across resumed connections, reset when a new session starts
+  tokenUsage: TokenUsage;
+  // contextTokens can grow to this before the session ends or is compressed
+  contextTokenLimit: number;
+  // volume, speed and speaker of the model's audio, saved across sessions
+  audioOutput: AudioOutputSettings;
+  setAudioOutput: (changes: Partial<AudioOutputSettings>) => void;
 };
 
 export type UseLiveAPIProps = {
   proxyUrl: string;
+  // keep this referentially stable, a new function creates a new client
+  getAuthToken?: AuthTokenProvider;
 };
 
 // WebSocket status for logging
@@ -50,21 +86,44 @@ const RECONNECT_INITIAL_DELAY = 1000;
 const RECONNECT_MAX_DELAY = 30000;
 const RECONNECT_MAX_ATTEMPTS = 5;
 
-export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
+// the speaker can fail to switch, e.g. when the saved one was unplugged
+function applyAudioOutput(
+  streamer: AudioStreamer,
+  { volume, muted, playbackRate, sinkId }: AudioOutputSettings,
+): Promise<void> {
+  streamer.setVolume(volume);
+  streamer.setMuted(muted);
+  streamer.setPlaybackRate(playbackRate);
+  return sinkId === streamer.output.sinkId
+    ? Promise.resolve()
+    : streamer.setSinkId(sinkId);
+}
+
+export function useLiveAPI({
+  proxyUrl,
+  getAuthToken,
+}: UseLiveAPIProps): UseLiveAPIResults {
   // Instantiate client with proxyUrl
   const client = useMemo(
-    () => new MultimodalLiveClient({ proxyUrl }),
-    [proxyUrl] // Dependency is now only the proxyUrl
+    () => new MultimodalLiveClient({ proxyUrl, getAuthToken }),
+    [proxyUrl, getAuthToken]
   );
   const audioStreamerRef = useRef<AudioStreamer | null>(null);
+  const registerTool = useMemo(() => client.registerTool.bind(client), [client]);
 
   const [connected, setConnected] = useState(false);
   const [connectionState, setConnectionState] = useState("disconnected");
   const [error, setError] = useState<string | null>(null);
+  const [configErrors, setConfigErrors] = useState<LiveConfigError[]>([]);
   const [config, setConfig] = useState<LiveConfig>({
     model: "models/gemini-2.0-flash-exp",
   });
   const [volume, setVolume] = useState(0);
+  const [tokenUsage, setTokenUsage] = useState<TokenUsage>(EMPTY_TOKEN_USAGE);
+  const [audioOutput, setAudioOutputState] = useState<AudioOutputSettings>(
+    loadAudioOutputSettings,
+  );
+  const audioOutputRef = useRef(audioOutput);
 
   // Reconnection state
   const reconnectAttempts = useRef(0);
@@ -87,11 +146,39 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
     return delay + Math.random() * 1000;
   }, []);
 
+  const setAudioOutput = useCallback(
+    (changes: Partial<AudioOutputSettings>) =>
+      setAudioOutputState((current) =>
+        normalizeAudioOutputSettings({ ...current, ...changes }),
+      ),
+    [],
+  );
+
+  // falls back to the speaker the streamer still plays on
+  const onSinkError = useCallback((e: unknown) => {
+    console.error("Could not switch speakers:", e);
+    const sinkId = audioStreamerRef.current?.output.sinkId ?? "";
+    setAudioOutputState((current) => ({ ...current, sinkId }));
+  }, []);
+
+  useEffect(() => {
+    audioOutputRef.current = audioOutput;
+    saveAudioOutputSettings(audioOutput);
+    if (audioStreamerRef.current) {
+      applyAudioOutput(audioStreamerRef.current, audioOutput).catch(
+        onSinkError,
+      );
+    }
+  }, [audioOutput, onSinkError]);
+
   // register audio for streaming server -> speakers
   useEffect(() => {
     if (!audioStreamerRef.current) {
       audioContext({ id: "audio-out" }).then((audioCtx: AudioContext) => {
         audioStreamerRef.current = new AudioStreamer(audioCtx);
+        applyAudioOutput(audioStreamerRef.current, audioOutputRef.current).catch(
+          onSinkError,
+        );
         audioStreamerRef.current
           .addWorklet<any>("vumeter-out", VolMeterWorket, (ev: any) => {
             setVolume(ev.data.volume);
@@ -101,7 +188,7 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
           });
       });
     }
-  }, [audioStreamerRef]);
+  }, [audioStreamerRef, onSinkError]);
 
   // Define the connect and disconnect functions
   const connect = useCallback(async () => {
@@ -112,9 +199,23 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
       throw new Error("config has not been set");
     }
     
+    // Resume the previous session when reconnecting, start a new one otherwise
+    const resumeHandle = isReconnecting.current ? sessionHandle.current : null;
+    if (!resumeHandle) {
+      sessionHandle.current = null;
+      setTokenUsage(EMPTY_TOKEN_USAGE);
+    }
+    const sessionConfig: LiveConfig = {
+      ...config,
+      sessionResumption: resumeHandle
+        ? { ...config.sessionResumption, handle: resumeHandle }
+        : config.sessionResumption || {},
+    };
+
     // Update connection state
     setConnectionState('connecting');
     setError(null);
+    setConfigErrors([]);
     
     // Ensure any previous connection is closed before starting a new one
     if (client.ws && client.ws.readyState === WebSocket.OPEN) {
@@ -124,7 +225,7 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
     }
 
     try {
-      await client.connect(config);
+      await client.connect(sessionConfig);
       setConnected(true);
       setConnectionState('connected');
       console.log("Successfully connected via proxy.");
@@ -133,6 +234,9 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
       setConnected(false); // Ensure state is false on error
       setConnectionState('error');
       setError(error instanceof Error ? error.message : "Connection failed");
+      if (error instanceof LiveConfigValidationError) {
+        setConfigErrors(error.errors);
+      }
       throw error;
     }
   }, [client, config]);
@@ -167,7 +271,7 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
       isReconnecting.current = false;
     };
 
-    const onClose = (ev: CloseEvent) => { 
+    const onClose = (ev: LiveSocketCloseEvent) => { 
       console.log('useLiveAPI: WebSocket closed', ev.code, ev.reason);
       setConnected(false);
       setConnectionState('disconnected');
@@ -177,6 +281,11 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
         // Normal closure - no reconnect needed
         console.log('Normal closure, no reconnection needed');
         return;
+      } else if (ev.code === AUTH_CLOSE_CODE) {
+        // Rejected credentials - retrying with the same token won't help
+        setConnectionState('error');
+        setError(`Authentication failed: ${ev.reason || 'Unauthorized'}`);
+        return;
       } else if (ev.code === 1012 || ev.code === 1013) {
         // Service restart (1012) or try again later (1013)
         // These are recoverable, so attempt to reconnect
@@ -213,7 +322,13 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
       }
     };
 
-    const onError = (error: Event) => {
+    const onError = (error: LiveSocketEvent) => {
+      if (isProxyErrorEvent(error)) {
+        // the proxy closes the connection next, onClose decides about reconnecting
+        console.warn('Proxy error:', error.error);
+        setError(`Proxy error: ${error.error.message}`);
+        return;
+      }
       console.error('WebSocket error:', error);
       setConnectionState('error');
       setError('WebSocket connection error');
@@ -236,16 +351,7 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
           // Use the function refs instead of direct references
           if (disconnectFnRef.current && connectFnRef.current) {
             disconnectFnRef.current().then(() => {
-              // Update config with session resumption data
-              const updatedConfig = {
-                ...config,
-                sessionResumption: {
-                  handle: sessionHandle.current
-                }
-              };
-              setConfig(updatedConfig);
-              
-              // Attempt to reconnect with the updated config
+              // connect() resumes with sessionHandle while reconnecting
               isReconnecting.current = true;
               connectFnRef.current!().catch((e) => {
                 console.error('Session resumption failed:', e);
@@ -261,13 +367,21 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
 
     const onSessionUpdate = (handle: string) => {
       console.log(`Received session handle: ${handle}`);
-      sessionHandle.current = handle;
+      // an empty handle means the session can't be resumed right now
+      if (handle) {
+        sessionHandle.current = handle;
+      }
     };
 
+    const onUsage = (usage: UsageMetadata) =>
+      setTokenUsage((current) => addUsage(current, usage));
+
     const stopAudioStreamer = () => audioStreamerRef.current?.stop();
+    // plays what's left of the turn
+    const completeAudioStreamer = () => audioStreamerRef.current?.complete();
 
-    const onAudio = (data: ArrayBuffer) =>
-      audioStreamerRef.current?.addPCM16(new Uint8Array(data));
+    const onAudio = (data: ArrayBuffer, sampleRate: number) =>
+      audioStreamerRef.current?.addPCM16(new Uint8Array(data), sampleRate);
 
     client
       .on("open", onOpen) 
@@ -275,7 +389,9 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
       .on("error", onError)
       .on("goAway", onGoAway)
       .on("sessionUpdate", onSessionUpdate)
+      .on("usagemetadata", onUsage)
       .on("interrupted", stopAudioStreamer)
+      .on("turncomplete", completeAudioStreamer)
       .on("audio", onAudio);
 
     return () => {
@@ -285,19 +401,23 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
         .off("error", onError)
         .off("goAway", onGoAway)
         .off("sessionUpdate", onSessionUpdate)
+        .off("usagemetadata", onUsage)
         .off("interrupted", stopAudioStreamer)
+        .off("turncomplete", completeAudioStreamer)
         .off("audio", onAudio);
       
       if (reconnectTimeout.current !== null) {
         window.clearTimeout(reconnectTimeout.current);
       }
     };
-  // Use config, but remove direct references to connect/disconnect 
-  // to avoid circular dependencies
-  }, [client, config, getReconnectDelay]);
+  // No direct references to connect/disconnect to avoid circular dependencies
+  }, [client, getReconnectDelay]);
+
+  const contextTokenLimit = useMemo(() => contextLimit(config), [config]);
 
   return {
     client,
+    registerTool,
     config,
     setConfig,
     connected,
@@ -305,6 +425,11 @@ export function useLiveAPI({ proxyUrl }: UseLiveAPIProps): UseLiveAPIResults {
     disconnect,
     volume,
     connectionState,
-    error
+    error,
+    configErrors,
+    tokenUsage,
+    contextTokenLimit,
+    audioOutput,
+    setAudioOutput,
   };
 }
@@ -0,0 +1,46 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { FunctionDeclaration } from "@google/generative-ai";
+import { useEffect, useRef } from "react";
+import { useLiveAPIContext } from "../contexts/LiveAPIContext";
+import { ToolHandler, ToolOptions } from "../lib/tool-registry";
+
+/**
+ * registers a function tool for as long as the component is mounted.
+ * the declaration goes out with the next connect, the latest `handler`
+ * answers the calls. keep `declaration` referentially stable
+ */
+export function useTool<Args = any>(
+  declaration: FunctionDeclaration,
+  handler: ToolHandler<Args>,
+  options?: ToolOptions,
+) {
+  const { registerTool } = useLiveAPIContext();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const timeoutMs = options?.timeoutMs;
+
+  useEffect(
+    () =>
+      registerTool<Args>(
+        declaration,
+        (args, context) => handlerRef.current(args, context),
+        { timeoutMs },
+      ),
+    [registerTool, declaration, timeoutMs],
+  );
+}
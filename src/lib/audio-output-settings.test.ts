@@ -0,0 +1,44 @@
+import {
+  DEFAULT_AUDIO_OUTPUT_SETTINGS,
+  loadAudioOutputSettings,
+  normalizeAudioOutputSettings,
+  saveAudioOutputSettings,
+} from './audio-output-settings';
+
+const memoryStorage = () => {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+  } as Storage;
+};
+
+test('saved settings come back in the next session', () => {
+  const storage = memoryStorage();
+  const settings = { volume: 0.4, muted: true, playbackRate: 1.25, sinkId: 'usb' };
+  saveAudioOutputSettings(settings, storage);
+  expect(loadAudioOutputSettings(storage)).toEqual(settings);
+});
+
+test('falls back to the defaults when nothing or garbage was stored', () => {
+  const storage = memoryStorage();
+  expect(loadAudioOutputSettings(storage)).toEqual(DEFAULT_AUDIO_OUTPUT_SETTINGS);
+  storage.setItem('live-api-audio-output', '{not json');
+  expect(loadAudioOutputSettings(storage)).toEqual(DEFAULT_AUDIO_OUTPUT_SETTINGS);
+  storage.setItem('live-api-audio-output', 'null');
+  expect(loadAudioOutputSettings(storage)).toEqual(DEFAULT_AUDIO_OUTPUT_SETTINGS);
+});
+
+test('keeps values in range', () => {
+  expect(
+    normalizeAudioOutputSettings({
+      volume: 3,
+      playbackRate: 10,
+      muted: 'yes' as any,
+      sinkId: 7 as any,
+    }),
+  ).toEqual({ volume: 1, muted: false, playbackRate: 2, sinkId: '' });
+  expect(
+    normalizeAudioOutputSettings({ volume: -1, playbackRate: NaN }),
+  ).toMatchObject({ volume: 0, playbackRate: 1 });
+});
@@ -0,0 +1,103 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export type AudioOutputSettings = {
+  // 0 to 1
+  volume: number;
+  muted: boolean;
+  // speed of the model's speech, the pitch stays the same
+  playbackRate: number;
+  // an `audiooutput` deviceId from enumerateDevices, "" for the default
+  sinkId: string;
+};
+
+export const DEFAULT_AUDIO_OUTPUT_SETTINGS: AudioOutputSettings = {
+  volume: 1,
+  muted: false,
+  playbackRate: 1,
+  sinkId: "",
+};
+
+// the speeds the control tray offers
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5];
+const MIN_PLAYBACK_RATE = 0.5;
+const MAX_PLAYBACK_RATE = 2;
+
+const STORAGE_KEY = "live-api-audio-output";
+
+const clamp = (value: number, min: number, max: number) =>
+  Math.min(max, Math.max(min, value));
+
+/**
+ * fills in defaults and keeps every field in range, so whatever was stored
+ * can be applied as is
+ */
+export function normalizeAudioOutputSettings(
+  settings: Partial<AudioOutputSettings>,
+): AudioOutputSettings {
+  const { volume, muted, playbackRate, sinkId } = {
+    ...DEFAULT_AUDIO_OUTPUT_SETTINGS,
+    ...settings,
+  };
+  const number = (value: unknown, fallback: number) =>
+    typeof value === "number" && Number.isFinite(value) ? value : fallback;
+  return {
+    volume: clamp(number(volume, DEFAULT_AUDIO_OUTPUT_SETTINGS.volume), 0, 1),
+    muted: muted === true,
+    playbackRate: clamp(
+      number(playbackRate, DEFAULT_AUDIO_OUTPUT_SETTINGS.playbackRate),
+      MIN_PLAYBACK_RATE,
+      MAX_PLAYBACK_RATE,
+    ),
+    sinkId: typeof sinkId === "string" ? sinkId : "",
+  };
+}
+
+// storage can be missing or throw, e.g. with cookies blocked
+const defaultStorage = (): Storage | undefined => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * the settings saved by the last session, or the defaults
+ */
+export function loadAudioOutputSettings(
+  storage = defaultStorage(),
+): AudioOutputSettings {
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) || "{}");
+    return normalizeAudioOutputSettings(
+      saved && typeof saved === "object" ? saved : {},
+    );
+  } catch (e) {
+    return { ...DEFAULT_AUDIO_OUTPUT_SETTINGS };
+  }
+}
+
+export function saveAudioOutputSettings(
+  settings: AudioOutputSettings,
+  storage = defaultStorage(),
+) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not save the audio output settings:", e);
+  }
+}
@@ -17,6 +17,7 @@
 import { audioContext } from "./utils";
 import AudioRecordingWorklet from "./worklets/audio-processing";
 import VolMeterWorket from "./worklets/vol-meter";
+import { DEFAULT_VAD_OPTIONS, VadOptions } from "./worklets/vad";
 
 import { createWorketFromSrc } from "./audioworklet-registry";
 import EventEmitter from "eventemitter3";
@@ -31,29 +32,194 @@ function arrayBufferToBase64(buffer: ArrayBuffer) {
   return window.btoa(binary);
 }
 
+export type AudioRecorderOptions = {
+  // an `audioinput` deviceId from enumerateDevices, the OS default if unset
+  deviceId?: string;
+  echoCancellation?: boolean;
+  noiseSuppression?: boolean;
+  autoGainControl?: boolean;
+  // voice activity detection in the worklet, off unless `enabled` is set
+  vad?: Partial<VadOptions>;
+};
+
+/**
+ * records the microphone as base64 PCM16 chunks.
+ *
+ * events: `data` (base64 chunk, and its mimeType with the rate it was
+ * recorded at), `volume` (number), `devices` (the audio inputs,
+ * see watchDevices) and `devicelost` (deviceId) when the chosen mic went away
+ * while recording and the recorder fell back to the default one.
+ * with `vad` enabled, `data` only flows between `speechstart` and `speechend`
+ */
 export class AudioRecorder extends EventEmitter {
   stream: MediaStream | undefined;
   audioContext: AudioContext | undefined;
   source: MediaStreamAudioSourceNode | undefined;
   recording: boolean = false;
+  // what the worklet's voice activity detection currently hears
+  speaking: boolean = false;
   recordingWorklet: AudioWorkletNode | undefined;
   vuWorklet: AudioWorkletNode | undefined;
 
   private starting: Promise<void> | null = null;
+  // bumped by every device or constraint change, only the latest one is applied
+  private inputVersion = 0;
 
-  constructor(public sampleRate = 16000) {
+  constructor(
+    public sampleRate = 16000,
+    private options: AudioRecorderOptions = {},
+  ) {
     super();
   }
 
+  get deviceId() {
+    return this.options.deviceId;
+  }
+
+  /**
+   * the audio inputs. labels are empty until the user granted mic access
+   */
+  async listDevices(): Promise<MediaDeviceInfo[]> {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "audioinput");
+  }
+
+  /**
+   * emits `devices` now and whenever an input is plugged in or out, until the
+   * returned function is called
+   */
+  watchDevices(): () => void {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) {
+      return () => {};
+    }
+    const onDeviceChange = () => this.emitDevices();
+    mediaDevices.addEventListener("devicechange", onDeviceChange);
+    this.emitDevices();
+    return () =>
+      mediaDevices.removeEventListener("devicechange", onDeviceChange);
+  }
+
+  /**
+   * records from another mic. while recording, only the source node is swapped,
+   * the worklets and whatever consumes `data` keep running
+   */
+  async setDevice(deviceId?: string) {
+    await this.updateInput({ ...this.options, deviceId });
+  }
+
+  async setConstraints(
+    constraints: Omit<AudioRecorderOptions, "deviceId">,
+  ) {
+    await this.updateInput({ ...this.options, ...constraints });
+  }
+
+  /**
+   * turns voice activity detection on or off, or changes its thresholds,
+   * also while recording
+   */
+  setVad(vad: Partial<VadOptions>) {
+    this.options = { ...this.options, vad: { ...this.options.vad, ...vad } };
+    this.recordingWorklet?.port.postMessage({
+      event: "vad",
+      options: this.vadOptions(),
+    });
+  }
+
+  private vadOptions(): VadOptions {
+    return { ...DEFAULT_VAD_OPTIONS, enabled: false, ...this.options.vad };
+  }
+
+  private async updateInput(options: AudioRecorderOptions) {
+    this.options = options;
+    const version = ++this.inputVersion;
+    await this.starting;
+    if (!this.audioContext || !this.stream) {
+      // not recording, the next start() picks the options up
+      return;
+    }
+    const stream = await this.openStream();
+    if (version !== this.inputVersion || !this.stream) {
+      // switched again or stopped while the new mic was opening
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    const previousStream = this.stream;
+    this.source?.disconnect();
+    this.connectSource(this.audioContext, stream);
+    previousStream.getTracks().forEach((track) => track.stop());
+  }
+
+  private constraints(): MediaTrackConstraints {
+    const { deviceId, vad, ...constraints } = this.options;
+    return deviceId
+      ? { ...constraints, deviceId: { exact: deviceId } }
+      : constraints;
+  }
+
+  private async openStream() {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: this.constraints(),
+    });
+    stream.getAudioTracks().forEach((track) =>
+      track.addEventListener("ended", () => this.onTrackEnded(stream)),
+    );
+    // labels are only available once access was granted
+    this.emitDevices();
+    return stream;
+  }
+
+  // records from `stream` through the worklets that already exist
+  private connectSource(context: AudioContext, stream: MediaStream) {
+    this.stream = stream;
+    this.source = context.createMediaStreamSource(stream);
+    if (this.recordingWorklet) {
+      this.source.connect(this.recordingWorklet);
+    }
+    if (this.vuWorklet) {
+      this.source.connect(this.vuWorklet);
+    }
+  }
+
+  // unplugged while recording: fall back to the default mic
+  private onTrackEnded(stream: MediaStream) {
+    if (stream !== this.stream || !this.options.deviceId) {
+      return;
+    }
+    const lost = this.options.deviceId;
+    this.setDevice(undefined)
+      .then(() => this.emit("devicelost", lost))
+      .catch((e) => console.error("Could not switch to the default mic:", e));
+  }
+
+  private emitDevices() {
+    this.listDevices()
+      .then((devices) => this.emit("devices", devices))
+      .catch((e) => console.error("Could not list audio inputs:", e));
+  }
+
   async start() {
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
       throw new Error("Could not request user media");
     }
 
     this.starting = new Promise(async (resolve, reject) => {
-      this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      // the context may run at another rate than requested, the worklet
+      // resamples to this.sampleRate then
       this.audioContext = await audioContext({ sampleRate: this.sampleRate });
-      this.source = this.audioContext.createMediaStreamSource(this.stream);
+      const stream = await this.openStream();
+      try {
+        this.connectSource(this.audioContext, stream);
+      } catch (e) {
+        // Firefox won't connect a mic to a context at another rate than the mic's
+        console.warn("Recording at the context's native rate:", e);
+        this.audioContext.close();
+        this.audioContext = await audioContext();
+        this.connectSource(this.audioContext, stream);
+      }
 
       const workletName = "audio-recorder-worklet";
       const src = createWorketFromSrc(workletName, AudioRecordingWorklet);
@@ -62,18 +228,29 @@ export class AudioRecorder extends EventEmitter {
       this.recordingWorklet = new AudioWorkletNode(
         this.audioContext,
         workletName,
+        {
+          processorOptions: {
+            sampleRate: this.sampleRate,
+            vad: this.vadOptions(),
+          },
+        },
       );
 
       this.recordingWorklet.port.onmessage = async (ev: MessageEvent) => {
+        if (ev.data.event === "speechstart" || ev.data.event === "speechend") {
+          this.speaking = ev.data.event === "speechstart";
+          this.emit(ev.data.event);
+          return;
+        }
         // worklet processes recording floats and messages converted buffer
-        const arrayBuffer = ev.data.data.int16arrayBuffer;
+        const { int16arrayBuffer: arrayBuffer, sampleRate } = ev.data.data;
 
         if (arrayBuffer) {
           const arrayBufferString = arrayBufferToBase64(arrayBuffer);
-          this.emit("data", arrayBufferString);
+          this.emit("data", arrayBufferString, `audio/pcm;rate=${sampleRate}`);
         }
       };
-      this.source.connect(this.recordingWorklet);
+      this.source!.connect(this.recordingWorklet);
 
       // vu meter worklet
       const vuWorkletName = "vu-meter";
@@ -85,7 +262,7 @@ export class AudioRecorder extends EventEmitter {
         this.emit("volume", ev.data.volume);
       };
 
-      this.source.connect(this.vuWorklet);
+      this.source!.connect(this.vuWorklet);
       this.recording = true;
       resolve();
       this.starting = null;
@@ -101,6 +278,10 @@ export class AudioRecorder extends EventEmitter {
       this.stream = undefined;
       this.recordingWorklet = undefined;
       this.vuWorklet = undefined;
+      this.speaking = false;
+      // every start() opens a new context
+      this.audioContext?.close();
+      this.audioContext = undefined;
     };
     if (this.starting) {
       this.starting.then(handleStop);
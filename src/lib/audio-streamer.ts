@@ -14,34 +14,144 @@
  * limitations under the License.
  */
 
+import { EventEmitter } from "eventemitter3";
+import {
+  AudioOutputSettings,
+  DEFAULT_AUDIO_OUTPUT_SETTINGS,
+  normalizeAudioOutputSettings,
+} from "./audio-output-settings";
 import {
   createWorketFromSrc,
   registeredWorklets,
 } from "./audioworklet-registry";
+import AudioPlaybackWorklet from "./worklets/audio-playback";
+import {
+  DEFAULT_JITTER_BUFFER_OPTIONS,
+  JitterBufferOptions,
+} from "./worklets/jitter";
+
+const PLAYBACK_WORKLET = "audio-playback";
+// time constant of volume changes, short enough to feel instant without clicks
+const VOLUME_SMOOTHING = 0.015;
+
+// AudioContext.setSinkId isn't in every browser, nor in TypeScript's DOM types
+type SinkSelectable = { setSinkId?: (sinkId: string) => Promise<void> };
+
+// a processor name can only be registered once per context
+const playbackModules: WeakMap<BaseAudioContext, Promise<void>> =
+  new WeakMap();
+
+export type PlaybackStats = {
+  // seconds of audio waiting to be played, at the current speed
+  buffered: number;
+  // the depth a stream starts playing at, adapted to the measured jitter
+  target: number;
+  // how late chunks have been arriving, in seconds
+  jitter: number;
+  // from a chunk arriving to it being heard: the buffer and the output's own
+  latency: number;
+  // how often playback ran dry before a stream was complete
+  underruns: number;
+};
+
+export type AudioStreamerOptions = {
+  jitterBuffer?: Partial<JitterBufferOptions>;
+};
+
+interface AudioStreamerEventTypes {
+  // about every 100 ms while there is audio to play
+  stats: (stats: PlaybackStats) => void;
+  underrun: (stats: PlaybackStats) => void;
+}
 
-export class AudioStreamer {
-  public audioQueue: Float32Array[] = [];
-  private isPlaying: boolean = false;
-  private sampleRate: number = 24000;
-  private bufferSize: number = 7680;
-  private processingBuffer: Float32Array = new Float32Array(0);
-  private scheduledTime: number = 0;
+/**
+ * Plays the model's PCM16 audio through an AudioWorklet. Chunks are posted to
+ * the worklet as they come and land in a ring buffer there, which starts
+ * playing once it holds the jitter buffer's target delay. That delay adapts
+ * to how late chunks have been arriving. The worklet resamples to the
+ * context's rate and time-stretches for `setPlaybackRate`, so the pitch stays.
+ *
+ * `gainNode` carries the volume, `setSinkId` picks the speaker.
+ */
+export class AudioStreamer extends EventEmitter<AudioStreamerEventTypes> {
   public gainNode: GainNode;
-  public source: AudioBufferSourceNode;
-  private isStreamComplete: boolean = false;
-  private checkInterval: number | null = null;
-  private initialBufferTime: number = 0.1; //0.1 // 100ms initial buffer
-  private endOfQueueAudioSource: AudioBufferSourceNode | null = null;
+  public playbackNode: AudioWorkletNode | null = null;
+  private ready: Promise<AudioWorkletNode>;
+  // the rate of the incoming audio, the Live API sends 24 kHz
+  private sampleRate: number = 24000;
+  private jitterBuffer: JitterBufferOptions;
+  private settings: AudioOutputSettings = { ...DEFAULT_AUDIO_OUTPUT_SETTINGS };
+  // output goes through an audio element when the context can't pick a sink
+  private sinkElement: HTMLAudioElement | null = null;
+  private sinkDestination: MediaStreamAudioDestinationNode | null = null;
 
   public onComplete = () => {};
 
-  constructor(public context: AudioContext) {
+  constructor(
+    public context: AudioContext,
+    { jitterBuffer }: AudioStreamerOptions = {},
+  ) {
+    super();
+    this.jitterBuffer = { ...DEFAULT_JITTER_BUFFER_OPTIONS, ...jitterBuffer };
     this.gainNode = this.context.createGain();
-    this.source = this.context.createBufferSource();
     this.gainNode.connect(this.context.destination);
+    this.ready = this.createPlaybackNode();
     this.addPCM16 = this.addPCM16.bind(this);
   }
 
+  private async createPlaybackNode() {
+    let module = playbackModules.get(this.context);
+    if (!module) {
+      module = this.context.audioWorklet.addModule(
+        createWorketFromSrc(PLAYBACK_WORKLET, AudioPlaybackWorklet),
+      );
+      playbackModules.set(this.context, module);
+    }
+    await module;
+    const node = new AudioWorkletNode(this.context, PLAYBACK_WORKLET, {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: { jitter: this.jitterBuffer },
+    });
+    node.port.onmessage = (ev: MessageEvent) => this.onPlaybackMessage(ev.data);
+    node.port.postMessage({
+      event: "rate",
+      playbackRate: this.settings.playbackRate,
+    });
+    node.connect(this.gainNode);
+    this.playbackNode = node;
+    return node;
+  }
+
+  private onPlaybackMessage({ event, stats }: any) {
+    switch (event) {
+      case "stats":
+        this.emit("stats", this.withLatency(stats));
+        break;
+      case "underrun":
+        this.emit("underrun", this.withLatency(stats));
+        break;
+      case "drained":
+        this.onComplete();
+        break;
+      default:
+    }
+  }
+
+  private withLatency(stats: Omit<PlaybackStats, "latency">): PlaybackStats {
+    const { baseLatency = 0, outputLatency = 0 } = this.context;
+    return { ...stats, latency: stats.buffered + baseLatency + outputLatency };
+  }
+
+  // messages sent before the worklet is loaded wait for it, in order
+  private post(message: any, transfer: Transferable[] = []) {
+    if (this.playbackNode) {
+      this.playbackNode.port.postMessage(message, transfer);
+    } else {
+      this.ready.then((node) => node.port.postMessage(message, transfer));
+    }
+  }
+
   async addWorklet<T extends (d: any) => void>(
     workletName: string,
     workletSrc: string,
@@ -71,187 +181,138 @@ export class AudioStreamer {
     //add the node into the map
     workletsRecord[workletName].node = worklet;
 
+    const { handlers } = workletsRecord[workletName];
+    worklet.port.onmessage = function (ev: MessageEvent) {
+      handlers.forEach((handler) => {
+        handler.call(worklet.port, ev);
+      });
+    };
+    // it hears what is played, before the volume
+    (await this.ready).connect(worklet);
+    worklet.connect(this.context.destination);
+
     return this;
   }
 
-  addPCM16(chunk: Uint8Array) {
-    const float32Array = new Float32Array(chunk.length / 2);
-    const dataView = new DataView(chunk.buffer);
-
-    for (let i = 0; i < chunk.length / 2; i++) {
-      try {
-        const int16 = dataView.getInt16(i * 2, true);
-        float32Array[i] = int16 / 32768;
-      } catch (e) {
-        console.error(e);
-        // console.log(
-        //   `dataView.length: ${dataView.byteLength},  i * 2: ${i * 2}`,
-        // );
-      }
-    }
-
-    const newBuffer = new Float32Array(
-      this.processingBuffer.length + float32Array.length,
-    );
-    newBuffer.set(this.processingBuffer);
-    newBuffer.set(float32Array, this.processingBuffer.length);
-    this.processingBuffer = newBuffer;
-
-    while (this.processingBuffer.length >= this.bufferSize) {
-      const buffer = this.processingBuffer.slice(0, this.bufferSize);
-      this.audioQueue.push(buffer);
-      this.processingBuffer = this.processingBuffer.slice(this.bufferSize);
-    }
-
-    if (!this.isPlaying) {
-      this.isPlaying = true;
-      // Initialize scheduledTime only when we start playing
-      this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-      this.scheduleNextBuffer();
-    }
+  /**
+   * queues a chunk of little-endian PCM16. the worklet gets a copy of the
+   * bytes, the chunk stays usable
+   */
+  addPCM16(chunk: Uint8Array, sampleRate: number = this.sampleRate) {
+    this.sampleRate = sampleRate;
+    // whole samples only, an Int16Array can't end in half of one
+    const end = chunk.byteOffset + chunk.byteLength - (chunk.byteLength % 2);
+    const data = chunk.buffer.slice(chunk.byteOffset, end);
+    this.post({ event: "chunk", data, sampleRate }, [data]);
   }
 
-  private createAudioBuffer(audioData: Float32Array): AudioBuffer {
-    const audioBuffer = this.context.createBuffer(
-      1,
-      audioData.length,
-      this.sampleRate,
+  /**
+   * whether setSinkId can work here, through the context or an audio element
+   */
+  static canSelectOutput() {
+    return (
+      typeof window !== "undefined" &&
+      ("setSinkId" in AudioContext.prototype ||
+        "setSinkId" in HTMLMediaElement.prototype)
     );
-    audioBuffer.getChannelData(0).set(audioData);
-    return audioBuffer;
   }
 
-  private scheduleNextBuffer() {
-    const SCHEDULE_AHEAD_TIME = 0.2;
-
-    while (
-      this.audioQueue.length > 0 &&
-      this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME
-    ) {
-      const audioData = this.audioQueue.shift()!;
-      const audioBuffer = this.createAudioBuffer(audioData);
-      const source = this.context.createBufferSource();
-
-      if (this.audioQueue.length === 0) {
-        if (this.endOfQueueAudioSource) {
-          this.endOfQueueAudioSource.onended = null;
-        }
-        this.endOfQueueAudioSource = source;
-        source.onended = () => {
-          if (
-            !this.audioQueue.length &&
-            this.endOfQueueAudioSource === source
-          ) {
-            this.endOfQueueAudioSource = null;
-            this.onComplete();
-          }
-        };
-      }
-
-      source.buffer = audioBuffer;
-      source.connect(this.gainNode);
-
-      const worklets = registeredWorklets.get(this.context);
-
-      if (worklets) {
-        Object.entries(worklets).forEach(([workletName, graph]) => {
-          const { node, handlers } = graph;
-          if (node) {
-            source.connect(node);
-            node.port.onmessage = function (ev: MessageEvent) {
-              handlers.forEach((handler) => {
-                handler.call(node.port, ev);
-              });
-            };
-            node.connect(this.context.destination);
-          }
-        });
-      }
+  get output(): AudioOutputSettings {
+    return { ...this.settings };
+  }
 
-      // i added this trying to fix clicks
-      // this.gainNode.gain.setValueAtTime(0, 0);
-      // this.gainNode.gain.linearRampToValueAtTime(1, 1);
+  setVolume(volume: number) {
+    this.settings = normalizeAudioOutputSettings({ ...this.settings, volume });
+    this.applyVolume();
+  }
 
-      // Ensure we never schedule in the past
-      const startTime = Math.max(this.scheduledTime, this.context.currentTime);
-      source.start(startTime);
+  setMuted(muted: boolean) {
+    this.settings = normalizeAudioOutputSettings({ ...this.settings, muted });
+    this.applyVolume();
+  }
 
-      this.scheduledTime = startTime + audioBuffer.duration;
+  /**
+   * changes the speed of speech without changing its pitch, from the next
+   * render quantum on. everything still buffered plays at the new speed
+   */
+  setPlaybackRate(playbackRate: number) {
+    const previous = this.settings.playbackRate;
+    this.settings = normalizeAudioOutputSettings({
+      ...this.settings,
+      playbackRate,
+    });
+    if (this.settings.playbackRate !== previous) {
+      this.post({ event: "rate", playbackRate: this.settings.playbackRate });
     }
+  }
+
+  /**
+   * tunes how the jitter buffer adapts, see JitterBufferOptions
+   */
+  setJitterBuffer(options: Partial<JitterBufferOptions>) {
+    this.jitterBuffer = { ...this.jitterBuffer, ...options };
+    this.post({ event: "jitter", options: this.jitterBuffer });
+  }
 
-    if (this.audioQueue.length === 0 && this.processingBuffer.length === 0) {
-      if (this.isStreamComplete) {
-        this.isPlaying = false;
-        if (this.checkInterval) {
-          clearInterval(this.checkInterval);
-          this.checkInterval = null;
-        }
+  /**
+   * plays on the `audiooutput` device with that id, "" is the default one
+   */
+  async setSinkId(sinkId: string) {
+    const context = this.context as AudioContext & SinkSelectable;
+    if (typeof context.setSinkId === "function") {
+      await context.setSinkId(sinkId);
+    } else {
+      if (!("setSinkId" in HTMLMediaElement.prototype)) {
+        throw new Error("This browser can't choose the speaker");
+      }
+      if (!this.sinkElement || !this.sinkDestination) {
+        this.sinkDestination = this.context.createMediaStreamDestination();
+        this.sinkElement = new Audio();
+        this.sinkElement.srcObject = this.sinkDestination.stream;
+      }
+      await this.sinkElement.setSinkId(sinkId);
+      // the default device doesn't need the detour
+      this.gainNode.disconnect();
+      if (sinkId) {
+        this.gainNode.connect(this.sinkDestination);
+        await this.sinkElement.play();
       } else {
-        if (!this.checkInterval) {
-          this.checkInterval = window.setInterval(() => {
-            if (
-              this.audioQueue.length > 0 ||
-              this.processingBuffer.length >= this.bufferSize
-            ) {
-              this.scheduleNextBuffer();
-            }
-          }, 100) as unknown as number;
-        }
+        this.gainNode.connect(this.context.destination);
+        this.sinkElement.pause();
       }
-    } else {
-      const nextCheckTime =
-        (this.scheduledTime - this.context.currentTime) * 1000;
-      setTimeout(
-        () => this.scheduleNextBuffer(),
-        Math.max(0, nextCheckTime - 50),
-      );
     }
+    this.settings = { ...this.settings, sinkId };
   }
 
-  stop() {
-    this.isPlaying = false;
-    this.isStreamComplete = true;
-    this.audioQueue = [];
-    this.processingBuffer = new Float32Array(0);
-    this.scheduledTime = this.context.currentTime;
-
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = null;
-    }
-
-    this.gainNode.gain.linearRampToValueAtTime(
-      0,
-      this.context.currentTime + 0.1,
+  private applyVolume() {
+    const { volume, muted } = this.settings;
+    this.gainNode.gain.setTargetAtTime(
+      muted ? 0 : volume,
+      this.context.currentTime,
+      VOLUME_SMOOTHING,
     );
+  }
 
-    setTimeout(() => {
-      this.gainNode.disconnect();
-      this.gainNode = this.context.createGain();
-      this.gainNode.connect(this.context.destination);
-    }, 200);
+  /**
+   * fades out and drops everything buffered, e.g. when the model is
+   * interrupted
+   */
+  stop() {
+    this.post({ event: "stop" });
   }
 
   async resume() {
     if (this.context.state === "suspended") {
       await this.context.resume();
     }
-    this.isStreamComplete = false;
-    this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-    this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
   }
 
+  /**
+   * the stream has ended: what is buffered plays even below the target delay,
+   * then onComplete is called
+   */
   complete() {
-    this.isStreamComplete = true;
-    if (this.processingBuffer.length > 0) {
-      this.audioQueue.push(this.processingBuffer);
-      this.processingBuffer = new Float32Array(0);
-      if (this.isPlaying) {
-        this.scheduleNextBuffer();
-      }
-    } else {
-      this.onComplete();
-    }
+    this.post({ event: "complete" });
   }
 }
 
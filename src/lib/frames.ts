@@ -0,0 +1,74 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Decoding helpers for websocket frames that work in the browser and under Node.
+ * nothing in here may touch `window` or other DOM-only globals
+ */
+
+/**
+ * what a websocket implementation may hand us as message data:
+ * browsers give strings, Blobs or ArrayBuffers, `ws` gives strings or Buffers
+ */
+export type SocketFrame = string | Blob | ArrayBuffer | ArrayBufferView;
+
+// created on first use, jsdom has no TextDecoder for modules that only import this
+let decoder: TextDecoder | undefined;
+
+function blobToText(blob: Blob): Promise<string> {
+  if (typeof blob.text === "function") {
+    return blob.text();
+  }
+  // older engines (and jsdom) only read Blobs through FileReader
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+export async function frameToText(data: SocketFrame): Promise<string> {
+  if (typeof data === "string") {
+    return data;
+  }
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    return blobToText(data);
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    // Buffer is a Uint8Array, so this covers `ws` frames as well
+    decoder = decoder || new TextDecoder();
+    return decoder.decode(data);
+  }
+  throw new Error(`Unsupported websocket frame: ${Object.prototype.toString.call(data)}`);
+}
+
+export async function frameToJSON(data: SocketFrame): Promise<unknown> {
+  return JSON.parse(await frameToText(data));
+}
+
+export function base64ToArrayBuffer(base64: string): ArrayBuffer {
+  if (typeof atob !== "function") {
+    const buf = Buffer.from(base64, "base64");
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+  }
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
@@ -0,0 +1,220 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type { Part } from "@google/generative-ai";
+import type { ServerContent, ToolCall } from "../multimodal-live-types";
+import { isModelTurn } from "../multimodal-live-types";
+import type { MultimodalLiveClient } from "./multimodal-live-client";
+
+export type TurnChunk =
+  | { type: "text"; text: string }
+  | { type: "audio"; data: ArrayBuffer; sampleRate: number }
+  | { type: "toolcall"; toolCall: ToolCall };
+
+export type TurnResult = {
+  text: string;
+  // the model's PCM audio for the turn, concatenated
+  audio: ArrayBuffer;
+  // rate of `audio`, undefined when the turn had none
+  sampleRate?: number;
+  toolCalls: ToolCall[];
+};
+
+export type AskOptions = {
+  signal?: AbortSignal;
+  turnComplete?: boolean;
+};
+
+export type TurnErrorReason = "interrupted" | "closed" | "aborted" | "error";
+
+export class TurnError extends Error {
+  constructor(public reason: TurnErrorReason, message: string) {
+    super(message);
+    this.name = "TurnError";
+  }
+}
+
+/**
+ * One conversational turn: sends `parts` and yields the model's text, audio
+ * and tool calls until `turnComplete`. Iterating rejects with a TurnError when
+ * the model is interrupted, the connection closes or the signal aborts.
+ * Chunks are buffered from the moment the turn is created, so nothing is
+ * lost between `ask()` and the start of the `for await`. Leaving the loop
+ * early, or aborting the signal, stops listening to the client.
+ */
+export class LiveTurn implements AsyncIterable<TurnChunk> {
+  private chunks: TurnChunk[] = [];
+  private done = false;
+  private error: TurnError | null = null;
+  private wake: (() => void) | null = null;
+  private cleanup: () => void = () => {};
+
+  constructor(
+    client: MultimodalLiveClient,
+    parts: Part | Part[],
+    { signal, turnComplete = true }: AskOptions = {},
+  ) {
+    if (signal?.aborted) {
+      this.fail("aborted", "Turn aborted before it was sent");
+      return;
+    }
+
+    const onContent = (content: ServerContent) => {
+      if (isModelTurn(content)) {
+        content.modelTurn.parts.forEach(({ text }) => {
+          if (text) {
+            this.push({ type: "text", text });
+          }
+        });
+      }
+    };
+    const onAudio = (data: ArrayBuffer, sampleRate: number) =>
+      this.push({ type: "audio", data, sampleRate });
+    const onToolCall = (toolCall: ToolCall) =>
+      this.push({ type: "toolcall", toolCall });
+    const onTurnComplete = () => this.finish();
+    const onInterrupted = () =>
+      this.fail("interrupted", "The model was interrupted");
+    const onClose = () =>
+      this.fail("closed", "Connection closed before the turn completed");
+    const onServerError = ({ message }: { message: string }) =>
+      this.fail("error", message);
+    const onAbort = () => this.fail("aborted", "Turn aborted");
+
+    client
+      .on("content", onContent)
+      .on("audio", onAudio)
+      .on("toolcall", onToolCall)
+      .on("turncomplete", onTurnComplete)
+      .on("interrupted", onInterrupted)
+      .on("close", onClose)
+      .on("servererror", onServerError);
+    signal?.addEventListener("abort", onAbort);
+
+    this.cleanup = () => {
+      client
+        .off("content", onContent)
+        .off("audio", onAudio)
+        .off("toolcall", onToolCall)
+        .off("turncomplete", onTurnComplete)
+        .off("interrupted", onInterrupted)
+        .off("close", onClose)
+        .off("servererror", onServerError);
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    client.send(parts, turnComplete);
+  }
+
+  [Symbol.asyncIterator](): AsyncIterator<TurnChunk> {
+    return {
+      next: () => this.next(),
+      // `break`, `return` or a throw in the consumer's loop. unlike a
+      // generator's `finally` this also runs while a `next()` is pending or
+      // before the first one
+      return: async () => {
+        this.settle();
+        this.chunks = [];
+        this.notify();
+        return { done: true, value: undefined };
+      },
+    };
+  }
+
+  /**
+   * waits for the whole turn and returns its text, audio and tool calls
+   */
+  async collect(): Promise<TurnResult> {
+    let text = "";
+    const audio: ArrayBuffer[] = [];
+    let sampleRate: number | undefined;
+    const toolCalls: ToolCall[] = [];
+    for await (const chunk of this) {
+      if (chunk.type === "text") {
+        text += chunk.text;
+      } else if (chunk.type === "audio") {
+        audio.push(chunk.data);
+        sampleRate ??= chunk.sampleRate;
+      } else {
+        toolCalls.push(chunk.toolCall);
+      }
+    }
+    return { text, audio: concatBuffers(audio), sampleRate, toolCalls };
+  }
+
+  private async next(): Promise<IteratorResult<TurnChunk>> {
+    while (true) {
+      const chunk = this.chunks.shift();
+      if (chunk) {
+        return { done: false, value: chunk };
+      }
+      if (this.error) {
+        const error = this.error;
+        // reported once, like a generator that threw
+        this.error = null;
+        throw error;
+      }
+      if (this.done) {
+        return { done: true, value: undefined };
+      }
+      await new Promise<void>((resolve) => (this.wake = resolve));
+    }
+  }
+
+  private push(chunk: TurnChunk) {
+    if (this.done) {
+      return;
+    }
+    this.chunks.push(chunk);
+    this.notify();
+  }
+
+  private finish() {
+    this.settle();
+    this.notify();
+  }
+
+  private fail(reason: TurnErrorReason, message: string) {
+    if (this.done) {
+      return;
+    }
+    this.error = new TurnError(reason, message);
+    this.finish();
+  }
+
+  private settle() {
+    this.done = true;
+    this.cleanup();
+  }
+
+  private notify() {
+    const wake = this.wake;
+    this.wake = null;
+    wake?.();
+  }
+}
+
+function concatBuffers(buffers: ArrayBuffer[]): ArrayBuffer {
+  const out = new Uint8Array(
+    buffers.reduce((length, b) => length + b.byteLength, 0),
+  );
+  let offset = 0;
+  buffers.forEach((b) => {
+    out.set(new Uint8Array(b), offset);
+    offset += b.byteLength;
+  });
+  return out.buffer;
+}
@@ -0,0 +1,292 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  LiveSocket,
+  MultimodalLiveClient,
+} from './multimodal-live-client';
+
+class FakeSocket implements LiveSocket {
+  static last: FakeSocket;
+  readyState = 0;
+  bufferedAmount = 0;
+  binaryType = 'blob';
+  sent: string[] = [];
+  private listeners: Record<string, ((event: any) => void)[]> = {};
+
+  constructor(public url: string, public protocols?: string | string[]) {
+    FakeSocket.last = this;
+  }
+
+  addEventListener(type: string, listener: (event: any) => void) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  removeEventListener(type: string, listener: (event: any) => void) {
+    this.listeners[type] = (this.listeners[type] || []).filter(
+      (l) => l !== listener,
+    );
+  }
+
+  send(data: string) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  dispatch(type: string, event: object = {}) {
+    (this.listeners[type] || []).forEach((l) => l({ type, ...event }));
+  }
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// (re)connect `client` through a new FakeSocket
+const open = async (client: MultimodalLiveClient) => {
+  const connected = client.connect({ model: 'models/gemini-2.0-flash-exp' });
+  // connect awaits the auth token before it opens the socket
+  await tick();
+  FakeSocket.last.readyState = 1;
+  FakeSocket.last.dispatch('open');
+  await connected;
+  return { client, socket: FakeSocket.last };
+};
+
+const connect = () =>
+  open(
+    new MultimodalLiveClient({
+      proxyUrl: 'ws://proxy.test',
+      webSocketImpl: FakeSocket,
+    }),
+  );
+
+test('connects through the injected WebSocket and sends setup', async () => {
+  const { socket } = await connect();
+
+  expect(socket.url).toBe('ws://proxy.test');
+  expect(socket.binaryType).toBe('arraybuffer');
+  expect(JSON.parse(socket.sent[0])).toEqual({
+    setup: { model: 'models/gemini-2.0-flash-exp' },
+  });
+});
+
+test('decodes Buffer and ArrayBuffer frames', async () => {
+  const { client, socket } = await connect();
+  const content = jest.fn();
+  const audio = jest.fn();
+  client.on('content', content);
+  client.on('audio', audio);
+
+  const modelTurn = {
+    serverContent: {
+      modelTurn: {
+        parts: [
+          { text: 'hi' },
+          { inlineData: { mimeType: 'audio/pcm;rate=24000', data: 'AAEC' } },
+        ],
+      },
+    },
+  };
+  socket.dispatch('message', { data: Buffer.from(JSON.stringify(modelTurn)) });
+  const bytes = new TextEncoder().encode(JSON.stringify(modelTurn));
+  socket.dispatch('message', { data: bytes.buffer });
+  await tick();
+
+  expect(content).toHaveBeenCalledTimes(2);
+  expect(content).toHaveBeenCalledWith({ modelTurn: { parts: [{ text: 'hi' }] } });
+  expect(Array.from(new Uint8Array(audio.mock.calls[0][0]))).toEqual([0, 1, 2]);
+  // the rate comes from the part's mimeType
+  expect(audio.mock.calls[0][1]).toBe(24000);
+});
+
+test('handles text frames like binary ones', async () => {
+  const { client, socket } = await connect();
+  const setupComplete = jest.fn();
+  const content = jest.fn();
+  client.on('setupcomplete', setupComplete);
+  client.on('content', content);
+
+  socket.dispatch('message', { data: JSON.stringify({ setupComplete: {} }) });
+  socket.dispatch('message', {
+    data: JSON.stringify({
+      serverContent: { modelTurn: { parts: [{ text: 'hi' }] } },
+    }),
+  });
+  socket.dispatch('message', { data: 'not json' });
+  await tick();
+
+  expect(setupComplete).toHaveBeenCalledTimes(1);
+  expect(content).toHaveBeenCalledWith({ modelTurn: { parts: [{ text: 'hi' }] } });
+});
+
+test('keeps the transcriptions that arrive with an interruption', async () => {
+  const { client, socket } = await connect();
+  const interrupted = jest.fn();
+  const inputTranscription = jest.fn();
+  const outputTranscription = jest.fn();
+  client.on('interrupted', interrupted);
+  client.on('inputtranscription', inputTranscription);
+  client.on('outputtranscription', outputTranscription);
+
+  socket.dispatch('message', {
+    data: JSON.stringify({
+      serverContent: {
+        interrupted: true,
+        inputTranscription: { text: 'wait, stop' },
+        outputTranscription: { text: 'The weather in' },
+      },
+    }),
+  });
+  await tick();
+
+  expect(interrupted).toHaveBeenCalledTimes(1);
+  expect(inputTranscription).toHaveBeenCalledWith({ text: 'wait, stop' });
+  expect(outputTranscription).toHaveBeenCalledWith({ text: 'The weather in' });
+});
+
+test('turns a proxyError into an error event', async () => {
+  const { client, socket } = await connect();
+  const error = jest.fn();
+  client.on('error', error);
+
+  const proxyError = {
+    code: 'policy_violation',
+    message: 'Invalid setup: model must look like "models/<name>"',
+    closeCode: 1008,
+    retryable: false,
+  };
+  socket.dispatch('message', { data: JSON.stringify({ proxyError }) });
+  await tick();
+
+  expect(error).toHaveBeenCalledWith({ type: 'proxyerror', error: proxyError });
+});
+
+test('queues messages sent before the socket opens behind setup', async () => {
+  const client = new MultimodalLiveClient({
+    proxyUrl: 'ws://proxy.test',
+    webSocketImpl: FakeSocket,
+  });
+  client.send({ text: 'early' });
+  const connected = client.connect({ model: 'models/gemini-2.0-flash-exp' });
+  await tick();
+  FakeSocket.last.readyState = 1;
+  FakeSocket.last.dispatch('open');
+  await connected;
+
+  expect(FakeSocket.last.sent.map((s) => Object.keys(JSON.parse(s))[0])).toEqual([
+    'setup',
+    'clientContent',
+  ]);
+});
+
+test('carries queued realtime input over a dropped socket only', async () => {
+  const { client, socket } = await connect();
+  const chunk = [{ mimeType: 'audio/pcm;rate=16000', data: 'AAAA' }];
+  const sentTypes = (s: FakeSocket) =>
+    s.sent.map((data) => Object.keys(JSON.parse(data))[0]);
+
+  // a saturated uplink keeps the chunk queued
+  socket.bufferedAmount = 10 * 1024 * 1024;
+  client.sendRealtimeInput(chunk);
+  socket.dispatch('close', { code: 1006 });
+  const { socket: resumed } = await open(client);
+  expect(sentTypes(resumed)).toEqual(['setup', 'realtimeInput']);
+
+  resumed.bufferedAmount = 10 * 1024 * 1024;
+  client.sendRealtimeInput(chunk);
+  client.disconnect();
+  const { socket: next } = await open(client);
+  expect(sentTypes(next)).toEqual(['setup']);
+});
+
+const receive = async (socket: FakeSocket, message: object) => {
+  socket.dispatch('message', { data: Buffer.from(JSON.stringify(message)) });
+  await tick();
+};
+
+test('ask collects the text and audio of one turn', async () => {
+  const { client, socket } = await connect();
+  const turn = client.ask({ text: 'hello' });
+
+  await receive(socket, {
+    serverContent: { modelTurn: { parts: [{ text: 'Hi ' }] } },
+  });
+  await receive(socket, {
+    serverContent: {
+      modelTurn: {
+        parts: [
+          { text: 'there' },
+          { inlineData: { mimeType: 'audio/pcm;rate=24000', data: 'AAEC' } },
+        ],
+      },
+    },
+  });
+  await receive(socket, { serverContent: { turnComplete: true } });
+  const { text, audio, sampleRate } = await turn.collect();
+
+  expect(JSON.parse(socket.sent[1]).clientContent.turns[0].parts).toEqual([
+    { text: 'hello' },
+  ]);
+  expect(text).toBe('Hi there');
+  expect(audio.byteLength).toBe(3);
+  expect(sampleRate).toBe(24000);
+});
+
+test('ask rejects when the model is interrupted', async () => {
+  const { client, socket } = await connect();
+  const chunks: string[] = [];
+  const iterate = async () => {
+    for await (const chunk of client.ask({ text: 'hello' })) {
+      if (chunk.type === 'text') {
+        chunks.push(chunk.text);
+      }
+    }
+  };
+  const failure = iterate().catch((e) => e);
+
+  await receive(socket, {
+    serverContent: { modelTurn: { parts: [{ text: 'Hi' }] } },
+  });
+  await receive(socket, { serverContent: { interrupted: true } });
+
+  expect(await failure).toMatchObject({ reason: 'interrupted' });
+  expect(chunks).toEqual(['Hi']);
+  expect(client.listenerCount('content')).toBe(0);
+});
+
+test('ask stops listening when the consumer leaves a pending turn', async () => {
+  const { client, socket } = await connect();
+  const iterator = client.ask({ text: 'hello' })[Symbol.asyncIterator]();
+  const first = await Promise.all([
+    iterator.next(),
+    receive(socket, {
+      serverContent: {
+        modelTurn: {
+          parts: [{ inlineData: { mimeType: 'audio/pcm;rate=16000', data: 'AAEC' } }],
+        },
+      },
+    }),
+  ]);
+  expect(first[0].value).toMatchObject({ type: 'audio', sampleRate: 16000 });
+
+  // the server never completes the turn
+  const pending = iterator.next();
+  await iterator.return!();
+  expect(await pending).toEqual({ done: true, value: undefined });
+  expect(client.listenerCount('content')).toBe(0);
+  expect(client.listenerCount('audio')).toBe(0);
+  expect(client.listenerCount('close')).toBe(0);
+});
+
+test('ask rejects on abort', async () => {
+  const { client } = await connect();
+  const controller = new AbortController();
+  const turn = client.ask({ text: 'hello' }, { signal: controller.signal });
+  controller.abort();
+
+  await expect(turn.collect()).rejects.toMatchObject({ reason: 'aborted' });
+  expect(client.listenerCount('turncomplete')).toBe(0);
+});
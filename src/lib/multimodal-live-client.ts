@@ -14,18 +14,40 @@
  * limitations under the License.
  */
 
-import { Content, GenerativeContentBlob, Part } from "@google/generative-ai";
+import {
+  CodeExecutionResultPart,
+  Content,
+  ExecutableCodePart,
+  FunctionDeclaration,
+  GenerativeContentBlob,
+  Part,
+} from "@google/generative-ai";
 import { EventEmitter } from "eventemitter3";
 import { difference } from "lodash";
 import {
   ClientContentMessage,
+  formatLiveConfigErrors,
+  goAwayTimeLeftMs,
+  GroundingMetadata,
+  hasGroundingMetadata,
+  isCodeExecutionResultPart,
+  isExecutableCodePart,
+  isGenerationComplete,
+  isGoAwayMessage,
+  isInputTranscription,
   isInterrupted,
+  isLiveErrorMessage,
   isModelTurn,
+  isOutputTranscription,
   isServerContentMessage,
+  isSessionResumptionUpdateMessage,
   isSetupCompleteMessage,
   isToolCallCancellationMessage,
   isToolCallMessage,
   isTurnComplete,
+  isUsageMetadataMessage,
+  LiveConfigError,
+  LiveError,
   LiveIncomingMessage,
   ModelTurn,
   RealtimeInputMessage,
@@ -35,87 +57,244 @@ import {
   ToolCall,
   ToolCallCancellation,
   ToolResponseMessage,
+  Transcription,
+  UsageMetadata,
+  validateLiveConfig,
   type LiveConfig,
 } from "../multimodal-live-types";
-import { blobToJSON, base64ToArrayBuffer } from "./utils";
+import { base64ToArrayBuffer, frameToJSON, SocketFrame } from "./frames";
+import { AskOptions, LiveTurn } from "./live-turn";
+import {
+  SendDrop,
+  SendLane,
+  SendQueue,
+  SendQueueOptions,
+  SendQueueStats,
+} from "./send-queue";
+import { ToolHandler, ToolOptions, ToolRegistry } from "./tool-registry";
+
+// the Live API's output rate, for audio parts whose mimeType doesn't say
+const DEFAULT_OUTPUT_SAMPLE_RATE = 24000;
+
+// "audio/pcm;rate=24000" -> 24000
+function pcmSampleRate(mimeType: string): number {
+  const match = /;\s*rate=(\d+)/.exec(mimeType);
+  return match ? Number(match[1]) : DEFAULT_OUTPUT_SAMPLE_RATE;
+}
 
 /**
- * Additional special message types that aren't in the standard types
+ * Notices the proxy sends on its own, e.g. after it resumed the upstream
+ * session on a new connection without dropping ours
  */
-interface GoAwayMessage {
-  goAway: {
-    timeLeft: number;
+interface ProxyEventMessage {
+  proxyEvent: {
+    type: "upstreamResumed";
+    reason?: string;
   };
 }
 
-interface SessionResumptionUpdateMessage {
-  sessionResumptionUpdate: {
-    resumable: boolean;
-    newHandle: string;
-  };
+function isProxyEventMessage(obj: any): obj is ProxyEventMessage {
+  return obj &&
+         typeof obj === 'object' &&
+         obj.proxyEvent &&
+         typeof obj.proxyEvent === 'object' &&
+         typeof obj.proxyEvent.type === 'string';
 }
 
-// Type guard functions
-function isGoAwayMessage(obj: any): obj is GoAwayMessage {
-  return obj && 
-         typeof obj === 'object' &&
-         obj.goAway && 
-         typeof obj.goAway === 'object' &&
-         typeof obj.goAway.timeLeft === 'number';
+/**
+ * The proxy's error envelope. It is sent right before the proxy closes the
+ * connection, so the close event that follows has the same cause
+ */
+export type ProxyError = {
+  // stable identifier, e.g. "policy_violation" or "service_restart"
+  code: string;
+  message: string;
+  // the WebSocket close code the proxy is about to close with
+  closeCode?: number;
+  // whether reconnecting can help
+  retryable?: boolean;
+};
+
+interface ProxyErrorMessage {
+  proxyError: ProxyError;
 }
 
-function isSessionResumptionUpdateMessage(obj: any): obj is SessionResumptionUpdateMessage {
-  return obj && 
+function isProxyErrorMessage(obj: any): obj is ProxyErrorMessage {
+  return obj &&
          typeof obj === 'object' &&
-         obj.sessionResumptionUpdate && 
-         typeof obj.sessionResumptionUpdate === 'object' &&
-         typeof obj.sessionResumptionUpdate.resumable === 'boolean' &&
-         typeof obj.sessionResumptionUpdate.newHandle === 'string';
+         obj.proxyError &&
+         typeof obj.proxyError === 'object' &&
+         typeof obj.proxyError.code === 'string' &&
+         typeof obj.proxyError.message === 'string';
+}
+
+/**
+ * the `error` event for a proxyError, socket errors only carry their type
+ */
+export type LiveProxyErrorEvent = LiveSocketEvent & {
+  type: "proxyerror";
+  error: ProxyError;
+};
+
+export const isProxyErrorEvent = (
+  event: LiveSocketEvent,
+): event is LiveProxyErrorEvent => event.type === "proxyerror";
+
+/**
+ * the parts of a socket event the client relies on. DOM events and the ones
+ * from `ws` both fit
+ */
+export interface LiveSocketEvent {
+  type: string;
+}
+
+export interface LiveSocketCloseEvent extends LiveSocketEvent {
+  code: number;
+  reason: string;
+  wasClean: boolean;
 }
 
+/**
+ * the subset of the WHATWG WebSocket the client uses. the browser WebSocket
+ * and the `ws` package both implement it
+ */
+export interface LiveSocket {
+  readonly readyState: number;
+  readonly bufferedAmount: number;
+  binaryType: string;
+  send(data: string): void;
+  close(code?: number, reason?: string): void;
+  addEventListener(type: string, listener: (event: any) => void): void;
+  removeEventListener(type: string, listener: (event: any) => void): void;
+}
+
+export type LiveSocketConstructor = new (
+  url: string,
+  protocols?: string | string[],
+) => LiveSocket;
+
+// WebSocket.OPEN, spelled out so we don't need a global WebSocket to read it
+const SOCKET_OPEN = 1;
+
 /**
  * the events that this client will emit
  */
 interface MultimodalLiveClientEventTypes {
   open: () => void;
   log: (log: StreamingLog) => void;
-  close: (event: CloseEvent) => void;
-  error: (event: Event) => void;
-  audio: (data: ArrayBuffer) => void;
+  close: (event: LiveSocketCloseEvent) => void;
+  error: (event: LiveSocketEvent | LiveProxyErrorEvent) => void;
+  // PCM16 mono at `sampleRate`
+  audio: (data: ArrayBuffer, sampleRate: number) => void;
   content: (data: ServerContent) => void;
   interrupted: () => void;
   setupcomplete: () => void;
   turncomplete: () => void;
   toolcall: (toolCall: ToolCall) => void;
   toolcallcancellation: (toolcallCancellation: ToolCallCancellation) => void;
+  generationcomplete: () => void;
+  groundingmetadata: (metadata: GroundingMetadata) => void;
+  inputtranscription: (transcription: Transcription) => void;
+  outputtranscription: (transcription: Transcription) => void;
+  executablecode: (part: ExecutableCodePart) => void;
+  codeexecutionresult: (part: CodeExecutionResultPart) => void;
+  usagemetadata: (usage: UsageMetadata) => void;
+  servererror: (error: LiveError) => void;
   goAway: (timeLeft: number) => void;
   sessionUpdate: (handle: string) => void;
+  upstreamresumed: (reason: string) => void;
+  sendqueue: (stats: SendQueueStats) => void;
+  senddrop: (drop: SendDrop) => void;
 }
 
+/**
+ * returns a token the proxy can verify, or nothing when the proxy runs without auth.
+ * called before every connection attempt so short-lived tokens can be refreshed
+ */
+export type AuthTokenProvider = () =>
+  | string
+  | null
+  | undefined
+  | Promise<string | null | undefined>;
+
 export type MultimodalLiveAPIClientConnection = {
   proxyUrl: string; // URL of YOUR backend proxy server
+  getAuthToken?: AuthTokenProvider;
+  // WebSocket implementation to connect with, defaults to the global one.
+  // pass `ws` (or use `src/node.ts`) when running under Node
+  webSocketImpl?: LiveSocketConstructor;
+  // thresholds and drop policies for outgoing messages, see send-queue.ts
+  sendQueue?: SendQueueOptions;
 };
 
+// subprotocols understood by the proxy, the token travels as `bearer.<token>`
+// so it stays out of URLs and access logs
+const PROXY_PROTOCOL = "live-api-proxy";
+const BEARER_PROTOCOL_PREFIX = "bearer.";
+
+// close code the proxy uses for rejected credentials
+export const AUTH_CLOSE_CODE = 4401;
+
+/**
+ * thrown by `connect` when the config would be rejected by the Live API
+ */
+export class LiveConfigValidationError extends Error {
+  constructor(public errors: LiveConfigError[]) {
+    super(`Invalid config: ${formatLiveConfigErrors(errors)}`);
+    this.name = "LiveConfigValidationError";
+  }
+}
+
 /**
  * A event-emitting class that manages the connection to the websocket and emits
  * events to the rest of the application.
  * If you dont want to use react you can still use this.
  */
 export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEventTypes> {
-  public ws: WebSocket | null = null;
+  public ws: LiveSocket | null = null;
   protected config: LiveConfig | null = null;
   public proxyUrl: string = "";
-  
+  private getAuthToken?: AuthTokenProvider;
+  private webSocketImpl: LiveSocketConstructor;
+  // outgoing messages wait here while connecting, reconnecting or backpressured
+  public sendQueue: SendQueue;
+  // function tools answered by this client, see registerTool
+  public tools: ToolRegistry = new ToolRegistry();
+
   public getConfig() {
     return { ...this.config };
   }
 
-  constructor({ proxyUrl }: MultimodalLiveAPIClientConnection) {
+  constructor({
+    proxyUrl,
+    getAuthToken,
+    webSocketImpl,
+    sendQueue,
+  }: MultimodalLiveAPIClientConnection) {
     super();
     if (!proxyUrl) {
       throw new Error("Proxy URL must be provided to MultimodalLiveClient");
     }
+    const impl =
+      webSocketImpl ??
+      (globalThis as { WebSocket?: LiveSocketConstructor }).WebSocket;
+    if (!impl) {
+      throw new Error(
+        "No global WebSocket available, pass `webSocketImpl` (e.g. the `ws` package) to MultimodalLiveClient",
+      );
+    }
     this.proxyUrl = proxyUrl;
+    this.getAuthToken = getAuthToken;
+    this.webSocketImpl = impl;
+    this.sendQueue = new SendQueue(sendQueue);
+    this.sendQueue.on("stats", (stats) => this.emit("sendqueue", stats));
+    this.sendQueue.on("drop", (drop) => {
+      this.log(
+        "client.sendQueue",
+        `dropped ${drop.count} ${drop.lane} message(s) (${drop.reason})`,
+      );
+      this.emit("senddrop", drop);
+    });
     this.send = this.send.bind(this);
   }
 
@@ -128,46 +307,70 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
     this.emit("log", log);
   }
 
-  connect(config: LiveConfig): Promise<boolean> {
-    this.config = config;
+  private async resolveProtocols(): Promise<string[] | undefined> {
+    if (!this.getAuthToken) {
+      return undefined;
+    }
+    let token: string | null | undefined;
+    try {
+      token = await this.getAuthToken();
+    } catch (e) {
+      const message = `Could not obtain proxy auth token: ${
+        e instanceof Error ? e.message : e
+      }`;
+      this.log("client.auth", message);
+      throw new Error(message);
+    }
+    return token
+      ? [PROXY_PROTOCOL, `${BEARER_PROTOCOL_PREFIX}${token}`]
+      : undefined;
+  }
+
+  /**
+   * declare a function tool and answer its calls with `handler`. the declaration
+   * is added to the config on the next `connect`. returns a function that
+   * unregisters the tool
+   */
+  registerTool<Args = any>(
+    declaration: FunctionDeclaration,
+    handler: ToolHandler<Args>,
+    options?: ToolOptions,
+  ): () => void {
+    return this.tools.register(declaration, handler, options);
+  }
+
+  async connect(config: LiveConfig): Promise<boolean> {
+    const fullConfig = this.tools.applyTo(config);
+    const issues = validateLiveConfig(fullConfig);
+    const errors = issues.filter((issue) => issue.severity === "error");
+    const warnings = issues.filter((issue) => issue.severity === "warning");
+    if (warnings.length) {
+      this.log("client.config", `warning: ${formatLiveConfigErrors(warnings)}`);
+    }
+    if (errors.length) {
+      this.log("client.config", formatLiveConfigErrors(errors));
+      throw new LiveConfigValidationError(errors);
+    }
+    this.config = fullConfig;
+
+    const protocols = await this.resolveProtocols();
 
     // Connect to YOUR proxy server URL
-    const ws = new WebSocket(this.proxyUrl);
-    
-    ws.addEventListener("error", (event: Event) => {
+    const ws = new this.webSocketImpl(this.proxyUrl, protocols);
+    // decodes without FileReader, and `ws` hands out ArrayBuffers instead of Buffers
+    ws.binaryType = "arraybuffer";
+
+    ws.addEventListener("error", (event: LiveSocketEvent) => {
       this.emit("error", event);
     });
 
-    ws.addEventListener("message", async (evt: MessageEvent) => {
-      if (evt.data instanceof Blob) {
-        this.receive(evt.data);
-      } else if (typeof evt.data === 'string') {
-        // Handle potential text messages from proxy (e.g., errors)
-        console.warn("Received text message from proxy:", evt.data);
-        // Potentially parse if expecting JSON errors, etc.
-        try {
-            const data = JSON.parse(evt.data);
-            // Handle parsed data if necessary
-            
-            // Check for session-related messages
-            if (isSessionResumptionUpdateMessage(data)) {
-              this.emit("sessionUpdate", data.sessionResumptionUpdate.newHandle);
-            }
-            
-            // Check for GoAway messages
-            if (isGoAwayMessage(data)) {
-              this.emit("goAway", data.goAway.timeLeft);
-            }
-        } catch (e) {
-            // Ignore if not JSON or handle as plain text
-        }
-      } else {
-        console.log("Received non-blob/non-string message:", evt);
-      }
+    // text and binary frames carry the same JSON messages
+    ws.addEventListener("message", (evt: { data: SocketFrame }) => {
+      this.receive(evt.data);
     });
     
     return new Promise((resolve, reject) => {
-      const onError = (ev: Event) => {
+      const onError = (ev: LiveSocketEvent) => {
         this.disconnect(ws);
         // Update error message to reflect proxy connection failure
         const message = `Could not connect to proxy server at "${this.proxyUrl}"`;
@@ -175,7 +378,7 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
         reject(new Error(message));
       };
       ws.addEventListener("error", onError);
-      ws.addEventListener("open", (ev: Event) => {
+      ws.addEventListener("open", (ev: LiveSocketEvent) => {
         if (!this.config) {
           reject("Invalid config provided to 'connect(config)'");
           return;
@@ -185,15 +388,17 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
 
         this.ws = ws;
 
-        // Send the setup message THROUGH the proxy
+        // Send the setup message THROUGH the proxy, ahead of anything
+        // that was queued while we were connecting
         const setupMessage: SetupMessage = {
           setup: this.config,
         };
-        this._sendDirect(setupMessage);
+        ws.send(JSON.stringify(setupMessage));
         this.log("client.send->proxy", "setup"); // Log direction
+        this.sendQueue.attach(ws);
 
         ws.removeEventListener("error", onError);
-        ws.addEventListener("close", (ev: CloseEvent) => {
+        ws.addEventListener("close", (ev: LiveSocketCloseEvent) => {
           let reason = ev.reason || "";
           const wasClean = ev.wasClean;
           const code = ev.code;
@@ -202,6 +407,8 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
           if (code === 1011) { // Example: Internal Server Error from proxy
               reason = `Proxy Error: ${reason}`;
               // Potentially show a user-facing error indicating a server problem
+          } else if (code === AUTH_CLOSE_CODE) {
+              reason = reason || "Unauthorized";
           }
 
           this.disconnect(ws);
@@ -216,13 +423,13 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
     });
   }
 
-  disconnect(ws?: WebSocket) {
+  disconnect(ws?: LiveSocket) {
     // could be that this is an old websocket and theres already a new instance
     // only close it if its still the correct reference
     if ((!ws || this.ws === ws) && this.ws) {
       // Send a disconnect message to the server before closing
       try {
-        if (this.ws.readyState === WebSocket.OPEN) {
+        if (this.ws.readyState === SOCKET_OPEN) {
           this._sendDirect({ type: 'disconnect' });
           this.log("client.disconnect", "Sent disconnect message to server");
         }
@@ -230,6 +437,14 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
         console.error("Error sending disconnect message:", e);
       }
       
+      // when the socket dropped, whatever is still queued goes out on the
+      // next connection. mic and camera input from a session the user ended
+      // must not leak into the next one
+      if (!ws) {
+        this.sendQueue.clear(["audio", "video"]);
+      }
+      this.sendQueue.attach(null);
+      this.tools.cancelAll("connection closed");
       this.ws.close(1000, "Client initiated disconnect");
       this.ws = null;
       this.log("client.close", `Disconnected from proxy`);
@@ -238,18 +453,40 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
     return false;
   }
 
-  protected async receive(blob: Blob) {
-    const response: LiveIncomingMessage = (await blobToJSON(
-      blob,
-    )) as LiveIncomingMessage;
+  protected async receive(data: SocketFrame) {
+    let response: LiveIncomingMessage;
+    try {
+      response = (await frameToJSON(data)) as LiveIncomingMessage;
+    } catch (e) {
+      this.log("client.receive", `ignored a frame that isn't JSON: ${(e as Error).message}`);
+      return;
+    }
+
+    // usage can ride along on any message, so it never ends the handling
+    if (isUsageMetadataMessage(response)) {
+      this.log("server.usageMetadata", response);
+      this.emit("usagemetadata", response.usageMetadata);
+    }
+
+    // registered tools are answered here, listeners only see the other calls
     if (isToolCallMessage(response)) {
       this.log("server.toolCall", response);
-      this.emit("toolcall", response.toolCall);
+      const functionCalls = this.tools.dispatch(
+        response.toolCall,
+        (functionResponse) =>
+          this.sendToolResponse({ functionResponses: [functionResponse] }),
+      );
+      if (functionCalls.length) {
+        this.emit("toolcall", { ...response.toolCall, functionCalls });
+      }
       return;
     }
     if (isToolCallCancellationMessage(response)) {
       this.log("receive.toolCallCancellation", response);
-      this.emit("toolcallcancellation", response.toolCallCancellation);
+      const ids = this.tools.cancel(response.toolCallCancellation.ids);
+      if (ids.length) {
+        this.emit("toolcallcancellation", { ...response.toolCallCancellation, ids });
+      }
       return;
     }
 
@@ -259,26 +496,45 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
       return;
     }
 
-    // Look for special message types
-    try {
-      // We need to cast the result to any since we're checking for message types
-      // that aren't part of the standard LiveIncomingMessage type
-      const responseObj: any = await blobToJSON(blob);
-      
-      if (isGoAwayMessage(responseObj)) {
-        this.log("server.goAway", `timeLeft: ${responseObj.goAway.timeLeft}ms`);
-        this.emit("goAway", responseObj.goAway.timeLeft);
-        return;
-      }
-      
-      if (isSessionResumptionUpdateMessage(responseObj)) {
-        this.log("server.sessionUpdate", 
-          `Handle: ${responseObj.sessionResumptionUpdate.newHandle}`);
-        this.emit("sessionUpdate", responseObj.sessionResumptionUpdate.newHandle);
-        return;
+    if (isGoAwayMessage(response)) {
+      const timeLeft = goAwayTimeLeftMs(response.goAway) ?? 0;
+      this.log("server.goAway", `timeLeft: ${timeLeft}ms`);
+      this.emit("goAway", timeLeft);
+      return;
+    }
+
+    if (isSessionResumptionUpdateMessage(response)) {
+      this.log(
+        "server.sessionUpdate",
+        `Handle: ${response.sessionResumptionUpdate.newHandle}`,
+      );
+      this.emit("sessionUpdate", response.sessionResumptionUpdate.newHandle);
+      return;
+    }
+
+    if (isProxyEventMessage(response)) {
+      if (response.proxyEvent.type === "upstreamResumed") {
+        this.log("proxy.upstreamResumed", response.proxyEvent.reason || "");
+        this.emit("upstreamresumed", response.proxyEvent.reason || "");
       }
-    } catch (e) {
-      // Ignore parsing errors and continue with normal message handling
+      return;
+    }
+
+    if (isProxyErrorMessage(response)) {
+      const { code, message } = response.proxyError;
+      this.log("proxy.error", `${code} ${message}`);
+      this.emit("error", { type: "proxyerror", error: response.proxyError });
+      return;
+    }
+
+    if (isLiveErrorMessage(response)) {
+      const { code, status, message } = response.error;
+      this.log(
+        "server.error",
+        `${[code, status].filter(Boolean).join(" ")} ${message}`.trim(),
+      );
+      this.emit("servererror", response.error);
+      return;
     }
 
     // this json also might be `contentUpdate { interrupted: true }`
@@ -288,7 +544,23 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
       if (isInterrupted(serverContent)) {
         this.log("receive.serverContent", "interrupted");
         this.emit("interrupted");
-        return;
+        // transcriptions of the interrupting speech can come with it
+      }
+      if (isInputTranscription(serverContent)) {
+        this.log("server.inputTranscription", response);
+        this.emit("inputtranscription", serverContent.inputTranscription);
+      }
+      if (isOutputTranscription(serverContent)) {
+        this.log("server.outputTranscription", response);
+        this.emit("outputtranscription", serverContent.outputTranscription);
+      }
+      if (hasGroundingMetadata(serverContent)) {
+        this.log("server.groundingMetadata", response);
+        this.emit("groundingmetadata", serverContent.groundingMetadata);
+      }
+      if (isGenerationComplete(serverContent)) {
+        this.log("server.send", "generationComplete");
+        this.emit("generationcomplete");
       }
       if (isTurnComplete(serverContent)) {
         this.log("server.send", "turnComplete");
@@ -303,16 +575,15 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
         const audioParts = parts.filter(
           (p) => p.inlineData && p.inlineData.mimeType.startsWith("audio/pcm"),
         );
-        const base64s = audioParts.map((p) => p.inlineData?.data);
 
         // strip the audio parts out of the modelTurn
         const otherParts = difference(parts, audioParts);
         // console.log("otherParts", otherParts);
 
-        base64s.forEach((b64) => {
-          if (b64) {
-            const data = base64ToArrayBuffer(b64);
-            this.emit("audio", data);
+        audioParts.forEach(({ inlineData }) => {
+          if (inlineData?.data) {
+            const data = base64ToArrayBuffer(inlineData.data);
+            this.emit("audio", data, pcmSampleRate(inlineData.mimeType));
             this.log(`server.audio`, `buffer (${data.byteLength})`);
           }
         });
@@ -320,13 +591,23 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
           return;
         }
 
+        // code execution parts stay in the content, the events are for
+        // listeners that only care about them
+        otherParts.forEach((part) => {
+          if (isExecutableCodePart(part)) {
+            this.emit("executablecode", part);
+          } else if (isCodeExecutionResultPart(part)) {
+            this.emit("codeexecutionresult", part);
+          }
+        });
+
         parts = otherParts;
 
         const content: ModelTurn = { modelTurn: { parts } };
         this.emit("content", content);
         this.log(`server.content`, response);
       }
-    } else {
+    } else if (!isUsageMetadataMessage(response)) {
       console.log("received unmatched message", response);
     }
   }
@@ -363,10 +644,40 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
         mediaChunks: chunks,
       },
     };
-    this._sendDirect(data);
+    // mixed chunks travel with audio so they aren't coalesced away
+    this._sendDirect(data, hasAudio ? "audio" : hasVideo ? "video" : "control");
     this.log(`client.realtimeInput->proxy`, message);
   }
 
+  /**
+   * with automatic activity detection disabled, marks where the user starts
+   * and stops speaking. they share the audio lane so they stay in order with
+   * the audio between them
+   */
+  sendActivityStart() {
+    this._sendRealtimeSignal({ activityStart: {} }, "activityStart");
+  }
+
+  sendActivityEnd() {
+    this._sendRealtimeSignal({ activityEnd: {} }, "activityEnd");
+  }
+
+  /**
+   * tells automatic activity detection the mic was paused
+   */
+  sendAudioStreamEnd() {
+    this._sendRealtimeSignal({ audioStreamEnd: true }, "audioStreamEnd");
+  }
+
+  private _sendRealtimeSignal(
+    realtimeInput: RealtimeInputMessage["realtimeInput"],
+    name: string,
+  ) {
+    const data: RealtimeInputMessage = { realtimeInput };
+    this._sendDirect(data, "audio", false);
+    this.log(`client.realtimeInput->proxy`, name);
+  }
+
   /**
    *  send a response to a function call and provide the id of the functions you are responding to
    */
@@ -401,20 +712,26 @@ export class MultimodalLiveClient extends EventEmitter<MultimodalLiveClientEvent
   }
 
   /**
-   *  used internally to send all messages
+   * send parts and get the model's reply as an async iterable of text, audio
+   * and tool call chunks, e.g. `for await (const chunk of client.ask({ text }))`
+   * or `await client.ask({ text }).collect()`
+   */
+  ask(parts: Part | Part[], options?: AskOptions): LiveTurn {
+    return new LiveTurn(this, parts, options);
+  }
+
+  /**
+   *  used internally to send all messages, through the send queue
    *  don't use directly unless trying to send an unsupported message type
    */
-  _sendDirect(request: object) {
-    if (!this.ws) {
-      console.error("WebSocket (proxy) is not connected, cannot send message.");
-      return; // Prevent sending if not connected
-    }
-    
+  _sendDirect(request: object, lane: SendLane = "control", droppable = true) {
+    let str: string;
     try {
-      const str = JSON.stringify(request);
-      this.ws.send(str);
+      str = JSON.stringify(request);
     } catch (error) {
-      console.error("Failed to stringify or send message:", error, request);
+      console.error("Failed to stringify message:", error, request);
+      return;
     }
+    this.sendQueue.enqueue(str, lane, droppable);
   }
 }
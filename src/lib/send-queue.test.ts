@@ -0,0 +1,74 @@
+import { SendQueue, SendQueueSocket } from './send-queue';
+
+const socket = (): SendQueueSocket & { sent: string[]; bufferedAmount: number } => ({
+  readyState: 1,
+  bufferedAmount: 0,
+  sent: [] as string[],
+  send(data: string) {
+    this.sent.push(data);
+  },
+});
+
+test('holds messages until a socket is attached, control first', () => {
+  const queue = new SendQueue();
+  queue.enqueue('video', 'video');
+  queue.enqueue('audio', 'audio');
+  queue.enqueue('text', 'control');
+
+  const ws = socket();
+  queue.attach(ws);
+
+  expect(ws.sent).toEqual(['text', 'audio', 'video']);
+  expect(queue.getStats().depth).toEqual({ control: 0, audio: 0, video: 0 });
+});
+
+test('coalesces video and holds realtime input while backpressured', () => {
+  jest.useFakeTimers();
+  const queue = new SendQueue({ highWaterMark: 100, videoHighWaterMark: 10 });
+  const drops = jest.fn();
+  queue.on('drop', drops);
+  const ws = socket();
+  queue.attach(ws);
+  ws.bufferedAmount = 50;
+
+  queue.enqueue('frame-1', 'video');
+  queue.enqueue('frame-2', 'video');
+  queue.enqueue('chunk', 'audio');
+  queue.enqueue('tool response', 'control');
+
+  expect(ws.sent).toEqual(['chunk', 'tool response']);
+  expect(drops).toHaveBeenCalledWith({ lane: 'video', count: 1, reason: 'coalesced' });
+
+  ws.bufferedAmount = 0;
+  jest.runOnlyPendingTimers();
+  expect(ws.sent).toEqual(['chunk', 'tool response', 'frame-2']);
+  jest.useRealTimers();
+});
+
+test('drops realtime input that went stale while disconnected', () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+  const queue = new SendQueue({ maxRealtimeAgeMs: 1000 });
+  queue.enqueue('old chunk', 'audio');
+  queue.enqueue('text', 'control');
+  now.mockReturnValue(5000);
+
+  const ws = socket();
+  queue.attach(ws);
+
+  expect(ws.sent).toEqual(['text']);
+  expect(queue.getStats().dropped.audio).toBe(1);
+  now.mockRestore();
+});
+
+test('never drops signals queued as not droppable', () => {
+  const queue = new SendQueue({ maxAudioChunks: 1 });
+  queue.enqueue('activityStart', 'audio', false);
+  queue.enqueue('chunk-1', 'audio');
+  queue.enqueue('chunk-2', 'audio');
+  queue.enqueue('activityEnd', 'audio', false);
+
+  const ws = socket();
+  queue.attach(ws);
+
+  expect(ws.sent).toEqual(['activityStart', 'chunk-2', 'activityEnd']);
+});
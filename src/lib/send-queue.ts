@@ -0,0 +1,262 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { EventEmitter } from "eventemitter3";
+
+/**
+ * lanes in the order they are drained. control covers setup, text and tool
+ * responses, the realtime lanes carry `realtimeInput` chunks
+ */
+export type SendLane = "control" | "audio" | "video";
+
+const LANES: SendLane[] = ["control", "audio", "video"];
+
+/**
+ * what to do with video frames that queue up while the uplink is saturated:
+ * `coalesce` keeps only the newest frame, `drop-oldest` keeps the newest `maxVideoFrames`
+ */
+export type VideoDropPolicy = "coalesce" | "drop-oldest";
+
+export type SendQueueOptions = {
+  // bufferedAmount (bytes) above which audio waits in the queue
+  highWaterMark?: number;
+  // bufferedAmount (bytes) above which video waits in the queue
+  videoHighWaterMark?: number;
+  videoPolicy?: VideoDropPolicy;
+  maxVideoFrames?: number;
+  maxAudioChunks?: number;
+  // realtime chunks older than this are dropped instead of sent late
+  maxRealtimeAgeMs?: number;
+  // how often to check bufferedAmount again while holding messages back
+  retryIntervalMs?: number;
+};
+
+export type SendDropReason = "coalesced" | "overflow" | "stale";
+
+export type SendDrop = {
+  lane: SendLane;
+  count: number;
+  reason: SendDropReason;
+};
+
+export type SendQueueStats = {
+  depth: Record<SendLane, number>;
+  dropped: Record<SendLane, number>;
+  bufferedAmount: number;
+};
+
+/**
+ * the socket surface the queue writes to
+ */
+export interface SendQueueSocket {
+  readonly readyState: number;
+  readonly bufferedAmount: number;
+  send(data: string): void;
+}
+
+interface SendQueueEventTypes {
+  stats: (stats: SendQueueStats) => void;
+  drop: (drop: SendDrop) => void;
+}
+
+type QueuedMessage = {
+  data: string;
+  queuedAt: number;
+  // signals like activityStart ride in the audio lane to keep their order
+  // with the audio, but must never be dropped
+  droppable: boolean;
+};
+
+const SOCKET_OPEN = 1;
+
+const DEFAULTS: Required<SendQueueOptions> = {
+  highWaterMark: 1024 * 1024,
+  videoHighWaterMark: 256 * 1024,
+  videoPolicy: "coalesce",
+  maxVideoFrames: 4,
+  maxAudioChunks: 250,
+  maxRealtimeAgeMs: 10000,
+  retryIntervalMs: 50,
+};
+
+/**
+ * Prioritized outbound queue for the live client. Messages wait here while
+ * there is no open socket (connecting, reconnecting) and while the socket's
+ * bufferedAmount says the uplink can't keep up, so stale video never delays
+ * audio and audio never delays a tool response.
+ */
+export class SendQueue extends EventEmitter<SendQueueEventTypes> {
+  private options: Required<SendQueueOptions>;
+  private socket: SendQueueSocket | null = null;
+  private lanes: Record<SendLane, QueuedMessage[]> = {
+    control: [],
+    audio: [],
+    video: [],
+  };
+  private dropped: Record<SendLane, number> = { control: 0, audio: 0, video: 0 };
+  private retryTimeout: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(options: SendQueueOptions = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * start writing to `socket`, or pass null to hold everything until the next one
+   */
+  attach(socket: SendQueueSocket | null) {
+    this.socket = socket;
+    this.flush();
+  }
+
+  enqueue(data: string, lane: SendLane = "control", droppable = true) {
+    this.lanes[lane].push({ data, queuedAt: Date.now(), droppable });
+    if (lane === "audio") {
+      const chunks = this.droppableCount("audio");
+      if (chunks > this.options.maxAudioChunks) {
+        this.drop("audio", chunks - this.options.maxAudioChunks, "overflow");
+      }
+    }
+    if (lane === "video") {
+      this.trimVideo();
+    }
+    this.flush();
+  }
+
+  flush() {
+    this.clearRetry();
+    const socket = this.socket;
+    if (!socket || socket.readyState !== SOCKET_OPEN) {
+      this.emitStats();
+      return;
+    }
+    this.dropStale();
+
+    for (const lane of LANES) {
+      const queue = this.lanes[lane];
+      while (queue.length) {
+        if (this.isHeldBack(lane, socket)) {
+          this.scheduleRetry();
+          this.emitStats();
+          return;
+        }
+        try {
+          socket.send(queue[0].data);
+        } catch (e) {
+          console.error("Failed to send queued message:", e);
+          this.scheduleRetry();
+          this.emitStats();
+          return;
+        }
+        queue.shift();
+      }
+    }
+    this.emitStats();
+  }
+
+  /**
+   * forget queued messages, in every lane or only in `lanes`
+   */
+  clear(lanes: SendLane[] = LANES) {
+    this.clearRetry();
+    lanes.forEach((lane) => (this.lanes[lane] = []));
+    this.emitStats();
+  }
+
+  getStats(): SendQueueStats {
+    return {
+      depth: {
+        control: this.lanes.control.length,
+        audio: this.lanes.audio.length,
+        video: this.lanes.video.length,
+      },
+      dropped: { ...this.dropped },
+      bufferedAmount: this.socket?.bufferedAmount ?? 0,
+    };
+  }
+
+  private isHeldBack(lane: SendLane, socket: SendQueueSocket) {
+    if (lane === "control") {
+      return false;
+    }
+    const limit =
+      lane === "audio"
+        ? this.options.highWaterMark
+        : this.options.videoHighWaterMark;
+    return socket.bufferedAmount > limit;
+  }
+
+  private trimVideo() {
+    const keep =
+      this.options.videoPolicy === "coalesce" ? 1 : this.options.maxVideoFrames;
+    const excess = this.droppableCount("video") - keep;
+    if (excess > 0) {
+      this.drop(
+        "video",
+        excess,
+        this.options.videoPolicy === "coalesce" ? "coalesced" : "overflow",
+      );
+    }
+  }
+
+  private dropStale() {
+    const cutoff = Date.now() - this.options.maxRealtimeAgeMs;
+    (["audio", "video"] as SendLane[]).forEach((lane) => {
+      const count = this.lanes[lane].filter(
+        (m) => m.droppable && m.queuedAt < cutoff,
+      ).length;
+      if (count > 0) {
+        this.drop(lane, count, "stale");
+      }
+    });
+  }
+
+  private droppableCount(lane: SendLane) {
+    return this.lanes[lane].filter((m) => m.droppable).length;
+  }
+
+  // always drops the oldest droppable messages
+  private drop(lane: SendLane, count: number, reason: SendDropReason) {
+    let left = count;
+    this.lanes[lane] = this.lanes[lane].filter((m) => {
+      if (left > 0 && m.droppable) {
+        left--;
+        return false;
+      }
+      return true;
+    });
+    this.dropped[lane] += count;
+    this.emit("drop", { lane, count, reason });
+  }
+
+  private scheduleRetry() {
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.flush();
+    }, this.options.retryIntervalMs);
+  }
+
+  private clearRetry() {
+    if (this.retryTimeout !== null) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+  }
+
+  private emitStats() {
+    this.emit("stats", this.getStats());
+  }
+}
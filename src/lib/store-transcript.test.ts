@@ -0,0 +1,65 @@
+import {
+  appendTranscription,
+  completeTurns,
+  interruptTurns,
+  TranscriptTurn,
+  transcriptToText,
+} from './store-transcript';
+
+const speak = (
+  turns: TranscriptTurn[],
+  speaker: 'user' | 'model',
+  ...fragments: string[]
+) =>
+  fragments.reduce(
+    (acc, text) => appendTranscription(acc, speaker, { text }),
+    turns,
+  );
+
+test('stitches fragments into one turn per speaker', () => {
+  let turns = speak([], 'user', 'Draw me', ' a bar chart');
+  turns = speak(turns, 'model', 'Sure,');
+  // user audio is still being transcribed while the model answers
+  turns = speak(turns, 'user', ' please');
+  turns = speak(turns, 'model', ' here it is.');
+
+  expect(turns.map(({ speaker, text }) => [speaker, text])).toEqual([
+    ['user', 'Draw me a bar chart please'],
+    ['model', 'Sure, here it is.'],
+  ]);
+});
+
+test('turnComplete starts new turns', () => {
+  let turns = speak([], 'user', 'Hello');
+  turns = speak(turns, 'model', 'Hi');
+  turns = completeTurns(turns);
+  turns = speak(turns, 'user', 'Again');
+
+  expect(turns.map((turn) => turn.text)).toEqual(['Hello', 'Hi', 'Again']);
+  expect(turns.map((turn) => turn.final)).toEqual([true, true, false]);
+});
+
+test('interrupted closes only the model turn', () => {
+  let turns = speak([], 'user', 'Tell me');
+  turns = speak(turns, 'model', 'Once upon');
+  turns = interruptTurns(turns);
+  turns = speak(turns, 'user', ' something else');
+  turns = speak(turns, 'model', 'Okay');
+
+  expect(transcriptToText(turns)).toBe(
+    [
+      'User: Tell me something else',
+      'Model: Once upon [interrupted]',
+      'Model: Okay',
+    ].join('\n'),
+  );
+});
+
+test('finished closes a turn and empty fragments do not open one', () => {
+  let turns = appendTranscription([], 'user', { text: '  ' });
+  expect(turns).toEqual([]);
+
+  turns = appendTranscription(turns, 'user', { text: 'Hi', finished: true });
+  turns = speak(turns, 'user', 'Bye');
+  expect(turns.map((turn) => turn.text)).toEqual(['Hi', 'Bye']);
+});
@@ -0,0 +1,125 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { create } from "zustand";
+import { Transcription } from "../multimodal-live-types";
+
+export type TranscriptSpeaker = "user" | "model";
+
+export type TranscriptTurn = {
+  id: number;
+  speaker: TranscriptSpeaker;
+  date: Date;
+  text: string;
+  // no more fragments will be added to this turn
+  final: boolean;
+  interrupted?: boolean;
+};
+
+let nextTurnId = 1;
+
+/**
+ * both sides can be speaking at once (user audio keeps being transcribed while
+ * the model answers), so each speaker has at most one open turn
+ */
+const openTurnIndex = (turns: TranscriptTurn[], speaker: TranscriptSpeaker) =>
+  turns.findLastIndex((turn) => turn.speaker === speaker && !turn.final);
+
+/**
+ * adds a transcription fragment to the speaker's open turn, or starts a new one
+ */
+export function appendTranscription(
+  turns: TranscriptTurn[],
+  speaker: TranscriptSpeaker,
+  { text = "", finished }: Transcription,
+  date: Date = new Date(),
+): TranscriptTurn[] {
+  const index = openTurnIndex(turns, speaker);
+  if (index === -1) {
+    if (!text.trim()) {
+      return turns;
+    }
+    return [
+      ...turns,
+      { id: nextTurnId++, speaker, date, text, final: !!finished },
+    ];
+  }
+  const turn = turns[index];
+  return turns.map((t, i) =>
+    i === index
+      ? { ...turn, text: turn.text + text, final: !!finished }
+      : t,
+  );
+}
+
+/**
+ * `turnComplete`: closes every open turn
+ */
+export function completeTurns(turns: TranscriptTurn[]): TranscriptTurn[] {
+  return turns.some((turn) => !turn.final)
+    ? turns.map((turn) => (turn.final ? turn : { ...turn, final: true }))
+    : turns;
+}
+
+/**
+ * `interrupted`: the user barged in, the model's open turn ends where it was cut
+ * off while the user's keeps collecting fragments
+ */
+export function interruptTurns(turns: TranscriptTurn[]): TranscriptTurn[] {
+  const index = openTurnIndex(turns, "model");
+  if (index === -1) {
+    return turns;
+  }
+  return turns.map((turn, i) =>
+    i === index ? { ...turn, final: true, interrupted: true } : turn,
+  );
+}
+
+/**
+ * plain text for the clipboard, one `Speaker: text` line per turn
+ */
+export function transcriptToText(turns: TranscriptTurn[]): string {
+  return turns
+    .map(
+      (turn) =>
+        `${turn.speaker === "user" ? "User" : "Model"}: ${turn.text.trim()}${
+          turn.interrupted ? " [interrupted]" : ""
+        }`,
+    )
+    .join("\n");
+}
+
+interface StoreTranscriptState {
+  turns: TranscriptTurn[];
+  addTranscription: (
+    speaker: TranscriptSpeaker,
+    transcription: Transcription,
+  ) => void;
+  completeTurn: () => void;
+  interrupt: () => void;
+  clearTranscript: () => void;
+}
+
+export const useTranscriptStore = create<StoreTranscriptState>((set) => ({
+  turns: [],
+  addTranscription: (speaker, transcription) =>
+    set((state) => ({
+      turns: appendTranscription(state.turns, speaker, transcription),
+    })),
+  completeTurn: () => set((state) => ({ turns: completeTurns(state.turns) })),
+  interrupt: () => set((state) => ({ turns: interruptTurns(state.turns) })),
+  clearTranscript: () => set({ turns: [] }),
+}));
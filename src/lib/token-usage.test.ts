@@ -0,0 +1,33 @@
+import {
+  addUsage,
+  contextLimit,
+  DEFAULT_CONTEXT_WINDOW_TOKENS,
+  EMPTY_TOKEN_USAGE,
+} from './token-usage';
+
+const model = 'models/gemini-2.0-flash-exp';
+
+test('tracks the latest context size and the running total', () => {
+  let usage = addUsage(EMPTY_TOKEN_USAGE, {
+    promptTokenCount: 100,
+    responseTokenCount: 20,
+    totalTokenCount: 120,
+  });
+  // without totalTokenCount the prompt and response are added up
+  usage = addUsage(usage, { promptTokenCount: 150, responseTokenCount: 30 });
+
+  expect(usage).toEqual({ contextTokens: 180, totalTokens: 300, updates: 2 });
+});
+
+test('the limit is the window, or the compression trigger', () => {
+  expect(contextLimit({ model })).toBe(DEFAULT_CONTEXT_WINDOW_TOKENS);
+  expect(
+    contextLimit({ model, contextWindowCompression: { slidingWindow: {} } }),
+  ).toBe(Math.floor(DEFAULT_CONTEXT_WINDOW_TOKENS * 0.8));
+  expect(
+    contextLimit({
+      model,
+      contextWindowCompression: { triggerTokens: 10000, slidingWindow: {} },
+    }),
+  ).toBe(10000);
+});
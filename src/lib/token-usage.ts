@@ -0,0 +1,82 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type { LiveConfig, UsageMetadata } from "../multimodal-live-types";
+
+// the Live models' context window, the server ends the session when it is full
+export const DEFAULT_CONTEXT_WINDOW_TOKENS = 32768;
+
+// the server's default triggerTokens, as a share of the context window
+const DEFAULT_TRIGGER_RATIO = 0.8;
+
+export type TokenUsage = {
+  // the size of the context as of the latest usageMetadata
+  contextTokens: number;
+  // every token billed in the session, across resumptions and compressions
+  totalTokens: number;
+  updates: number;
+};
+
+export const EMPTY_TOKEN_USAGE: TokenUsage = {
+  contextTokens: 0,
+  totalTokens: 0,
+  updates: 0,
+};
+
+/**
+ * each usageMetadata reports the turn it ends: its prompt is the whole context
+ * so far, so the context size is replaced and only the session total adds up
+ */
+export function addUsage(
+  usage: TokenUsage,
+  {
+    promptTokenCount = 0,
+    responseTokenCount = 0,
+    totalTokenCount = promptTokenCount + responseTokenCount,
+  }: UsageMetadata,
+): TokenUsage {
+  return {
+    contextTokens: totalTokenCount,
+    totalTokens: usage.totalTokens + totalTokenCount,
+    updates: usage.updates + 1,
+  };
+}
+
+/**
+ * the number of tokens the context can grow to before something happens: the
+ * session ends, or with compression the oldest turns are dropped
+ */
+export function contextLimit(
+  config: LiveConfig,
+  windowTokens = DEFAULT_CONTEXT_WINDOW_TOKENS,
+): number {
+  if (!config.contextWindowCompression) {
+    return windowTokens;
+  }
+  return (
+    config.contextWindowCompression.triggerTokens ??
+    Math.floor(windowTokens * DEFAULT_TRIGGER_RATIO)
+  );
+}
+
+/**
+ * the sliding window settings the console enables compression with
+ */
+export const DEFAULT_CONTEXT_WINDOW_COMPRESSION: NonNullable<
+  LiveConfig["contextWindowCompression"]
+> = {
+  slidingWindow: {},
+};
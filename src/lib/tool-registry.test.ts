@@ -0,0 +1,110 @@
+import { ToolRegistry } from './tool-registry';
+import { LiveFunctionResponse } from '../multimodal-live-types';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('merges registered declarations into the config', () => {
+  const tools = new ToolRegistry();
+  tools.register({ name: 'render_altair' }, () => ({}));
+  tools.register({ name: 'lookup' }, () => ({}));
+
+  const config = tools.applyTo({
+    model: 'models/gemini-2.0-flash-exp',
+    tools: [
+      { googleSearch: {} },
+      {
+        functionDeclarations: [
+          { name: 'render_altair', description: 'stale' },
+          { name: 'other' },
+        ],
+      },
+    ],
+  });
+
+  expect(config.tools).toEqual([
+    { googleSearch: {} },
+    {
+      functionDeclarations: [
+        { name: 'other' },
+        { name: 'render_altair' },
+        { name: 'lookup' },
+      ],
+    },
+  ]);
+});
+
+test('answers registered calls with return values and errors', async () => {
+  const tools = new ToolRegistry();
+  tools.register({ name: 'add' }, ({ a, b }) => ({ sum: a + b }));
+  tools.register({ name: 'fail' }, async () => {
+    throw new Error('nope');
+  });
+  const responses: LiveFunctionResponse[] = [];
+
+  const rest = tools.dispatch(
+    {
+      functionCalls: [
+        { id: '1', name: 'add', args: { a: 1, b: 2 } },
+        { id: '2', name: 'fail', args: {} },
+        { id: '3', name: 'unknown', args: {} },
+      ],
+    },
+    (response) => responses.push(response),
+  );
+  await tick();
+
+  expect(rest.map((call) => call.id)).toEqual(['3']);
+  expect(responses).toEqual([
+    { id: '1', name: 'add', response: { sum: 3 } },
+    { id: '2', name: 'fail', response: { error: 'nope' } },
+  ]);
+});
+
+test('wraps return values that are not objects', async () => {
+  const tools = new ToolRegistry();
+  tools.register({ name: 'count' }, () => 42);
+  tools.register({ name: 'status' }, async () => 'ok');
+  tools.register({ name: 'list' }, () => ['a', 'b']);
+  tools.register({ name: 'nothing' }, () => null);
+  tools.register({ name: 'done' }, () => undefined);
+  const responses: LiveFunctionResponse[] = [];
+
+  tools.dispatch(
+    {
+      functionCalls: ['count', 'status', 'list', 'nothing', 'done'].map(
+        (name) => ({ id: name, name, args: {} }),
+      ),
+    },
+    (response) => responses.push(response),
+  );
+  await tick();
+
+  // async handlers answer later
+  expect(
+    Object.fromEntries(responses.map(({ name, response }) => [name, response])),
+  ).toEqual({
+    count: { result: 42 },
+    status: { result: 'ok' },
+    list: { result: ['a', 'b'] },
+    nothing: { result: null },
+    done: {},
+  });
+});
+
+test('aborts the handler signal when its call is cancelled', async () => {
+  const tools = new ToolRegistry();
+  let signal: AbortSignal | undefined;
+  tools.register({ name: 'slow' }, (args, context) => {
+    signal = context.signal;
+    return new Promise(() => {});
+  });
+  const respond = jest.fn();
+
+  tools.dispatch({ functionCalls: [{ id: '1', name: 'slow', args: {} }] }, respond);
+  await tick();
+  expect(tools.cancel(['1', '2'])).toEqual(['2']);
+  await tick();
+
+  expect(signal?.aborted).toBe(true);
+  expect(respond).not.toHaveBeenCalled();
+});
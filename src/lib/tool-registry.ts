@@ -0,0 +1,245 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type {
+  FunctionDeclaration,
+  FunctionDeclarationsTool,
+} from "@google/generative-ai";
+import type {
+  LiveConfig,
+  LiveFunctionCall,
+  LiveFunctionResponse,
+  ToolCall,
+} from "../multimodal-live-types";
+
+export type ToolHandlerContext = {
+  // aborted when the server cancels the call, the tool times out or the connection closes
+  signal: AbortSignal;
+  call: LiveFunctionCall;
+};
+
+/**
+ * the return value becomes the function response, a thrown error becomes `{ error: message }`.
+ * the response has to be a JSON object, so anything else is sent as `{ result: value }`
+ */
+export type ToolHandler<Args = any> = (
+  args: Args,
+  context: ToolHandlerContext,
+) => unknown;
+
+export type ToolOptions = {
+  timeoutMs?: number;
+};
+
+type RegisteredTool = {
+  declaration: FunctionDeclaration;
+  handler: ToolHandler;
+  options: ToolOptions;
+};
+
+type RunningCall = {
+  controller: AbortController;
+  cancelled: boolean;
+};
+
+type ConfigTool = NonNullable<LiveConfig["tools"]>[number];
+
+function toResponse(result: unknown): object {
+  if (result === undefined) {
+    return {};
+  }
+  if (result !== null && typeof result === "object" && !Array.isArray(result)) {
+    return result;
+  }
+  return { result };
+}
+
+function hasFunctionDeclarations(
+  tool: ConfigTool,
+): tool is FunctionDeclarationsTool & {
+  functionDeclarations: FunctionDeclaration[];
+} {
+  return (
+    "functionDeclarations" in tool && Array.isArray(tool.functionDeclarations)
+  );
+}
+
+// never resolves, rejects with the abort reason
+function aborted(signal: AbortSignal): Promise<never> {
+  return new Promise((_, reject) =>
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    }),
+  );
+}
+
+/**
+ * Function tools answered in the browser (or a Node agent). The client adds the
+ * declarations to the setup it sends and runs the handlers for matching calls,
+ * so components can contribute tools without touching each other's config.
+ * Calls the proxy answers itself (`server/tools.js`) never get here.
+ */
+export class ToolRegistry {
+  private tools: Map<string, RegisteredTool> = new Map();
+  private running: Map<string, RunningCall> = new Map();
+  // every call id we answered, so their cancellations aren't forwarded
+  private handledIds: Set<string> = new Set();
+
+  /**
+   * returns a function that unregisters the tool again
+   */
+  register<Args = any>(
+    declaration: FunctionDeclaration,
+    handler: ToolHandler<Args>,
+    options: ToolOptions = {},
+  ): () => void {
+    if (this.tools.has(declaration.name)) {
+      throw new Error(`tool "${declaration.name}" is registered twice`);
+    }
+    const tool: RegisteredTool = { declaration, handler, options };
+    this.tools.set(declaration.name, tool);
+    return () => {
+      if (this.tools.get(declaration.name) === tool) {
+        this.tools.delete(declaration.name);
+      }
+    };
+  }
+
+  has(name: string) {
+    return this.tools.has(name);
+  }
+
+  get declarations(): FunctionDeclaration[] {
+    return [...this.tools.values()].map((tool) => tool.declaration);
+  }
+
+  /**
+   * the config to send as setup: the app's config plus every registered
+   * declaration, in the first `functionDeclarations` entry. a registered tool
+   * wins over a declaration of the same name from the app's settings
+   */
+  applyTo(config: LiveConfig): LiveConfig {
+    if (!this.tools.size) {
+      return config;
+    }
+    const tools: ConfigTool[] = [];
+    let added = false;
+    for (const tool of config.tools || []) {
+      if (!hasFunctionDeclarations(tool)) {
+        tools.push(tool);
+        continue;
+      }
+      const functionDeclarations = tool.functionDeclarations.filter(
+        (fd) => !this.has(fd.name),
+      );
+      if (!added) {
+        functionDeclarations.push(...this.declarations);
+        added = true;
+      }
+      if (functionDeclarations.length) {
+        tools.push({ ...tool, functionDeclarations });
+      }
+    }
+    if (!added) {
+      tools.push({ functionDeclarations: this.declarations });
+    }
+    return { ...config, tools };
+  }
+
+  /**
+   * starts the handlers for the registered calls, concurrently, and passes each
+   * result to `respond` as it settles. returns the calls no tool is registered for
+   */
+  dispatch(
+    toolCall: ToolCall,
+    respond: (response: LiveFunctionResponse) => void,
+  ): LiveFunctionCall[] {
+    toolCall.functionCalls
+      .filter((call) => this.has(call.name))
+      .forEach((call) => this.execute(call, respond));
+    return toolCall.functionCalls.filter((call) => !this.has(call.name));
+  }
+
+  /**
+   * aborts the running calls among `ids`. returns the ids that weren't ours
+   */
+  cancel(ids: string[], reason = "cancelled"): string[] {
+    ids.forEach((id) => {
+      const entry = this.running.get(id);
+      if (entry) {
+        entry.cancelled = true;
+        entry.controller.abort(new Error(reason));
+      }
+    });
+    return ids.filter((id) => !this.handledIds.has(id));
+  }
+
+  /**
+   * aborts every running call, e.g. when the session closes
+   */
+  cancelAll(reason: string) {
+    this.cancel([...this.running.keys()], reason);
+    this.handledIds.clear();
+  }
+
+  private async execute(
+    call: LiveFunctionCall,
+    respond: (response: LiveFunctionResponse) => void,
+  ) {
+    const tool = this.tools.get(call.name)!;
+    const { timeoutMs } = tool.options;
+    const entry: RunningCall = {
+      controller: new AbortController(),
+      cancelled: false,
+    };
+    const { signal } = entry.controller;
+    this.running.set(call.id, entry);
+    this.handledIds.add(call.id);
+
+    const timer = timeoutMs
+      ? setTimeout(
+          () =>
+            entry.controller.abort(
+              new Error(`${call.name} timed out after ${timeoutMs} ms`),
+            ),
+          timeoutMs,
+        )
+      : undefined;
+
+    let response: object;
+    try {
+      // a handler that ignores its signal can't hold up the response
+      const result = await Promise.race([
+        (async () => tool.handler(call.args || {}, { signal, call }))(),
+        aborted(signal),
+      ]);
+      response = toResponse(result);
+    } catch (error) {
+      response = {
+        error: error instanceof Error ? error.message : String(error),
+      };
+    } finally {
+      clearTimeout(timer);
+      this.running.delete(call.id);
+    }
+
+    // a call the server withdrew, or one cut off by the connection closing,
+    // expects no answer
+    if (!entry.cancelled) {
+      respond({ id: call.id, name: call.name, response });
+    }
+  }
+}
@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+import { base64ToArrayBuffer, frameToJSON } from "./frames";
+
 export type GetAudioContextOptions = AudioContextOptions & {
   id?: string;
 };
@@ -62,25 +64,6 @@ export const audioContext: (
   };
 })();
 
-export const blobToJSON = (blob: Blob) =>
-  new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      if (reader.result) {
-        const json = JSON.parse(reader.result as string);
-        resolve(json);
-      } else {
-        reject("oops");
-      }
-    };
-    reader.readAsText(blob);
-  });
+export const blobToJSON = (blob: Blob) => frameToJSON(blob);
 
-export function base64ToArrayBuffer(base64: string) {
-  var binaryString = atob(base64);
-  var bytes = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    bytes[i] = binaryString.charCodeAt(i);
-  }
-  return bytes.buffer;
-}
+export { base64ToArrayBuffer };
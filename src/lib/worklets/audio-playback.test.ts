@@ -0,0 +1,184 @@
+import AudioPlaybackWorklet from './audio-playback';
+import { DEFAULT_JITTER_BUFFER_OPTIONS } from './jitter';
+
+const SAMPLE_RATE = 24000;
+// 40 ms, what the Live API sends at a time
+const CHUNK = 960;
+
+class FakeProcessor {
+  port = { postMessage: jest.fn(), onmessage: null as any };
+}
+
+// evaluates the worklet source the way registerProcessor gets it
+const createWorklet = (contextRate = SAMPLE_RATE) => {
+  // eslint-disable-next-line no-new-func
+  const Worklet = new Function(
+    'AudioWorkletProcessor',
+    'sampleRate',
+    `return (${AudioPlaybackWorklet});`,
+  )(FakeProcessor, contextRate);
+  return new Worklet({
+    processorOptions: { jitter: DEFAULT_JITTER_BUFFER_OPTIONS },
+  });
+};
+
+const tone = (seconds: number, hz = 440) =>
+  Int16Array.from({ length: SAMPLE_RATE * seconds }, (_, i) =>
+    Math.round(16384 * Math.sin((2 * Math.PI * hz * i) / SAMPLE_RATE)),
+  );
+
+type Arrival = { time: number; event: string; [key: string]: any };
+
+// chunks of `samples` arriving every 40 ms from `start`, `delay(i)` later
+const chunks = (samples: Int16Array, start = 0, delay = (i: number) => 0) => {
+  const arrivals: Arrival[] = [];
+  for (let i = 0; i * CHUNK < samples.length; i++) {
+    arrivals.push({
+      time: start + (i * CHUNK) / SAMPLE_RATE + delay(i),
+      event: 'chunk',
+      data: samples.slice(i * CHUNK, (i + 1) * CHUNK).buffer,
+      sampleRate: SAMPLE_RATE,
+    });
+  }
+  return arrivals;
+};
+
+// renders `seconds` of output, delivering each message once the audio clock
+// reaches its time
+const run = (
+  worklet: any,
+  seconds: number,
+  messages: Arrival[],
+  contextRate = SAMPLE_RATE,
+) => {
+  const pending = [...messages].sort((a, b) => a.time - b.time);
+  const output = new Float32Array(Math.ceil((seconds * contextRate) / 128) * 128);
+  for (let offset = 0; offset < output.length; offset += 128) {
+    (global as any).currentTime = offset / contextRate;
+    while (pending.length && pending[0].time <= offset / contextRate) {
+      const { time, ...data } = pending.shift()!;
+      worklet.port.onmessage({ data });
+    }
+    worklet.process([], [[output.subarray(offset, offset + 128)]]);
+  }
+  return output;
+};
+
+const posted = (worklet: any, event: string) =>
+  worklet.port.postMessage.mock.calls
+    .map(([message]: any) => message)
+    .filter((message: any) => message.event === event);
+
+const firstSound = (output: Float32Array) =>
+  output.findIndex((sample) => sample !== 0);
+
+afterEach(() => {
+  delete (global as any).currentTime;
+});
+
+test('waits for the target delay, then plays the stream as it was sent', () => {
+  const worklet = createWorklet();
+  const samples = tone(1);
+  const output = run(worklet, 1.5, [
+    ...chunks(samples),
+    { time: 1, event: 'complete' },
+  ]);
+
+  const start = firstSound(output);
+  expect(start / SAMPLE_RATE).toBeGreaterThan(0.07);
+  expect(start / SAMPLE_RATE).toBeLessThan(0.13);
+  // the tone starts at 0, so its first sample looks like silence
+  const played = output.subarray(start - 1, start - 1 + samples.length);
+  const error = Math.max(
+    ...Array.from(played, (sample, i) => Math.abs(sample - samples[i] / 32768)),
+  );
+  expect(error).toBeLessThan(1e-6);
+  expect(posted(worklet, 'underrun')).toHaveLength(0);
+  expect(posted(worklet, 'drained')).toHaveLength(1);
+});
+
+test('rebuffers after an underrun and keeps the delay that covers it', () => {
+  const worklet = createWorklet();
+  // two stalls of 300 ms, at 0.4 s and 1.6 s into the stream
+  const stalls = (i: number) => (i >= 10 ? 0.3 : 0) + (i >= 40 ? 0.3 : 0);
+  run(worklet, 3, chunks(tone(2.4), 0, stalls));
+
+  const underruns = posted(worklet, 'underrun');
+  expect(underruns).toHaveLength(1);
+  const stats = posted(worklet, 'stats').map((m: any) => m.stats);
+  // measured at the late chunk, then decaying while chunks are on time
+  const highest = Math.max(...stats.map((s: any) => s.target));
+  expect(highest).toBeGreaterThan(0.3);
+  expect(stats[stats.length - 1].underruns).toBe(1);
+});
+
+test('shrinks the delay while chunks arrive on time', () => {
+  const worklet = createWorklet();
+  run(worklet, 3, chunks(tone(3)));
+  const stats = posted(worklet, 'stats').map((m: any) => m.stats);
+  expect(stats[stats.length - 1].target).toBeCloseTo(
+    DEFAULT_JITTER_BUFFER_OPTIONS.minDelay,
+    2,
+  );
+});
+
+// zero crossings per second, past the onset
+const crossingRate = (samples: Float32Array, rate: number) => {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / (samples.length / rate);
+};
+
+const sounding = (output: Float32Array) => {
+  const start = firstSound(output);
+  let end = output.length;
+  while (end > start && output[end - 1] === 0) {
+    end--;
+  }
+  // skip the edges
+  return output.subarray(start + 1000, end - 1000);
+};
+
+test('plays 24 kHz audio on a 48 kHz context at the same pitch', () => {
+  const worklet = createWorklet(48000);
+  const output = run(
+    worklet,
+    1.5,
+    [...chunks(tone(1)), { time: 1, event: 'complete' }],
+    48000,
+  );
+  const audio = sounding(output);
+  expect((audio.length + 2000) / 48000).toBeCloseTo(1, 1);
+  expect(crossingRate(audio, 48000)).toBeCloseTo(880, -1);
+  expect(Math.max(...Array.from(audio).map(Math.abs))).toBeCloseTo(0.5, 1);
+});
+
+test('plays what is buffered faster at the same pitch', () => {
+  const worklet = createWorklet();
+  const output = run(worklet, 1.5, [
+    ...chunks(tone(1), 0, (i) => -(i * CHUNK) / SAMPLE_RATE),
+    { time: 0, event: 'rate', playbackRate: 1.5 },
+    { time: 0, event: 'complete' },
+  ]);
+  const audio = sounding(output);
+  expect((audio.length + 2000) / SAMPLE_RATE).toBeCloseTo(1 / 1.5, 1);
+  expect(crossingRate(audio, SAMPLE_RATE)).toBeCloseTo(880, -1);
+});
+
+test('stop fades out, drops the buffer, and the next stream plays', () => {
+  const worklet = createWorklet();
+  const output = run(worklet, 2, [
+    ...chunks(tone(1), 0, (i) => -(i * CHUNK) / SAMPLE_RATE),
+    { time: 0.3, event: 'stop' },
+    ...chunks(tone(0.4), 1),
+  ]);
+  // a 10 ms fade, then silence until the next stream
+  const afterFade = output.subarray(0.32 * SAMPLE_RATE, SAMPLE_RATE);
+  expect(afterFade.every((sample) => sample === 0)).toBe(true);
+  expect(firstSound(output.subarray(SAMPLE_RATE))).toBeGreaterThan(0);
+  expect(posted(worklet, 'drained')).toHaveLength(0);
+});
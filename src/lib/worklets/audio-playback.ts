@@ -0,0 +1,312 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import JitterEstimator from "./jitter";
+import Resampler from "./resampler";
+import RingBuffer from "./ring-buffer";
+import TimeStretcher from "./time-stretch";
+
+// registerProcessor takes a single expression, so the helper classes are
+// declared inside a function that returns the processor
+const AudioPlaybackWorklet = `
+(() => {
+${Resampler}
+${RingBuffer}
+${TimeStretcher}
+${JitterEstimator}
+
+// seconds between "stats" events, and of the fade out when playback stops
+const STATS_INTERVAL = 0.1;
+const STOP_FADE = 0.01;
+
+return class AudioPlaybackWorklet extends AudioWorkletProcessor {
+
+  /**
+   * plays PCM16 from a jitter buffer: a stream starts playing the target delay
+   * after its first chunk arrived, and after an underrun the target delay
+   * after the next one, so a chunk can be that late without a gap.
+   * audio goes from the input ring through the time stretcher (at
+   * playbackRate 1 it is copied) into a second ring, and is resampled from
+   * there to the context's rate. nothing is allocated per render quantum.
+   *
+   * processorOptions.jitter: JitterBufferOptions
+   * messages: "chunk" ({ data: PCM16 ArrayBuffer, sampleRate }), "rate"
+   * ({ playbackRate }), "jitter" ({ options }), "complete" to play out what
+   * is buffered, "stop" to fade out and drop it.
+   * posts "stats", "underrun" (both with the stats) and "drained" when a
+   * completed stream has played
+   */
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    this.estimator = new JitterEstimator(processorOptions.jitter);
+    this.playbackRate = 1;
+    this.inputRate = 0;
+    this.state = "idle";
+    this.ending = false;
+    // when the buffering stream starts playing, set by its first chunk
+    this.playAt = null;
+    this.fadeLength = Math.round(sampleRate * STOP_FADE);
+    this.fadeLeft = 0;
+    this.underruns = 0;
+    this.nextStats = 0;
+    this.reported = false;
+    this.port.onmessage = (ev) => {
+      const data = ev.data || {};
+      switch (data.event) {
+        case "chunk":
+          this.addChunk(new Int16Array(data.data), data.sampleRate);
+          break;
+        case "rate":
+          this.setPlaybackRate(data.playbackRate);
+          break;
+        case "jitter":
+          this.estimator.configure(data.options);
+          break;
+        case "complete":
+          this.complete();
+          break;
+        case "stop":
+          this.stop();
+          break;
+        default:
+      }
+    };
+  }
+
+  // the Live API keeps one rate, a new one drops what is buffered
+  setInputRate(rate) {
+    this.inputRate = rate;
+    this.input = new RingBuffer(rate * 4);
+    this.stretched = new RingBuffer(4096);
+    this.stretcher = new TimeStretcher(rate);
+    this.stretcher.rate = this.playbackRate;
+    this.resampler = rate !== sampleRate ? new Resampler(rate, sampleRate) : null;
+    // where the next output sample is read in \`stretched\`
+    this.time = 0;
+  }
+
+  addChunk(samples, rate) {
+    if (rate !== this.inputRate) {
+      this.setInputRate(rate);
+    }
+    // a stream after a stop starts while the old one fades out
+    if (this.state === "idle" || this.fadeLeft > 0) {
+      this.estimator.restart();
+    }
+    if (this.state === "idle") {
+      this.state = "buffering";
+    }
+    this.ending = false;
+    this.estimator.arrive(currentTime, samples.length / rate);
+    this.input.pushInt16(samples);
+    if (this.state === "buffering" && this.playAt === null) {
+      this.playAt = currentTime + this.estimator.target;
+    }
+  }
+
+  setPlaybackRate(rate) {
+    if (rate === this.playbackRate) {
+      return;
+    }
+    if (this.inputRate) {
+      if (rate === 1) {
+        this.stretcher.finish(this.input, this.stretched);
+      } else if (this.playbackRate === 1) {
+        this.stretcher.reset(this.input.readIndex);
+      }
+      this.stretcher.rate = rate;
+    }
+    this.playbackRate = rate;
+  }
+
+  complete() {
+    if (this.state === "idle") {
+      this.port.postMessage({ event: "drained" });
+      return;
+    }
+    this.ending = true;
+  }
+
+  stop() {
+    if (!this.inputRate) {
+      return;
+    }
+    this.input.clear();
+    if (this.state === "playing") {
+      // what's already in \`stretched\` fades out
+      this.fadeLeft = this.fadeLength;
+      this.ending = true;
+    } else {
+      this.reset();
+    }
+  }
+
+  // drops what is left between the rings and starts over with the next chunk
+  reset() {
+    this.state = this.input.length ? "buffering" : "idle";
+    this.ending = false;
+    this.playAt = this.input.length ? currentTime + this.estimator.target : null;
+    this.fadeLeft = 0;
+    this.stretched.clear();
+    this.time = this.stretched.writeIndex;
+    this.stretcher.reset(this.input.readIndex);
+  }
+
+  // seconds of audio waiting to be played, at the current speed
+  get buffered() {
+    if (!this.inputRate) {
+      return 0;
+    }
+    const stretched = Math.max(0, this.stretched.writeIndex - this.time);
+    return (this.input.length / this.playbackRate + stretched) / this.inputRate;
+  }
+
+  stats() {
+    return {
+      buffered: this.buffered,
+      target: this.estimator.target,
+      jitter: this.estimator.jitter,
+      underruns: this.underruns,
+    };
+  }
+
+  underrun() {
+    this.state = "buffering";
+    this.playAt = null;
+    this.underruns++;
+    this.estimator.rebuffer();
+    this.port.postMessage({ event: "underrun", stats: this.stats() });
+  }
+
+  // moves some input into \`stretched\`, false when there is none to move
+  produce() {
+    if (this.fadeLeft > 0) {
+      return false;
+    }
+    const { input, stretched, stretcher } = this;
+    if (this.playbackRate === 1) {
+      const count = Math.min(input.length, 128);
+      if (!count) {
+        return false;
+      }
+      stretched.reserve(count);
+      for (let i = 0; i < count; i++) {
+        stretched.push(input.at(input.readIndex + i));
+      }
+      input.release(input.readIndex + count);
+      return true;
+    }
+    const next = Math.round(stretcher.position);
+    if (
+      input.writeIndex - next >= stretcher.lookahead ||
+      (this.ending && next < input.writeIndex)
+    ) {
+      stretcher.step(input, stretched);
+      return true;
+    }
+    return false;
+  }
+
+  // whether the next output sample can be computed
+  ensure() {
+    const needed = this.resampler
+      ? Math.floor(this.time) + this.resampler.taps + 1
+      : this.time + 1;
+    while (this.stretched.writeIndex < needed) {
+      if (!this.produce()) {
+        // nothing more is coming: the last samples play with silence after them
+        return this.ending && this.time < this.stretched.writeIndex;
+      }
+    }
+    return true;
+  }
+
+  nextSample() {
+    const { stretched, resampler } = this;
+    if (!resampler) {
+      const sample = stretched.at(this.time);
+      this.time++;
+      stretched.release(this.time);
+      return sample;
+    }
+    const center = Math.floor(this.time);
+    let sum = 0;
+    for (let k = center - resampler.taps + 1; k <= center + resampler.taps; k++) {
+      sum += stretched.at(k) * resampler.weight(k - this.time);
+    }
+    this.time += resampler.step;
+    stretched.release(Math.floor(this.time) - resampler.taps + 1);
+    return sum;
+  }
+
+  render(output) {
+    for (let i = 0; i < output.length; i++) {
+      if (!this.ensure()) {
+        output.fill(0, i);
+        if (this.fadeLeft > 0) {
+          this.reset();
+        } else if (this.ending) {
+          this.reset();
+          this.port.postMessage({ event: "drained" });
+        } else {
+          this.underrun();
+        }
+        return;
+      }
+      let sample = this.nextSample();
+      if (this.fadeLeft > 0) {
+        sample *= this.fadeLeft / this.fadeLength;
+        if (--this.fadeLeft === 0) {
+          output.fill(0, i);
+          this.reset();
+          return;
+        }
+      }
+      output[i] = sample;
+    }
+  }
+
+  process(inputs, outputs) {
+    const channels = outputs[0];
+    if (
+      this.state === "buffering" &&
+      (this.ending || (this.playAt !== null && currentTime >= this.playAt))
+    ) {
+      this.state = "playing";
+      this.playAt = null;
+    }
+    if (this.state === "playing") {
+      this.render(channels[0]);
+      for (let c = 1; c < channels.length; c++) {
+        channels[c].set(channels[0]);
+      }
+    }
+
+    // one more after going idle, so the last numbers show an empty buffer
+    const active = this.state !== "idle";
+    if ((active || this.reported) && currentTime >= this.nextStats) {
+      this.nextStats = currentTime + STATS_INTERVAL;
+      this.reported = active;
+      this.port.postMessage({ event: "stats", stats: this.stats() });
+    }
+    return true;
+  }
+};
+})()
+`;
+
+export default AudioPlaybackWorklet;
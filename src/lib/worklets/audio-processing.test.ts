@@ -0,0 +1,150 @@
+import AudioRecordingWorklet from './audio-processing';
+import { DEFAULT_VAD_OPTIONS } from './vad';
+
+const SAMPLE_RATE = 16000;
+const FRAME = (SAMPLE_RATE * DEFAULT_VAD_OPTIONS.frameMs) / 1000;
+
+class FakeProcessor {
+  port = { postMessage: jest.fn(), onmessage: null };
+}
+
+// evaluates the worklet source the way registerProcessor gets it
+const createWorklet = (
+  vad = DEFAULT_VAD_OPTIONS,
+  contextRate = SAMPLE_RATE,
+) => {
+  // eslint-disable-next-line no-new-func
+  const Worklet = new Function(
+    'AudioWorkletProcessor',
+    'sampleRate',
+    `return (${AudioRecordingWorklet});`,
+  )(FakeProcessor, contextRate);
+  return new Worklet({ processorOptions: { sampleRate: SAMPLE_RATE, vad } });
+};
+
+const tone = (ms: number, amplitude: number, rate = SAMPLE_RATE, hz = 440) =>
+  Float32Array.from({ length: (rate * ms) / 1000 }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * hz * i) / rate),
+  );
+
+// feeds `samples` in 128 sample render quanta and returns what was posted
+const play = (worklet: any, ...parts: Float32Array[]) => {
+  parts.forEach((samples) => {
+    for (let i = 0; i < samples.length; i += 128) {
+      worklet.process([[samples.subarray(i, i + 128)]]);
+    }
+  });
+  return worklet.port.postMessage.mock.calls.map(([message]: any) => message);
+};
+
+test('sends speech with pre-roll and hangover, and nothing in silence', () => {
+  const messages = play(
+    createWorklet(),
+    tone(500, 0),
+    tone(400, 0.3),
+    tone(1000, 0),
+  );
+  const events = messages
+    .map((m: any) => m.event)
+    .filter((e: string, i: number, all: string[]) => e !== all[i - 1]);
+  const samples = messages
+    .filter((m: any) => m.event === 'chunk')
+    .reduce((n: number, m: any) => n + m.data.int16arrayBuffer.byteLength / 2, 0);
+
+  expect(events).toEqual(['speechstart', 'chunk', 'speechend']);
+  // 18 frames of pre-roll (16 silent, 2 that started the segment), the other
+  // 18 frames of the tone and 30 frames of hangover
+  expect(samples).toBe((18 + 18 + 30) * FRAME);
+});
+
+test('quiet noise does not start a segment', () => {
+  const noise = Float32Array.from({ length: SAMPLE_RATE }, (_, i) =>
+    i % 2 ? 0.001 : -0.001,
+  );
+  expect(play(createWorklet(), noise)).toEqual([]);
+});
+
+test('passes everything through when disabled', () => {
+  const messages = play(
+    createWorklet({ ...DEFAULT_VAD_OPTIONS, enabled: false }),
+    tone(256, 0),
+  );
+  expect(messages).toHaveLength(2);
+  expect(messages.every((m: any) => m.event === 'chunk')).toBe(true);
+});
+
+test('clamps full scale input instead of wrapping it around', () => {
+  const fullScale = Float32Array.from({ length: 2048 }, (_, i) =>
+    i % 2 ? 1 : -1,
+  );
+  const [message] = play(
+    createWorklet({ ...DEFAULT_VAD_OPTIONS, enabled: false }),
+    fullScale,
+  );
+  const samples = new Int16Array(message.data.int16arrayBuffer);
+  expect(samples.slice(0, 4)).toEqual(Int16Array.from([-32768, 32767, -32768, 32767]));
+});
+
+describe('when the context runs at 48 kHz', () => {
+  const VAD_OFF = { ...DEFAULT_VAD_OPTIONS, enabled: false };
+
+  // the int16 samples sent for one second of a 48 kHz tone
+  const resample = (hz: number) => {
+    const messages = play(
+      createWorklet(VAD_OFF, 48000),
+      tone(1000, 0.5, 48000, hz),
+    );
+    expect(messages.every((m: any) => m.data.sampleRate === SAMPLE_RATE)).toBe(
+      true,
+    );
+    const chunks = messages.map((m: any) => new Int16Array(m.data.int16arrayBuffer));
+    return Int16Array.from(chunks.flatMap((c: Int16Array) => Array.from(c)));
+  };
+  const peak = (samples: Int16Array) =>
+    // skip the filter's delay and settling
+    Math.max(...Array.from(samples.subarray(1000)).map(Math.abs)) / 32768;
+
+  test('sends 16 kHz audio at the same pitch and level', () => {
+    const samples = resample(440);
+    // whole 2048 sample chunks of one second at 16 kHz
+    expect(samples.length).toBe(7 * 2048);
+    expect(peak(samples)).toBeCloseTo(0.5, 1);
+    // 440 Hz at 16 kHz crosses zero 880 times a second
+    const crossings = samples
+      .subarray(1000)
+      .filter((v, i, all) => i > 0 && (all[i - 1] >= 0) !== (v >= 0)).length;
+    expect(crossings / ((samples.length - 1000) / SAMPLE_RATE)).toBeCloseTo(880, -1);
+  });
+
+  test('resamples render quanta without allocating', () => {
+    const worklet = createWorklet(VAD_OFF, 48000);
+    play(worklet, tone(10, 0.5, 48000));
+    const { buffer, output } = worklet.resampler;
+    play(worklet, tone(1000, 0.5, 48000));
+    expect(worklet.resampler.buffer).toBe(buffer);
+    expect(worklet.resampler.output).toBe(output);
+  });
+
+  test('does not wrap around where the filter overshoots full scale', () => {
+    // a full scale square wave rings past 1 at every edge
+    const square = Float32Array.from({ length: 48000 }, (_, i) =>
+      Math.floor(i / 48) % 2 ? -1 : 1,
+    );
+    const messages = play(createWorklet(VAD_OFF, 48000), square);
+    const samples = messages.flatMap((m: any) =>
+      Array.from(new Int16Array(m.data.int16arrayBuffer)),
+    );
+    // the square wave is 500 Hz, 16 samples a half cycle: a wrapped sample
+    // jumps across the whole range between neighbours
+    const jumps = samples.filter(
+      (v: number, i: number) => i > 0 && Math.abs(v - samples[i - 1]) > 50000,
+    );
+    expect(jumps).toEqual([]);
+    expect(Math.max(...samples)).toBe(32767);
+  });
+
+  test('filters out what 16 kHz cannot carry instead of aliasing it', () => {
+    // 12 kHz would fold back to 4 kHz
+    expect(peak(resample(12000))).toBeLessThan(0.005);
+  });
+});
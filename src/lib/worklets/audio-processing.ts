@@ -14,8 +14,17 @@
  * limitations under the License.
  */
 
+import Resampler from "./resampler";
+import VoiceActivityDetector from "./vad";
+
+// registerProcessor takes a single expression, so the helper classes are
+// declared inside a function that returns the processor
 const AudioRecordingWorklet = `
-class AudioProcessingWorklet extends AudioWorkletProcessor {
+(() => {
+${Resampler}
+${VoiceActivityDetector}
+
+return class AudioProcessingWorklet extends AudioWorkletProcessor {
 
   // send and clear buffer every 2048 samples, 
   // which at 16khz is about 8 times a second
@@ -24,9 +33,47 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
   // current write index
   bufferWriteIndex = 0;
 
-  constructor() {
+  /**
+   * processorOptions.sampleRate: the rate to send at. the context may not run
+   * at the rate it was asked for, so the input is resampled when they differ.
+   * processorOptions.vad: VadOptions, to send only what the detector calls
+   * speech. posts "speechstart" / "speechend" events around it
+   */
+  constructor(options) {
     super();
+    const processorOptions = (options && options.processorOptions) || {};
     this.hasAudio = false;
+    // the global sampleRate is the context's rate in the worklet scope
+    this.outputRate = processorOptions.sampleRate || sampleRate;
+    this.resampler =
+      this.outputRate !== sampleRate ? new Resampler(sampleRate, this.outputRate) : null;
+    this.vad = null;
+    this.configureVad(processorOptions.vad);
+    this.port.onmessage = (ev) => {
+      if (ev.data && ev.data.event === "vad") {
+        this.configureVad(ev.data.options);
+      }
+    };
+  }
+
+  configureVad(options) {
+    if (!options || !options.enabled) {
+      if (this.vad && this.vad.speaking) {
+        this.port.postMessage({ event: "speechend" });
+      }
+      this.vad = null;
+      return;
+    }
+    if (this.vad) {
+      this.vad.configure(options);
+    } else {
+      this.vad = new VoiceActivityDetector(this.outputRate, options);
+      this.preRoll = [];
+    }
+    this.frame = new Float32Array(this.vad.frameSize);
+    this.frameIndex = 0;
+    // the frames that started the segment are in the pre-roll too
+    this.maxPreRollFrames = Math.ceil((options.preRollMs + options.minSpeechMs) / options.frameMs);
   }
 
   /**
@@ -42,32 +89,74 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
   }
 
   sendAndClearBuffer(){
+    if (!this.bufferWriteIndex) {
+      return;
+    }
     this.port.postMessage({
       event: "chunk",
       data: {
         int16arrayBuffer: this.buffer.slice(0, this.bufferWriteIndex).buffer,
+        sampleRate: this.outputRate,
       },
     });
     this.bufferWriteIndex = 0;
   }
 
-  processChunk(float32Array) {
-    const l = float32Array.length;
-    
-    for (let i = 0; i < l; i++) {
-      // convert float32 -1 to 1 to int16 -32768 to 32767
-      const int16Value = float32Array[i] * 32768;
-      this.buffer[this.bufferWriteIndex++] = int16Value;
-      if(this.bufferWriteIndex >= this.buffer.length) {
-        this.sendAndClearBuffer();
+  processChunk(input) {
+    let float32Array = input;
+    let length = input.length;
+    if (this.resampler) {
+      length = this.resampler.process(input);
+      float32Array = this.resampler.output;
+    }
+    if (!this.vad) {
+      this.writeSamples(float32Array, length);
+      return;
+    }
+    // the detector works on whole frames, render quanta are only 128 samples
+    for (let i = 0; i < length; i++) {
+      this.frame[this.frameIndex++] = float32Array[i];
+      if (this.frameIndex === this.frame.length) {
+        this.processFrame(this.frame);
+        this.frameIndex = 0;
       }
     }
+  }
 
-    if(this.bufferWriteIndex >= this.buffer.length) {
+  processFrame(frame) {
+    const change = this.vad.analyze(frame);
+    if (change === "start") {
+      this.port.postMessage({ event: "speechstart" });
+      this.preRoll.forEach((f) => this.writeSamples(f));
+      this.preRoll = [];
+    }
+    if (this.vad.speaking || change === "end") {
+      this.writeSamples(frame);
+    } else {
+      this.preRoll.push(frame.slice());
+      if (this.preRoll.length > this.maxPreRollFrames) {
+        this.preRoll.shift();
+      }
+    }
+    if (change === "end") {
       this.sendAndClearBuffer();
+      this.port.postMessage({ event: "speechend" });
+    }
+  }
+
+  writeSamples(float32Array, l = float32Array.length) {
+    for (let i = 0; i < l; i++) {
+      // convert float32 -1 to 1 to int16 -32768 to 32767. the resampler can
+      // overshoot full scale, and the Int16Array would wrap that around
+      const sample = Math.max(-1, Math.min(1, float32Array[i]));
+      this.buffer[this.bufferWriteIndex++] = sample < 0 ? sample * 32768 : sample * 32767;
+      if(this.bufferWriteIndex >= this.buffer.length) {
+        this.sendAndClearBuffer();
+      }
     }
   }
-}
+};
+})()
 `;
 
 export default AudioRecordingWorklet;
@@ -0,0 +1,96 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export type JitterBufferOptions = {
+  // the playback delay before anything was measured, in seconds
+  initialDelay: number;
+  // bounds of the delay the buffer adapts to
+  minDelay: number;
+  maxDelay: number;
+  // added to the measured jitter
+  margin: number;
+  // how fast the jitter estimate decays per chunk once chunks arrive on time,
+  // it rises at once when one is late
+  release: number;
+};
+
+export const DEFAULT_JITTER_BUFFER_OPTIONS: JitterBufferOptions = {
+  initialDelay: 0.1,
+  minDelay: 0.04,
+  maxDelay: 1,
+  margin: 0.02,
+  release: 0.02,
+};
+
+/**
+ * measures how late chunks arrive, as source for the playback worklet.
+ * playback that starts `delay` after the first chunk of a stream doesn't run
+ * dry as long as no chunk is more than `delay` later than the audio before it
+ * lasts. `arrive(time, duration)` tracks that lateness, `target` is the delay
+ * that covers it. `restart()` starts measuring a new stream, `rebuffer()`
+ * measures from the next chunk on once that chunk's lateness is counted
+ */
+const JitterEstimator = `
+class JitterEstimator {
+  constructor(options) {
+    this.configure(options);
+    this.jitter = Math.max(0, options.initialDelay - options.margin);
+    this.restart();
+  }
+
+  configure(options) {
+    this.options = options;
+  }
+
+  restart() {
+    this.start = null;
+    this.audio = 0;
+    this.rebuffering = false;
+  }
+
+  // playback waits for the target delay again, after an underrun
+  rebuffer() {
+    this.rebuffering = true;
+  }
+
+  arrive(time, duration) {
+    if (this.start === null) {
+      this.start = time;
+    }
+    const lateness = time - this.start - this.audio;
+    this.audio += duration;
+    if (this.rebuffering) {
+      // the late chunk was measured, playback starts over from it
+      this.rebuffering = false;
+      this.start = time;
+      this.audio = duration;
+    }
+    if (lateness > this.jitter) {
+      this.jitter = lateness;
+    } else {
+      this.jitter = Math.max(0, this.jitter + (lateness - this.jitter) * this.options.release);
+    }
+    return lateness;
+  }
+
+  get target() {
+    const { minDelay, maxDelay, margin } = this.options;
+    return Math.min(maxDelay, Math.max(minDelay, this.jitter + margin));
+  }
+}
+`;
+
+export default JitterEstimator;
@@ -0,0 +1,116 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * band-limited sample rate conversion, as source for the recording worklet.
+ * every output sample is a Blackman windowed sinc low-pass of the input,
+ * evaluated at the output's position, with the cutoff just below the lower of
+ * the two Nyquist frequencies so downsampling doesn't alias.
+ * `process(samples)` resamples into `output` and returns how many samples it
+ * wrote there, delayed by `taps` input samples. both buffers only grow, doubling
+ * when a quantum doesn't fit, so a steady stream doesn't allocate.
+ * `weight(distance)` is the kernel, for reading other buffers in between samples
+ */
+const Resampler = `
+// \`array\`, or a copy of its first \`keep\` samples with room for \`size\`
+function grow(array, size, keep) {
+  if (size <= array.length) {
+    return array;
+  }
+  let capacity = array.length * 2;
+  while (capacity < size) {
+    capacity *= 2;
+  }
+  const grown = new Float32Array(capacity);
+  grown.set(array.subarray(0, keep));
+  return grown;
+}
+
+class Resampler {
+  constructor(inputRate, outputRate) {
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    // input samples per output sample
+    this.step = inputRate / outputRate;
+    // in cycles per input sample
+    const cutoff = 0.5 * Math.min(1, outputRate / inputRate) * 0.9;
+    // kernel half-width in input samples, 8 zero crossings of the sinc
+    this.taps = Math.ceil(8 / (2 * cutoff));
+
+    // one side of the symmetric kernel, interpolated between table entries
+    this.resolution = 64;
+    this.kernel = new Float32Array(this.taps * this.resolution + 2);
+    for (let i = 0; i < this.kernel.length; i++) {
+      const x = i / this.resolution;
+      if (x >= this.taps) {
+        continue;
+      }
+      const window =
+        0.42 +
+        0.5 * Math.cos((Math.PI * x) / this.taps) +
+        0.08 * Math.cos((2 * Math.PI * x) / this.taps);
+      const arg = Math.PI * 2 * cutoff * x;
+      const sinc = x === 0 ? 1 : Math.sin(arg) / arg;
+      this.kernel[i] = 2 * cutoff * sinc * window;
+    }
+
+    // the input the next outputs still need, starting with silence
+    this.buffer = new Float32Array(this.taps + 128);
+    this.length = this.taps;
+    // position of the next output sample in \`buffer\`
+    this.time = this.taps;
+    this.output = new Float32Array(Math.ceil(128 / this.step) + 1);
+  }
+
+  process(samples) {
+    this.buffer = grow(this.buffer, this.length + samples.length, this.length);
+    this.buffer.set(samples, this.length);
+    this.length += samples.length;
+    this.output = grow(this.output, Math.ceil(this.length / this.step) + 1, 0);
+
+    const { buffer, output } = this;
+    let count = 0;
+    while (Math.floor(this.time) + this.taps < this.length) {
+      output[count++] = this.sampleAt(buffer, this.time);
+      this.time += this.step;
+    }
+
+    const consumed = Math.floor(this.time) - this.taps;
+    buffer.copyWithin(0, consumed, this.length);
+    this.length -= consumed;
+    this.time -= consumed;
+    return count;
+  }
+
+  sampleAt(buffer, time) {
+    const center = Math.floor(time);
+    let sum = 0;
+    for (let k = center - this.taps + 1; k <= center + this.taps; k++) {
+      sum += buffer[k] * this.weight(k - time);
+    }
+    return sum;
+  }
+
+  // the kernel at \`distance\` input samples from the output's position
+  weight(distance) {
+    const position = Math.abs(distance) * this.resolution;
+    const i = Math.floor(position);
+    return this.kernel[i] + (this.kernel[i + 1] - this.kernel[i]) * (position - i);
+  }
+}
+`;
+
+export default Resampler;
@@ -0,0 +1,86 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * a growable ring of float samples, as source for the playback worklet.
+ * positions are absolute (every sample ever written has its own), so readers
+ * can keep their place while the ring wraps. reading outside what is buffered
+ * gives silence. the storage only grows, doubling when a write doesn't fit,
+ * so a steady stream doesn't allocate
+ */
+const RingBuffer = `
+class RingBuffer {
+  constructor(capacity) {
+    this.data = new Float32Array(capacity);
+    // the first buffered position and the one after the last
+    this.readIndex = 0;
+    this.writeIndex = 0;
+  }
+
+  get length() {
+    return this.writeIndex - this.readIndex;
+  }
+
+  at(index) {
+    if (index < this.readIndex || index >= this.writeIndex) {
+      return 0;
+    }
+    return this.data[index % this.data.length];
+  }
+
+  push(value) {
+    this.reserve(1);
+    this.data[this.writeIndex % this.data.length] = value;
+    this.writeIndex++;
+  }
+
+  // little-endian PCM16, converted to floats on the way in
+  pushInt16(samples) {
+    this.reserve(samples.length);
+    const capacity = this.data.length;
+    for (let i = 0; i < samples.length; i++) {
+      this.data[(this.writeIndex + i) % capacity] = samples[i] / 32768;
+    }
+    this.writeIndex += samples.length;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.data.length) {
+      return;
+    }
+    let capacity = this.data.length * 2;
+    while (capacity < this.length + count) {
+      capacity *= 2;
+    }
+    const data = new Float32Array(capacity);
+    for (let i = this.readIndex; i < this.writeIndex; i++) {
+      data[i % capacity] = this.data[i % this.data.length];
+    }
+    this.data = data;
+  }
+
+  // forgets everything before \`index\`
+  release(index) {
+    this.readIndex = Math.min(this.writeIndex, Math.max(this.readIndex, index));
+  }
+
+  clear() {
+    this.readIndex = this.writeIndex;
+  }
+}
+`;
+
+export default RingBuffer;
@@ -0,0 +1,86 @@
+import RingBuffer from './ring-buffer';
+import TimeStretcher from './time-stretch';
+
+const SAMPLE_RATE = 24000;
+
+// eslint-disable-next-line no-new-func
+const worklet = new Function(
+  `${RingBuffer}\n${TimeStretcher}\nreturn { RingBuffer, TimeStretcher };`,
+)();
+
+const tone = (seconds: number, hz = 440) =>
+  Float32Array.from({ length: SAMPLE_RATE * seconds }, (_, i) =>
+    0.5 * Math.sin((2 * Math.PI * hz * i) / SAMPLE_RATE),
+  );
+
+const contents = (ring: any) =>
+  Float32Array.from({ length: ring.length }, (_, i) =>
+    ring.at(ring.readIndex + i),
+  );
+
+// feeds `samples` in 40 ms chunks, the way the Live API sends audio, and
+// plays whatever is left after `seconds` of input at normal speed
+const stretch = (samples: Float32Array, rate: number, seconds = Infinity) => {
+  const input = new worklet.RingBuffer(4096);
+  const output = new worklet.RingBuffer(4096);
+  const stretcher = new worklet.TimeStretcher(SAMPLE_RATE);
+  stretcher.rate = rate;
+  const stop = Math.min(samples.length, SAMPLE_RATE * seconds);
+  for (let i = 0; i < samples.length; i += 960) {
+    samples.subarray(i, i + 960).forEach((sample) => input.push(sample));
+    while (
+      Math.round(stretcher.position) < stop &&
+      input.writeIndex - Math.round(stretcher.position) >= stretcher.lookahead
+    ) {
+      stretcher.step(input, output);
+    }
+  }
+  // the end is read against silence
+  while (Math.round(stretcher.position) < stop) {
+    stretcher.step(input, output);
+  }
+  stretcher.finish(input, output);
+  contents(input).forEach((sample) => output.push(sample));
+  return contents(output);
+};
+
+// the samples between zero crossings, without the edges
+const crossingIntervals = (samples: Float32Array) => {
+  const crossings: number[] = [];
+  for (let i = 2400; i < samples.length - 2400; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+      crossings.push(i);
+    }
+  }
+  return crossings.slice(1).map((c, i) => c - crossings[i]);
+};
+
+// a 440 Hz tone crosses zero every 27.3 samples at 24 kHz
+const HALF_PERIOD = SAMPLE_RATE / 880;
+
+test.each([0.75, 1.25, 1.5])('plays %sx as fast at the same pitch', (rate) => {
+  const output = stretch(tone(1), rate);
+  // up to two hops of 15 ms more, from the last frame and the crossfade out
+  expect(output.length).toBeGreaterThanOrEqual(Math.round(SAMPLE_RATE / rate));
+  expect(output.length).toBeLessThanOrEqual(
+    Math.round(SAMPLE_RATE / rate) + 720,
+  );
+  const intervals = crossingIntervals(output);
+  const average = intervals.reduce((a, b) => a + b) / intervals.length;
+  expect(average).toBeCloseTo(HALF_PERIOD, 0);
+  // a steady tone keeps its level, the frames line up instead of cancelling
+  const peak = Math.max(
+    ...Array.from(output.subarray(2400, -2400)).map(Math.abs),
+  );
+  expect(peak).toBeGreaterThan(0.45);
+  expect(peak).toBeLessThan(0.55);
+});
+
+test('crossfades back into normal speed without a jump', () => {
+  const output = stretch(tone(1), 1.5, 0.5);
+  // 0.5 s at 1.5x and 0.5 s as it was
+  expect(output.length / SAMPLE_RATE).toBeCloseTo(0.5 / 1.5 + 0.5, 1);
+  crossingIntervals(output).forEach((interval) =>
+    expect(Math.abs(interval - HALF_PERIOD)).toBeLessThan(1.5),
+  );
+});
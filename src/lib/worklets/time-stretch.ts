@@ -0,0 +1,112 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * changes the speed of a mono stream without changing its pitch (WSOLA), as
+ * source for the playback worklet. frames are taken from the input `rate`
+ * times faster than they are written, each one shifted to where it best
+ * continues the previous one, and overlap-added with a Hann window.
+ * it reads a RingBuffer and writes to one, so it doesn't allocate. `step`
+ * writes `hop` samples and releases the input no later frame needs
+ */
+const TimeStretcher = `
+class TimeStretcher {
+  constructor(sampleRate) {
+    // 30 ms frames, which may move 10 ms to line up with the last one
+    this.hop = Math.round(sampleRate * 0.015);
+    this.frameSize = this.hop * 2;
+    this.seek = Math.round(sampleRate * 0.01);
+    // periodic, so overlapping halves add up to 1
+    this.window = new Float32Array(this.frameSize);
+    for (let i = 0; i < this.frameSize; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / this.frameSize);
+    }
+    // the fading half of the previous frame, added to the next one
+    this.tail = new Float32Array(this.hop);
+    this.rate = 1;
+    this.reset(0);
+  }
+
+  // starts over at \`position\` in the input
+  reset(position) {
+    // where the next frame should start, before seeking
+    this.position = position;
+    // where the previous frame started
+    this.previous = position;
+    this.started = false;
+  }
+
+  // the input a frame needs from \`position\` on
+  get lookahead() {
+    return this.frameSize + this.seek;
+  }
+
+  step(input, output) {
+    const nominal = Math.round(this.position);
+    const start = this.started ? this.bestStart(input, nominal) : nominal;
+    const { hop, window, tail } = this;
+    for (let i = 0; i < hop; i++) {
+      const sample = input.at(start + i);
+      output.push(this.started ? tail[i] + sample * window[i] : sample);
+      tail[i] = input.at(start + hop + i) * window[hop + i];
+    }
+    this.previous = start;
+    this.started = true;
+    this.position += hop * this.rate;
+    // neither the next frame nor its reference reach back further
+    input.release(Math.min(Math.round(this.position) - this.seek, start + hop));
+  }
+
+  /**
+   * ends the stretched part: the fading half of the last frame crossfades into
+   * its natural continuation, and the input is released up to where playing
+   * at normal speed goes on
+   */
+  finish(input, output) {
+    if (!this.started) {
+      return;
+    }
+    const natural = this.previous + this.hop;
+    for (let i = 0; i < this.hop; i++) {
+      output.push(this.tail[i] + input.at(natural + i) * this.window[i]);
+    }
+    input.release(natural + this.hop);
+    this.started = false;
+  }
+
+  // the start around \`nominal\` whose first half best matches the second half
+  // of the previous frame, i.e. what naturally followed it in the input
+  bestStart(input, nominal) {
+    const natural = this.previous + this.hop;
+    let best = nominal;
+    let bestScore = -Infinity;
+    for (let start = nominal - this.seek; start <= nominal + this.seek; start++) {
+      let score = 0;
+      // every other sample is close enough and halves the work
+      for (let i = 0; i < this.hop; i += 2) {
+        score += input.at(start + i) * input.at(natural + i);
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        best = start;
+      }
+    }
+    return best;
+  }
+}
+`;
+
+export default TimeStretcher;
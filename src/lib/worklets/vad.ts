@@ -0,0 +1,103 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export type VadOptions = {
+  enabled: boolean;
+  // frames at least this loud (dBFS) are speech
+  thresholdDb: number;
+  // frames up to 10 dB quieter still count when their zero-crossing rate
+  // (crossings per sample) is this high, which catches unvoiced consonants
+  zcrThreshold: number;
+  // speech this long starts a segment, shorter noises don't
+  minSpeechMs: number;
+  // silence this long ends a segment
+  hangoverMs: number;
+  // audio from before the start that is sent along, so onsets aren't clipped
+  preRollMs: number;
+  frameMs: number;
+};
+
+export const DEFAULT_VAD_OPTIONS: VadOptions = {
+  enabled: true,
+  thresholdDb: -45,
+  zcrThreshold: 0.25,
+  minSpeechMs: 60,
+  hangoverMs: 600,
+  preRollMs: 300,
+  frameMs: 20,
+};
+
+/**
+ * energy and zero-crossing voice activity detection, as source for the
+ * recording worklet. `analyze(frame)` takes `frameSize` samples and returns
+ * "start" or "end" when the speech state changes, null otherwise
+ */
+const VoiceActivityDetector = `
+class VoiceActivityDetector {
+  constructor(sampleRate, options) {
+    this.sampleRate = sampleRate;
+    this.speaking = false;
+    this.level = -Infinity;
+    this.voicedFrames = 0;
+    this.silentFrames = 0;
+    this.configure(options);
+  }
+
+  configure(options) {
+    this.options = options;
+    this.frameSize = Math.round((this.sampleRate * options.frameMs) / 1000);
+    this.startFrames = Math.max(1, Math.ceil(options.minSpeechMs / options.frameMs));
+    this.hangoverFrames = Math.max(1, Math.ceil(options.hangoverMs / options.frameMs));
+  }
+
+  analyze(frame) {
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < frame.length; i++) {
+      energy += frame[i] * frame[i];
+      if (i > 0 && (frame[i - 1] >= 0) !== (frame[i] >= 0)) {
+        crossings++;
+      }
+    }
+    const rms = Math.sqrt(energy / frame.length);
+    this.level = 20 * Math.log10(Math.max(rms, 1e-10));
+    const zcr = crossings / frame.length;
+    const { thresholdDb, zcrThreshold } = this.options;
+    const voiced =
+      this.level >= thresholdDb ||
+      (this.level >= thresholdDb - 10 && zcr >= zcrThreshold);
+
+    if (voiced) {
+      this.voicedFrames++;
+      this.silentFrames = 0;
+      if (!this.speaking && this.voicedFrames >= this.startFrames) {
+        this.speaking = true;
+        return "start";
+      }
+      return null;
+    }
+    this.voicedFrames = 0;
+    if (this.speaking && ++this.silentFrames >= this.hangoverFrames) {
+      this.speaking = false;
+      this.silentFrames = 0;
+      return "end";
+    }
+    return null;
+  }
+}
+`;
+
+export default VoiceActivityDetector;
@@ -0,0 +1,26 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type { LiveConfigError } from "./multimodal-live-types";
+
+/**
+ * checks a LiveConfig before it is sent as `setup`. returns nothing for a
+ * valid config; errors make the Live API refuse it, warnings flag options and
+ * voices this console doesn't know
+ */
+export function validateLiveConfig(config: unknown): LiveConfigError[];
+
+export function formatLiveConfigErrors(errors: LiveConfigError[]): string;
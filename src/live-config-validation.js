@@ -0,0 +1,347 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Checks for the LiveConfig sent as `setup`, shared by the console (typed by
+// live-config-validation.d.ts) and the proxy (server/middleware.js).
+// Plain CommonJS without dependencies so Node can require it as is. Keep to
+// syntax the bundler doesn't rewrite with imported helpers: no spread, no
+// for...of, no array destructuring.
+//
+// validateLiveConfig(setup) returns a list of { path, message, severity }. Errors
+// describe a setup the Live API refuses (wrong types, out of range values, broken
+// function schemas); warnings flag options, tools and voices missing from the lists
+// below, which may just be newer than this file.
+
+const MODEL_PATTERN = /^models\/[a-z0-9][a-z0-9.-]*$/;
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+const CONFIG_KEYS = [
+  "model",
+  "systemInstruction",
+  "generationConfig",
+  "tools",
+  "inputAudioTranscription",
+  "outputAudioTranscription",
+  "realtimeInputConfig",
+  "sessionResumption",
+  "contextWindowCompression",
+];
+
+const GENERATION_CONFIG_KEYS = [
+  "candidateCount",
+  "maxOutputTokens",
+  "temperature",
+  "topP",
+  "topK",
+  "presencePenalty",
+  "frequencyPenalty",
+  "seed",
+  "responseModalities",
+  "speechConfig",
+  "mediaResolution",
+];
+
+const RESPONSE_MODALITIES = ["TEXT", "AUDIO"];
+
+// the prebuilt voices at the time of writing, others are reported as warnings
+const VOICE_NAMES = [
+  "Puck", "Charon", "Kore", "Fenrir", "Aoede", "Leda", "Orus", "Zephyr",
+  "Callirrhoe", "Autonoe", "Enceladus", "Iapetus", "Umbriel", "Algieba",
+  "Despina", "Erinome", "Algenib", "Rasalgethi", "Laomedeia", "Achernar",
+  "Alnilam", "Schedar", "Gacrux", "Pulcherrima", "Achird", "Zubenelgenubi",
+  "Vindemiatrix", "Sadachbia", "Sadaltager", "Sulafat",
+];
+
+const TOOL_KINDS = ["functionDeclarations", "googleSearch", "googleSearchRetrieval", "codeExecution"];
+
+const SCHEMA_TYPES = ["OBJECT", "ARRAY", "STRING", "NUMBER", "INTEGER", "BOOLEAN"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function createIssues() {
+  const list = [];
+  return {
+    list,
+    error: (path, message) => list.push({ path, message, severity: "error" }),
+    warning: (path, message) => list.push({ path, message, severity: "warning" }),
+  };
+}
+
+function checkKnownKeys(value, known, path, issues) {
+  Object.keys(value)
+    .filter((key) => !known.includes(key))
+    .forEach((key) => issues.warning(join(path, key), "is not a known option"));
+}
+
+function checkNumber(value, path, issues, { min, max, integer }) {
+  if (value === undefined) return;
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    issues.error(path, "must be a number");
+  } else if (integer && !Number.isInteger(value)) {
+    issues.error(path, "must be an integer");
+  } else if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+    issues.error(path, `must be ${max === undefined ? `at least ${min}` : `between ${min} and ${max}`}`);
+  }
+}
+
+// responseModalities is a single string in the console's types and a list in the API
+function responseModalities(generationConfig, path, issues) {
+  const value = generationConfig.responseModalities;
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || list.some((m) => typeof m !== "string")) {
+    issues.error(path, "must be one of TEXT, AUDIO");
+    return [];
+  }
+  const modalities = list.map((m) => m.toUpperCase());
+  modalities.forEach((m, i) => {
+    if (!RESPONSE_MODALITIES.includes(m)) {
+      issues.error(Array.isArray(value) ? join(path, i) : path, `"${list[i]}" is not a response modality, use TEXT or AUDIO`);
+    }
+  });
+  if (modalities.length > 1) {
+    issues.error(path, "the Live API answers in one modality only");
+  }
+  return modalities;
+}
+
+function validateGenerationConfig(generationConfig, path, issues) {
+  if (!isObject(generationConfig)) {
+    issues.error(path, "must be an object");
+    return;
+  }
+  const at = (key) => join(path, key);
+  checkKnownKeys(generationConfig, GENERATION_CONFIG_KEYS, path, issues);
+  checkNumber(generationConfig.temperature, at("temperature"), issues, { min: 0, max: 2 });
+  checkNumber(generationConfig.topP, at("topP"), issues, { min: 0, max: 1 });
+  checkNumber(generationConfig.topK, at("topK"), issues, { min: 1, integer: true });
+  checkNumber(generationConfig.maxOutputTokens, at("maxOutputTokens"), issues, { min: 1, integer: true });
+  checkNumber(generationConfig.candidateCount, at("candidateCount"), issues, { min: 1, max: 1, integer: true });
+
+  const modalities = responseModalities(generationConfig, at("responseModalities"), issues);
+
+  const { speechConfig } = generationConfig;
+  if (speechConfig === undefined) return;
+  const speechPath = at("speechConfig");
+  if (!isObject(speechConfig)) {
+    issues.error(speechPath, "must be an object");
+    return;
+  }
+  if (modalities.length && !modalities.includes("AUDIO")) {
+    issues.error(speechPath, "only applies to AUDIO responses");
+  }
+  const prebuilt = speechConfig.voiceConfig && speechConfig.voiceConfig.prebuiltVoiceConfig;
+  const voice = prebuilt ? prebuilt.voiceName : undefined;
+  const voicePath = join(speechPath, "voiceConfig.prebuiltVoiceConfig.voiceName");
+  if (voice === undefined) return;
+  if (typeof voice !== "string") {
+    issues.error(voicePath, "must be a string");
+  } else if (!VOICE_NAMES.includes(voice)) {
+    issues.warning(voicePath, `"${voice}" is not a known prebuilt voice`);
+  }
+}
+
+function validateSchema(schema, path, issues) {
+  if (!isObject(schema)) {
+    issues.error(path, "must be a schema object");
+    return;
+  }
+  const type = typeof schema.type === "string" ? schema.type.toUpperCase() : "";
+  if (!SCHEMA_TYPES.includes(type)) {
+    issues.error(join(path, "type"), `must be one of ${SCHEMA_TYPES.join(", ")}`);
+    return;
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || type !== "STRING")) {
+    issues.error(join(path, "enum"), "must be a list on a STRING schema");
+  }
+  if (type === "ARRAY") {
+    if (schema.items === undefined) {
+      issues.error(join(path, "items"), "is required for ARRAY");
+    } else {
+      validateSchema(schema.items, join(path, "items"), issues);
+    }
+  }
+  if (type !== "OBJECT") return;
+
+  const propertiesPath = join(path, "properties");
+  const properties = schema.properties === undefined ? {} : schema.properties;
+  if (!isObject(properties)) {
+    issues.error(propertiesPath, "must be an object");
+    return;
+  }
+  Object.keys(properties).forEach((name) => {
+    validateSchema(properties[name], join(propertiesPath, name), issues);
+  });
+  if (schema.required === undefined) return;
+  if (!Array.isArray(schema.required)) {
+    issues.error(join(path, "required"), "must be a list of property names");
+    return;
+  }
+  schema.required.forEach((name, i) => {
+    if (!Object.prototype.hasOwnProperty.call(properties, name)) {
+      issues.error(join(join(path, "required"), i), `"${name}" is not one of the properties`);
+    }
+  });
+}
+
+function validateFunctionDeclarations(declarations, path, declared, issues) {
+  if (!Array.isArray(declarations)) {
+    issues.error(path, "must be a list");
+    return;
+  }
+  declarations.forEach((declaration, i) => {
+    const declarationPath = join(path, i);
+    if (!isObject(declaration)) {
+      issues.error(declarationPath, "must be an object");
+      return;
+    }
+    const { name, description, parameters } = declaration;
+    const namePath = join(declarationPath, "name");
+    if (typeof name !== "string" || !FUNCTION_NAME_PATTERN.test(name)) {
+      issues.error(namePath, "must start with a letter or _ and use at most 64 of a-z, A-Z, 0-9, _ . -");
+    } else if (declared.has(name)) {
+      issues.error(namePath, `"${name}" is already declared at ${declared.get(name)}`);
+    } else {
+      declared.set(name, declarationPath);
+    }
+    if (description !== undefined && typeof description !== "string") {
+      issues.error(join(declarationPath, "description"), "must be a string");
+    }
+    if (parameters !== undefined) {
+      validateSchema(parameters, join(declarationPath, "parameters"), issues);
+    }
+  });
+}
+
+function validateTools(tools, path, issues) {
+  if (!Array.isArray(tools)) {
+    issues.error(path, "must be a list");
+    return;
+  }
+  const declared = new Map();
+  tools.forEach((tool, i) => {
+    const toolPath = join(path, i);
+    if (!isObject(tool)) {
+      issues.error(toolPath, "must be an object");
+      return;
+    }
+    const kinds = Object.keys(tool);
+    if (kinds.length !== 1) {
+      issues.error(toolPath, `must have exactly one of ${TOOL_KINDS.join(", ")}`);
+    } else if (!TOOL_KINDS.includes(kinds[0])) {
+      issues.warning(join(toolPath, kinds[0]), "is not a known tool");
+    } else if (kinds[0] === "functionDeclarations") {
+      validateFunctionDeclarations(tool.functionDeclarations, join(toolPath, "functionDeclarations"), declared, issues);
+    }
+  });
+}
+
+function validateRealtimeInputConfig(realtimeInputConfig, path, issues) {
+  if (!isObject(realtimeInputConfig)) {
+    issues.error(path, "must be an object");
+    return;
+  }
+  const detection = realtimeInputConfig.automaticActivityDetection;
+  if (detection === undefined) return;
+  const detectionPath = join(path, "automaticActivityDetection");
+  if (!isObject(detection)) {
+    issues.error(detectionPath, "must be an object");
+    return;
+  }
+  const timing = { min: 0, integer: true };
+  checkNumber(detection.prefixPaddingMs, join(detectionPath, "prefixPaddingMs"), issues, timing);
+  checkNumber(detection.silenceDurationMs, join(detectionPath, "silenceDurationMs"), issues, timing);
+  if (!detection.disabled) return;
+  ["startOfSpeechSensitivity", "endOfSpeechSensitivity", "prefixPaddingMs", "silenceDurationMs"]
+    .filter((key) => detection[key] !== undefined)
+    .forEach((key) =>
+      issues.error(join(detectionPath, key), "has no effect while automatic activity detection is disabled"),
+    );
+}
+
+function validateContextWindowCompression(compression, path, issues) {
+  if (!isObject(compression)) {
+    issues.error(path, "must be an object");
+    return;
+  }
+  const { triggerTokens, slidingWindow } = compression;
+  checkNumber(triggerTokens, join(path, "triggerTokens"), issues, { min: 1, integer: true });
+  if (slidingWindow === undefined) return;
+  const windowPath = join(path, "slidingWindow");
+  if (!isObject(slidingWindow)) {
+    issues.error(windowPath, "must be an object");
+    return;
+  }
+  const { targetTokens } = slidingWindow;
+  const targetPath = join(windowPath, "targetTokens");
+  checkNumber(targetTokens, targetPath, issues, { min: 0, integer: true });
+  if (typeof targetTokens === "number" && typeof triggerTokens === "number" && targetTokens >= triggerTokens) {
+    issues.error(targetPath, "must be below triggerTokens");
+  }
+}
+
+/**
+ * @param {unknown} config
+ * @returns {{ path: string, message: string, severity: "error" | "warning" }[]}
+ */
+function validateLiveConfig(config) {
+  if (!isObject(config)) {
+    return [{ path: "", message: "config must be an object", severity: "error" }];
+  }
+  const issues = createIssues();
+  checkKnownKeys(config, CONFIG_KEYS, "", issues);
+
+  if (typeof config.model !== "string" || !MODEL_PATTERN.test(config.model)) {
+    issues.error("model", 'must look like "models/<name>", e.g. "models/gemini-2.0-flash-exp"');
+  }
+  if (config.systemInstruction !== undefined) {
+    const { systemInstruction } = config;
+    if (!isObject(systemInstruction) || !Array.isArray(systemInstruction.parts)) {
+      issues.error("systemInstruction.parts", "must be a list of parts");
+    }
+  }
+  if (config.generationConfig !== undefined) {
+    validateGenerationConfig(config.generationConfig, "generationConfig", issues);
+  }
+  if (config.tools !== undefined) {
+    validateTools(config.tools, "tools", issues);
+  }
+  ["inputAudioTranscription", "outputAudioTranscription", "sessionResumption"]
+    .filter((key) => config[key] !== undefined && !isObject(config[key]))
+    .forEach((key) => issues.error(key, "must be an object"));
+  if (config.realtimeInputConfig !== undefined) {
+    validateRealtimeInputConfig(config.realtimeInputConfig, "realtimeInputConfig", issues);
+  }
+  if (config.contextWindowCompression !== undefined) {
+    validateContextWindowCompression(config.contextWindowCompression, "contextWindowCompression", issues);
+  }
+  return issues.list;
+}
+
+/**
+ * @param {{ path: string, message: string }[]} errors
+ * @returns {string}
+ */
+function formatLiveConfigErrors(errors) {
+  return errors.map(({ path, message }) => (path ? `${path} ${message}` : message)).join("; ");
+}
+
+module.exports = {
+  formatLiveConfigErrors,
+  validateLiveConfig,
+};
@@ -0,0 +1,133 @@
+import { SchemaType } from '@google/generative-ai';
+import { LiveConfig, validateLiveConfig } from './multimodal-live-types';
+
+const valid: LiveConfig = {
+  model: 'models/gemini-2.0-flash-live-001',
+  generationConfig: {
+    responseModalities: 'audio',
+    speechConfig: {
+      voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Aoede' } },
+    },
+  },
+  tools: [
+    { googleSearch: {} },
+    {
+      functionDeclarations: [
+        {
+          name: 'render_altair',
+          parameters: {
+            type: SchemaType.OBJECT,
+            properties: { json_graph: { type: SchemaType.STRING } },
+            required: ['json_graph'],
+          },
+        },
+      ],
+    },
+  ],
+};
+
+const paths = (config: unknown) =>
+  validateLiveConfig(config).map((error) => error.path);
+
+test('accepts the console config', () => {
+  expect(validateLiveConfig(valid)).toEqual([]);
+});
+
+test('reports typos and bad values by field path', () => {
+  const errors = validateLiveConfig({
+    model: 'gemini-2.0-flash-exp',
+    generationConfig: {
+      temprature: 1,
+      topP: 2,
+      responseModalities: ['TEXT', 'AUDIO'],
+      speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Bob' } } },
+    },
+  });
+  expect(errors.map(({ path, severity }) => [path, severity])).toEqual([
+    ['model', 'error'],
+    ['generationConfig.temprature', 'warning'],
+    ['generationConfig.topP', 'error'],
+    ['generationConfig.responseModalities', 'error'],
+    ['generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName', 'warning'],
+  ]);
+});
+
+test('only warns about options, tools and voices it does not know', () => {
+  const errors = validateLiveConfig({
+    ...valid,
+    newTopLevelOption: {},
+    generationConfig: {
+      ...valid.generationConfig,
+      speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Nova' } } },
+    },
+    tools: [{ urlContext: {} }],
+  });
+  expect(errors.map(({ path }) => path)).toEqual([
+    'newTopLevelOption',
+    'generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName',
+    'tools[0].urlContext',
+  ]);
+  expect(errors.every(({ severity }) => severity === 'warning')).toBe(true);
+});
+
+test('checks function declaration schemas', () => {
+  const errors = validateLiveConfig({
+    model: 'models/gemini-2.0-flash-exp',
+    tools: [
+      { functionDeclarations: [{ name: 'draw chart' }, { name: 'lookup' }] },
+      {
+        functionDeclarations: [
+          {
+            name: 'lookup',
+            parameters: {
+              type: 'OBJECT',
+              properties: { ids: { type: 'ARRAY' } },
+              required: ['id'],
+            },
+          },
+        ],
+      },
+    ],
+  });
+
+  expect(errors).toEqual([
+    {
+      path: 'tools[0].functionDeclarations[0].name',
+      message: expect.stringContaining('must start with a letter'),
+      severity: 'error',
+    },
+    {
+      path: 'tools[1].functionDeclarations[0].name',
+      message: '"lookup" is already declared at tools[0].functionDeclarations[1]',
+      severity: 'error',
+    },
+    {
+      path: 'tools[1].functionDeclarations[0].parameters.properties.ids.items',
+      message: 'is required for ARRAY',
+      severity: 'error',
+    },
+    {
+      path: 'tools[1].functionDeclarations[0].parameters.required[0]',
+      message: '"id" is not one of the properties',
+      severity: 'error',
+    },
+  ]);
+});
+
+test('flags options that exclude each other', () => {
+  expect(
+    paths({
+      model: 'models/gemini-2.0-flash-exp',
+      generationConfig: {
+        responseModalities: 'text',
+        speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Puck' } } },
+      },
+      realtimeInputConfig: {
+        automaticActivityDetection: { disabled: true, silenceDurationMs: 500 },
+      },
+    }),
+  ).toEqual([
+    'generationConfig.speechConfig',
+    'realtimeInputConfig.automaticActivityDetection.silenceDurationMs',
+  ]);
+});
@@ -15,7 +15,9 @@
  */
 
 import type {
+  CodeExecutionResultPart,
   Content,
+  ExecutableCodePart,
   FunctionCall,
   GenerationConfig,
   GenerativeContentBlob,
@@ -39,6 +41,54 @@ export type LiveConfig = {
   systemInstruction?: { parts: Part[] };
   generationConfig?: Partial<LiveGenerationConfig>;
   tools?: Array<Tool | { googleSearch: {} } | { codeExecution: {} }>;
+  // transcribe the user's and the model's audio, see `Transcription`
+  inputAudioTranscription?: AudioTranscriptionConfig;
+  outputAudioTranscription?: AudioTranscriptionConfig;
+  realtimeInputConfig?: RealtimeInputConfig;
+  // ask for resumption handles, or resume the session with `handle`
+  sessionResumption?: SessionResumptionConfig;
+  contextWindowCompression?: ContextWindowCompressionConfig;
+};
+
+export type SessionResumptionConfig = {
+  handle?: string;
+};
+
+/**
+ * drops the oldest turns once the context grows past `triggerTokens`, so a
+ * session isn't ended by its context window
+ */
+export type ContextWindowCompressionConfig = {
+  // defaults to 80% of the model's context window
+  triggerTokens?: number;
+  slidingWindow?: {
+    // how much context to keep after compressing
+    targetTokens?: number;
+  };
+};
+
+// no options yet, an empty object turns transcription on
+export type AudioTranscriptionConfig = {};
+
+/**
+ * how the server detects when the user speaks. with
+ * `automaticActivityDetection.disabled` the client marks speech itself
+ * with `activityStart` / `activityEnd`, e.g. for push-to-talk
+ */
+export type RealtimeInputConfig = {
+  automaticActivityDetection?: AutomaticActivityDetection;
+  activityHandling?: "START_OF_ACTIVITY_INTERRUPTS" | "NO_INTERRUPTION";
+  turnCoverage?: "TURN_INCLUDES_ONLY_ACTIVITY" | "TURN_INCLUDES_ALL_INPUT";
+};
+
+export type AutomaticActivityDetection = {
+  disabled?: boolean;
+  startOfSpeechSensitivity?: "START_SENSITIVITY_HIGH" | "START_SENSITIVITY_LOW";
+  endOfSpeechSensitivity?: "END_SENSITIVITY_HIGH" | "END_SENSITIVITY_LOW";
+  // audio kept from before speech was detected
+  prefixPaddingMs?: number;
+  // silence needed before speech counts as ended
+  silenceDurationMs?: number;
 };
 
 export type LiveGenerationConfig = GenerationConfig & {
@@ -71,7 +121,12 @@ export type ClientContentMessage = {
 
 export type RealtimeInputMessage = {
   realtimeInput: {
-    mediaChunks: GenerativeContentBlob[];
+    mediaChunks?: GenerativeContentBlob[];
+    // manual activity detection, see RealtimeInputConfig
+    activityStart?: {};
+    activityEnd?: {};
+    // the mic was paused, lets automatic detection flush the cached audio
+    audioStreamEnd?: boolean;
   };
 };
 
@@ -86,23 +141,56 @@ export type ToolResponse = ToolResponseMessage["toolResponse"];
 export type LiveFunctionResponse = {
   response: object;
   id: string;
+  name?: string;
 };
 
+/**
+ * a problem with one field of a LiveConfig, `path` like
+ * "tools[1].functionDeclarations[0].parameters.type". only errors keep a
+ * config from being sent, warnings are for options and voices that may just
+ * be newer than this console
+ */
+export type LiveConfigError = {
+  path: string;
+  message: string;
+  severity: "error" | "warning";
+};
+
+export {
+  formatLiveConfigErrors,
+  validateLiveConfig,
+} from "./live-config-validation";
+
 /** Incoming types */
 
 export type LiveIncomingMessage =
   | ToolCallCancellationMessage
   | ToolCallMessage
   | ServerContentMessage
-  | SetupCompleteMessage;
+  | SetupCompleteMessage
+  | UsageMetadataMessage
+  | GoAwayMessage
+  | SessionResumptionUpdateMessage
+  | LiveErrorMessage;
 
 export type SetupCompleteMessage = { setupComplete: {} };
 
+/**
+ * `usageMetadata` may arrive on its own or next to any other server message
+ */
 export type ServerContentMessage = {
   serverContent: ServerContent;
+  usageMetadata?: UsageMetadata;
 };
 
-export type ServerContent = ModelTurn | TurnComplete | Interrupted;
+export type ServerContent =
+  | ModelTurn
+  | TurnComplete
+  | Interrupted
+  | GenerationComplete
+  | GroundingMetadataContent
+  | InputTranscription
+  | OutputTranscription;
 
 export type ModelTurn = {
   modelTurn: {
@@ -114,6 +202,89 @@ export type TurnComplete = { turnComplete: boolean };
 
 export type Interrupted = { interrupted: true };
 
+/**
+ * the model is done generating, `turnComplete` follows once playback of the
+ * turn can finish (it comes earlier when the turn was interrupted)
+ */
+export type GenerationComplete = { generationComplete: boolean };
+
+export type GroundingMetadata = {
+  webSearchQueries?: string[];
+  searchEntryPoint?: { renderedContent?: string };
+  groundingChunks?: Array<{ web?: { uri?: string; title?: string } }>;
+  groundingSupports?: Array<{
+    segment?: {
+      partIndex?: number;
+      startIndex?: number;
+      endIndex?: number;
+      text?: string;
+    };
+    groundingChunkIndices?: number[];
+    confidenceScores?: number[];
+  }>;
+};
+
+export type GroundingMetadataContent = { groundingMetadata: GroundingMetadata };
+
+/**
+ * a piece of the transcript, sent when `inputAudioTranscription` or
+ * `outputAudioTranscription` is enabled in the setup
+ */
+export type Transcription = { text?: string; finished?: boolean };
+
+export type InputTranscription = { inputTranscription: Transcription };
+
+export type OutputTranscription = { outputTranscription: Transcription };
+
+export type ModalityTokenCount = {
+  modality: "TEXT" | "IMAGE" | "AUDIO" | "VIDEO" | "DOCUMENT" | string;
+  tokenCount: number;
+};
+
+export type UsageMetadata = {
+  promptTokenCount?: number;
+  cachedContentTokenCount?: number;
+  responseTokenCount?: number;
+  toolUsePromptTokenCount?: number;
+  thoughtsTokenCount?: number;
+  totalTokenCount?: number;
+  promptTokensDetails?: ModalityTokenCount[];
+  cacheTokensDetails?: ModalityTokenCount[];
+  responseTokensDetails?: ModalityTokenCount[];
+  toolUsePromptTokensDetails?: ModalityTokenCount[];
+};
+
+export type UsageMetadataMessage = { usageMetadata: UsageMetadata };
+
+/**
+ * the server will close the connection soon. `timeLeft` is a protobuf
+ * duration such as `"10s"`; plain numbers are milliseconds
+ */
+export type GoAwayMessage = {
+  goAway: {
+    timeLeft?: string | number;
+  };
+};
+
+export type SessionResumptionUpdateMessage = {
+  sessionResumptionUpdate: {
+    resumable: boolean;
+    newHandle: string;
+  };
+};
+
+/**
+ * an error the server reports without closing the socket
+ */
+export type LiveError = {
+  code?: number;
+  message: string;
+  status?: string;
+  details?: unknown[];
+};
+
+export type LiveErrorMessage = { error: LiveError };
+
 export type ToolCallCancellationMessage = {
   toolCallCancellation: {
     ids: string[];
@@ -174,6 +345,23 @@ export const isServerContentMessage = (a: any): a is ServerContentMessage =>
 export const isToolCallMessage = (a: any): a is ToolCallMessage =>
   prop(a, "toolCall");
 
+export const isUsageMetadataMessage = (
+  a: unknown,
+): a is UsageMetadataMessage => prop(a, "usageMetadata");
+
+export const isGoAwayMessage = (a: unknown): a is GoAwayMessage =>
+  prop(a, "goAway");
+
+export const isSessionResumptionUpdateMessage = (
+  a: unknown,
+): a is SessionResumptionUpdateMessage =>
+  prop(a, "sessionResumptionUpdate") &&
+  typeof (a as any).sessionResumptionUpdate.resumable === "boolean" &&
+  typeof (a as any).sessionResumptionUpdate.newHandle === "string";
+
+export const isLiveErrorMessage = (a: unknown): a is LiveErrorMessage =>
+  prop(a, "error") && typeof (a as any).error.message === "string";
+
 export const isToolCallCancellationMessage = (
   a: unknown,
 ): a is ToolCallCancellationMessage =>
@@ -189,6 +377,39 @@ export const isTurnComplete = (a: any): a is TurnComplete =>
 export const isInterrupted = (a: any): a is Interrupted =>
   (a as Interrupted).interrupted;
 
+export const isGenerationComplete = (a: any): a is GenerationComplete =>
+  (a as GenerationComplete).generationComplete === true;
+
+export const hasGroundingMetadata = (a: any): a is GroundingMetadataContent =>
+  prop(a, "groundingMetadata");
+
+export const isInputTranscription = (a: any): a is InputTranscription =>
+  prop(a, "inputTranscription");
+
+export const isOutputTranscription = (a: any): a is OutputTranscription =>
+  prop(a, "outputTranscription");
+
+export const isExecutableCodePart = (a: Part): a is ExecutableCodePart =>
+  prop(a, "executableCode");
+
+export const isCodeExecutionResultPart = (
+  a: Part,
+): a is CodeExecutionResultPart => prop(a, "codeExecutionResult");
+
+/**
+ * milliseconds left from a goAway, parsing durations like `"10s"` or
+ * `"1.500s"`. returns undefined if the server did not say
+ */
+export function goAwayTimeLeftMs(
+  goAway: GoAwayMessage["goAway"],
+): number | undefined {
+  const { timeLeft } = goAway;
+  if (typeof timeLeft === "number") return timeLeft;
+  if (typeof timeLeft !== "string") return undefined;
+  const match = /^(\d+(?:\.\d+)?)s$/.exec(timeLeft.trim());
+  return match ? Math.round(parseFloat(match[1]) * 1000) : undefined;
+}
+
 export function isToolCall(value: unknown): value is ToolCall {
   if (!value || typeof value !== "object") return false;
 
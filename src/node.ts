@@ -0,0 +1,39 @@
+/**
+ * Copyright 2024 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Node entry point for headless agents and scripts. exposes the same
+ * MultimodalLiveClient the console uses, wired to the `ws` package.
+ * keep browser-only modules (audio, react, utils.ts) out of this file
+ */
+
+import WebSocket from "ws";
+import {
+  MultimodalLiveAPIClientConnection,
+  MultimodalLiveClient,
+} from "./lib/multimodal-live-client";
+
+export * from "./lib/multimodal-live-client";
+export * from "./lib/frames";
+export * from "./lib/live-turn";
+export * from "./lib/tool-registry";
+export * from "./multimodal-live-types";
+
+export function createNodeLiveClient(
+  connection: MultimodalLiveAPIClientConnection,
+): MultimodalLiveClient {
+  return new MultimodalLiveClient({ webSocketImpl: WebSocket, ...connection });
+}